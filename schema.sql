@@ -110,6 +110,81 @@ SET default_tablespace = '';
 
 SET default_table_access_method = heap;
 
+--
+-- Name: account_status_events; Type: TABLE; Schema: public; Owner: antigravity
+--
+
+CREATE TABLE public.account_status_events (
+    event_id uuid DEFAULT public.uuid_generate_v4() NOT NULL,
+    account_type character varying(16) NOT NULL,
+    account_id character varying(255) NOT NULL,
+    status smallint NOT NULL,
+    reason text,
+    changed_by character varying(16) NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT account_status_events_account_type_check CHECK (((account_type)::text = ANY ((ARRAY['antigravity'::character varying, 'kiro'::character varying])::text[]))),
+    CONSTRAINT account_status_events_changed_by_check CHECK (((changed_by)::text = ANY ((ARRAY['system'::character varying, 'admin'::character varying, 'user'::character varying])::text[])))
+);
+
+
+ALTER TABLE public.account_status_events OWNER TO antigravity;
+
+--
+-- Name: TABLE account_status_events; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON TABLE public.account_status_events IS '账号状态变更记录表：记录 Antigravity / Kiro 账号每次启用、禁用的原因和操作方';
+
+
+--
+-- Name: COLUMN account_status_events.event_id; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.account_status_events.event_id IS '记录ID（主键）';
+
+
+--
+-- Name: COLUMN account_status_events.account_type; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.account_status_events.account_type IS '账号类型: antigravity=Antigravity账号(accounts), kiro=Kiro账号(kiro_accounts)';
+
+
+--
+-- Name: COLUMN account_status_events.account_id; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.account_status_events.account_id IS '账号ID（accounts.cookie_id 或 kiro_accounts.account_id）';
+
+
+--
+-- Name: COLUMN account_status_events.status; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.account_status_events.status IS '变更后的状态: 0=禁用, 1=启用';
+
+
+--
+-- Name: COLUMN account_status_events.reason; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.account_status_events.reason IS '变更原因';
+
+
+--
+-- Name: COLUMN account_status_events.changed_by; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.account_status_events.changed_by IS '操作方: system=系统自动, admin=管理员, user=账号所属用户';
+
+
+--
+-- Name: COLUMN account_status_events.created_at; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.account_status_events.created_at IS '变更时间';
+
+
 --
 -- Name: accounts; Type: TABLE; Schema: public; Owner: antigravity
 --
@@ -130,7 +205,10 @@ CREATE TABLE public.accounts (
     project_id_0 character varying(255) DEFAULT ''::character varying,
     is_restricted boolean DEFAULT false NOT NULL,
     paid_tier boolean,
-    ineligible boolean DEFAULT false NOT NULL
+    ineligible boolean DEFAULT false NOT NULL,
+    disabled_reason text,
+    disabled_at timestamp without time zone,
+    disabled_by character varying(16)
 );
 
 
@@ -255,6 +333,108 @@ COMMENT ON COLUMN public.accounts.paid_tier IS '是否付费用户: true=付费,
 COMMENT ON COLUMN public.accounts.ineligible IS '账号是否不合格: false=合格, true=不合格(INELIGIBLE_ACCOUNT)';
 
 
+--
+-- Name: COLUMN accounts.disabled_reason; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.accounts.disabled_reason IS '禁用原因（启用时清空）';
+
+
+--
+-- Name: COLUMN accounts.disabled_at; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.accounts.disabled_at IS '禁用时间';
+
+
+--
+-- Name: COLUMN accounts.disabled_by; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.accounts.disabled_by IS '禁用操作方: system=系统自动, admin=管理员, user=账号所属用户';
+
+
+--
+-- Name: files; Type: TABLE; Schema: public; Owner: antigravity
+--
+
+CREATE TABLE public.files (
+    file_id character varying(64) NOT NULL,
+    user_id character varying(64) NOT NULL,
+    filename character varying(255) NOT NULL,
+    purpose character varying(32) NOT NULL,
+    mime_type character varying(100) NOT NULL,
+    bytes integer NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    expires_at timestamp without time zone
+);
+
+
+ALTER TABLE public.files OWNER TO antigravity;
+
+--
+-- Name: TABLE files; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON TABLE public.files IS '文件表：文件内容保存在本地目录（config.files.directory），这里记录元数据';
+
+
+--
+-- Name: COLUMN files.file_id; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.file_id IS '文件ID（file-xxx格式，主键）';
+
+
+--
+-- Name: COLUMN files.user_id; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.user_id IS '所属用户ID（管理员API Key为admin，因此不使用外键）';
+
+
+--
+-- Name: COLUMN files.filename; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.filename IS '文件名';
+
+
+--
+-- Name: COLUMN files.purpose; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.purpose IS '用途: image_generation=模型生成的图片, user_data/assistants/vision=用户上传的文件';
+
+
+--
+-- Name: COLUMN files.mime_type; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.mime_type IS 'MIME类型';
+
+
+--
+-- Name: COLUMN files.bytes; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.bytes IS '文件大小（字节）';
+
+
+--
+-- Name: COLUMN files.created_at; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.created_at IS '创建时间';
+
+
+--
+-- Name: COLUMN files.expires_at; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.files.expires_at IS '过期时间（NULL表示不过期），过期后由清理任务删除';
+
+
 --
 -- Name: kiro_accounts; Type: TABLE; Schema: public; Owner: antigravity
 --
@@ -290,6 +470,9 @@ CREATE TABLE public.kiro_accounts (
     bonus_limit double precision DEFAULT 0,
     bonus_available double precision DEFAULT 0,
     bonus_details jsonb DEFAULT '[]'::jsonb,
+    disabled_reason text,
+    disabled_at timestamp without time zone,
+    disabled_by character varying(16),
     CONSTRAINT kiro_accounts_auth_method_check CHECK (((auth_method)::text = ANY ((ARRAY['Social'::character varying, 'IdC'::character varying, ''::character varying])::text[]))),
     CONSTRAINT kiro_accounts_is_shared_check CHECK ((is_shared = ANY (ARRAY[0, 1]))),
     CONSTRAINT kiro_accounts_status_check CHECK ((status = ANY (ARRAY[0, 1])))
@@ -515,6 +698,27 @@ COMMENT ON COLUMN public.kiro_accounts.bonus_available IS 'Bonus可用额度（
 COMMENT ON COLUMN public.kiro_accounts.bonus_details IS 'Bonus详情（JSON数组，包含每个bonus的详细信息）';
 
 
+--
+-- Name: COLUMN kiro_accounts.disabled_reason; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.kiro_accounts.disabled_reason IS '禁用原因（启用时清空）';
+
+
+--
+-- Name: COLUMN kiro_accounts.disabled_at; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.kiro_accounts.disabled_at IS '禁用时间';
+
+
+--
+-- Name: COLUMN kiro_accounts.disabled_by; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.kiro_accounts.disabled_by IS '禁用操作方: system=系统自动, admin=管理员, user=账号所属用户';
+
+
 --
 -- Name: kiro_consumption_log; Type: TABLE; Schema: public; Owner: antigravity
 --
@@ -870,6 +1074,8 @@ CREATE TABLE public.users (
     api_key character varying(64) NOT NULL,
     name character varying(100),
     prefer_shared smallint DEFAULT 0 NOT NULL,
+    inline_stream_errors smallint DEFAULT 0 NOT NULL,
+    account_strategy character varying(32),
     status smallint DEFAULT 1 NOT NULL,
     created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
     updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
@@ -913,6 +1119,20 @@ COMMENT ON COLUMN public.users.name IS '用户名称';
 COMMENT ON COLUMN public.users.prefer_shared IS 'Cookie优先级: 0=专属优先, 1=共享优先';
 
 
+--
+-- Name: COLUMN users.inline_stream_errors; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.users.inline_stream_errors IS '流式错误输出方式: 0=结构化error事件, 1=以文本形式写入正文（旧版行为）';
+
+
+--
+-- Name: COLUMN users.account_strategy; Type: COMMENT; Schema: public; Owner: antigravity
+--
+
+COMMENT ON COLUMN public.users.account_strategy IS '账号选择策略: random/round_robin/least_recently_used/most_quota/earliest_reset/weighted_random, NULL=使用全局配置';
+
+
 --
 -- Name: COLUMN users.status; Type: COMMENT; Schema: public; Owner: antigravity
 --
@@ -934,6 +1154,14 @@ COMMENT ON COLUMN public.users.created_at IS '创建时间';
 COMMENT ON COLUMN public.users.updated_at IS '更新时间';
 
 
+--
+-- Name: account_status_events account_status_events_pkey; Type: CONSTRAINT; Schema: public; Owner: antigravity
+--
+
+ALTER TABLE ONLY public.account_status_events
+    ADD CONSTRAINT account_status_events_pkey PRIMARY KEY (event_id);
+
+
 --
 -- Name: accounts accounts_pkey; Type: CONSTRAINT; Schema: public; Owner: antigravity
 --
@@ -942,6 +1170,14 @@ ALTER TABLE ONLY public.accounts
     ADD CONSTRAINT accounts_pkey PRIMARY KEY (cookie_id);
 
 
+--
+-- Name: files files_pkey; Type: CONSTRAINT; Schema: public; Owner: antigravity
+--
+
+ALTER TABLE ONLY public.files
+    ADD CONSTRAINT files_pkey PRIMARY KEY (file_id);
+
+
 --
 -- Name: kiro_accounts kiro_accounts_pkey; Type: CONSTRAINT; Schema: public; Owner: antigravity
 --
@@ -1014,6 +1250,13 @@ ALTER TABLE ONLY public.users
     ADD CONSTRAINT users_pkey PRIMARY KEY (user_id);
 
 
+--
+-- Name: idx_account_status_events_account; Type: INDEX; Schema: public; Owner: antigravity
+--
+
+CREATE INDEX idx_account_status_events_account ON public.account_status_events USING btree (account_type, account_id, created_at);
+
+
 --
 -- Name: idx_accounts_ineligible; Type: INDEX; Schema: public; Owner: antigravity
 --
@@ -1063,6 +1306,20 @@ CREATE INDEX idx_accounts_user_id ON public.accounts USING btree (user_id);
 CREATE UNIQUE INDEX idx_accounts_email ON public.accounts USING btree (email) WHERE (email IS NOT NULL);
 
 
+--
+-- Name: idx_files_expires_at; Type: INDEX; Schema: public; Owner: antigravity
+--
+
+CREATE INDEX idx_files_expires_at ON public.files USING btree (expires_at);
+
+
+--
+-- Name: idx_files_user_id; Type: INDEX; Schema: public; Owner: antigravity
+--
+
+CREATE INDEX idx_files_user_id ON public.files USING btree (user_id);
+
+
 --
 -- Name: idx_kiro_accounts_auth_method; Type: INDEX; Schema: public; Owner: antigravity
 --
@@ -58,7 +58,7 @@ async function generateProjectIdsForAllAccounts() {
             logger.error(`  ✗ Token刷新失败: ${refreshError.message}`);
             if (refreshError.isInvalidGrant) {
               logger.error(`  账号需要重新授权，已禁用`);
-              await accountService.updateAccountStatus(account.cookie_id, 0);
+              await accountService.updateAccountStatus(account.cookie_id, 0, { reason: '刷新token失败(invalid_grant)' });
             }
             failedCount++;
             continue;
@@ -105,7 +105,7 @@ async function generateProjectIdsForAllAccounts() {
           if (updatedAccount.status === 1) {
             // 如果当前是启用状态，禁用它
             logger.warn(`  ⚠ project_id_0为空且paidTier包含free，正在禁用账号...`);
-            await accountService.updateAccountStatus(account.cookie_id, 0);
+            await accountService.updateAccountStatus(account.cookie_id, 0, { reason: 'project_id_0为空且为免费账号' });
             logger.info(`  ✓ 账号已禁用`);
           } else {
             logger.info(`  ℹ 账号不符合可用条件且已禁用`);
@@ -92,7 +92,7 @@ async function updateAccount(account) {
       } catch (refreshError) {
         // 刷新token失败，标记账号需要重新授权
         logger.error(`[${account.account_id}] Token刷新失败: ${refreshError.message}`);
-        await kiroAccountService.markAccountNeedRefresh(account.account_id);
+        await kiroAccountService.markAccountNeedRefresh(account.account_id, `刷新token失败: ${refreshError.message}`);
         result.error = `Token刷新失败: ${refreshError.message}`;
         return result;
       }
@@ -143,7 +143,7 @@ async function updateAllUserQuotas() {
             logger.error(`  ✗ Token刷新失败: ${refreshError.message}`);
             if (refreshError.isInvalidGrant) {
               logger.error(`  账号需要重新授权，已禁用`);
-              await accountService.updateAccountStatus(account.cookie_id, 0);
+              await accountService.updateAccountStatus(account.cookie_id, 0, { reason: '刷新token失败(invalid_grant)' });
             }
             failedCount++;
             results.push({
@@ -4,6 +4,10 @@ import logger from '../utils/logger.js';
 import kiroService from '../services/kiro.service.js';
 import kiroAccountService from '../services/kiro_account.service.js';
 import kiroConsumptionService from '../services/kiro_consumption.service.js';
+import { mapFinishReason, loadMessageAttachments } from '../utils/utils.js';
+import { ServiceError } from '../utils/errors.js';
+import stickySessionService from '../services/sticky_session.service.js';
+import circuitBreakerService from '../services/circuit_breaker.service.js';
 
 /**
  * Kiro API 客户端
@@ -14,22 +18,34 @@ class KiroClient {
    * 获取可用的Kiro账号（带token刷新）
    * @param {string} user_id - 用户ID
    * @param {Array} excludeAccountIds - 要排除的账号ID列表（用于重试时排除已失败的账号）
+   * @param {Object|null} session - 粘性会话（可选，见 stickySessionService.getSession）
    * @returns {Promise<Object>} 账号对象
    */
-  async getAvailableAccount(user_id, excludeAccountIds = []) {
+  async getAvailableAccount(user_id, excludeAccountIds = [], session = null) {
     let accounts = await kiroAccountService.getAvailableAccounts(user_id);
     
-    // 排除已经尝试失败的账号
+    // 排除已经尝试失败的账号和熔断中的账号
     if (excludeAccountIds.length > 0) {
       accounts = accounts.filter(acc => !excludeAccountIds.includes(acc.account_id));
     }
+    accounts = accounts.filter(acc => circuitBreakerService.canAttempt('kiro', acc.account_id));
     
     if (accounts.length === 0) {
-      throw new Error('没有可用的Kiro账号，请先添加账号');
+      throw new ServiceError('NO_AVAILABLE_ACCOUNT');
     }
 
-    // 随机选择一个账号
-    const account = accounts[Math.floor(Math.random() * accounts.length)];
+    // 粘性会话绑定的账号仍然可用时继续使用，否则随机选择一个账号
+    const boundAccountId = session ? await stickySessionService.getBoundAccount('kiro', session) : null;
+    let account = accounts.find(acc => acc.account_id === boundAccountId);
+    if (account) {
+      logger.info(`粘性会话: 继续使用绑定的Kiro账号 account_id=${account.account_id}`);
+    } else {
+      if (boundAccountId) {
+        logger.info(`粘性会话: 绑定的Kiro账号不可用，重新选择账号: account_id=${boundAccountId}`);
+      }
+      account = accounts[Math.floor(Math.random() * accounts.length)];
+    }
+    circuitBreakerService.onSelected('kiro', account.account_id);
     
     // 检查token是否过期
     if (kiroAccountService.isTokenExpired(account)) {
@@ -57,14 +73,18 @@ class KiroClient {
       } catch (refreshError) {
         // 刷新token失败，标记账号需要重新授权
         logger.error(`Kiro账号刷新token失败，标记需要重新授权: account_id=${account.account_id}, error=${refreshError.message}`);
-        await kiroAccountService.markAccountNeedRefresh(account.account_id);
+        await kiroAccountService.markAccountNeedRefresh(account.account_id, `刷新token失败: ${refreshError.message}`);
         
         // 尝试获取下一个可用账号
         const newExcludeList = [...excludeAccountIds, account.account_id];
-        return this.getAvailableAccount(user_id, newExcludeList);
+        return this.getAvailableAccount(user_id, newExcludeList, session);
       }
     }
 
+    if (session) {
+      await stickySessionService.bindAccount('kiro', session, account.account_id);
+    }
+
     return account;
   }
 
@@ -75,18 +95,61 @@ class KiroClient {
    * @param {Function} callback - 回调函数
    * @param {string} user_id - 用户ID
    * @param {Object} options - 其他选项
+   * @param {AbortSignal} options.signal - 客户端断开时取消上游请求
+   * @param {Object} options.session - 粘性会话（固定账号和 conversationId）
    */
   async generateResponse(messages, model, callback, user_id, options = {}) {
-    const account = await this.getAvailableAccount(user_id);
+    const account = await this.getAvailableAccount(user_id, [], options.session);
     const requestId = crypto.randomUUID().substring(0, 8);
     
     logger.info(`[${requestId}] 开始Kiro请求: model=${model}, user_id=${user_id}, account_id=${account.account_id}`);
 
-    // 转换请求格式
-    const cwRequest = kiroService.convertToCodeWhispererRequest(messages, model, options);
+    // 转换请求格式（先加载消息中引用的已上传文件和远程图片）
+    const attachments = await loadMessageAttachments(messages, user_id);
+    const cwRequest = kiroService.convertToCodeWhispererRequest(messages, model, { ...options, attachments });
     const requestBody = JSON.stringify(cwRequest);
 
+    // 账号和模型信息，用于记录消费日志
+    const contextInfo = {
+      user_id,
+      account_id: account.account_id,
+      model_id: model,
+      is_shared: account.is_shared
+    };
+    // 流状态：上游结束原因、上下文占用比例、是否产生工具调用、是否已记录usage
+    const streamState = { stopReason: null, contextUsagePercentage: 0, hasToolCall: false, usageRecorded: false };
+
     return new Promise((resolve, reject) => {
+      let req = null;
+      let settled = false;
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        options.signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+
+      // 客户端断开：销毁上游请求，并根据账号使用量的变化补记已产生的消耗
+      const onAbort = () => {
+        if (settled) return;
+        logger.info(`[${requestId}] 客户端已断开，已取消上游请求`);
+        req?.destroy();
+        settle(resolve);
+
+        if (!streamState.usageRecorded) {
+          this.logAbortedConsumption(requestId, contextInfo, account.current_usage)
+            .catch(error => {
+              logger.error(`[${requestId}] 记录中断请求的消费失败:`, error.message);
+            });
+        }
+      };
+
+      if (options.signal?.aborted) {
+        settle(reject, new Error('客户端已断开'));
+        return;
+      }
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+
       const headers = kiroService.getCodeWhispererHeaders(account.access_token, account.machineid);
       headers['Content-Length'] = Buffer.byteLength(requestBody);
 
@@ -97,7 +160,7 @@ class KiroClient {
         headers
       };
 
-      const req = https.request(reqOptions, (res) => {
+      req = https.request(reqOptions, (res) => {
         logger.info(`[${requestId}] 收到响应: status=${res.statusCode}`);
 
         if (res.statusCode !== 200) {
@@ -106,36 +169,44 @@ class KiroClient {
           res.on('end', () => {
             logger.error(`[${requestId}] API错误: ${res.statusCode} - ${errorBody}`);
             
-            // 402 或 403 错误时自动禁用账号
+            // 402 或 403 错误计入熔断器
             if (res.statusCode === 402 || res.statusCode === 403) {
-              kiroAccountService.updateAccountStatus(account.account_id, 0);
-              logger.warn(`Kiro账号已禁用(${res.statusCode}): account_id=${account.account_id}`);
+              circuitBreakerService.recordFailure('kiro', account.account_id, `HTTP ${res.statusCode}: ${errorBody.substring(0, 200)}`);
             }
             
-            reject(new Error(`错误: ${res.statusCode} ${errorBody}`));
+            settle(reject, new Error(`错误: ${res.statusCode} ${errorBody}`));
           });
           return;
         }
 
+        circuitBreakerService.recordSuccess('kiro', account.account_id);
+
         // 处理流式响应，传递账号和模型信息
-        const contextInfo = {
-          user_id,
-          account_id: account.account_id,
-          model_id: model,
-          is_shared: account.is_shared
-        };
-        
-        this.handleStreamResponse(res, callback, requestId, contextInfo)
+        this.handleStreamResponse(res, callback, requestId, contextInfo, streamState)
           .then(() => {
             logger.info(`[${requestId}] 请求完成`);
-            resolve();
+            settle(resolve);
           })
-          .catch(reject);
+          .catch(error => {
+            // 读取响应流时连接中断（客户端断开导致的取消已先结束请求，不会走到这里）
+            if (!settled) {
+              circuitBreakerService.recordFailure('kiro', account.account_id, `网络错误: ${error.message}`);
+            }
+            settle(reject, error);
+          });
+      });
+
+      // 10分钟内没有任何数据视为超时
+      req.setTimeout(600000, () => {
+        req.destroy(new Error('请求超时'));
       });
 
       req.on('error', (error) => {
+        if (settled) return;
         logger.error(`[${requestId}] 请求异常:`, error.message);
-        reject(error);
+        // 网络错误、连接重置、超时计入熔断器（客户端断开导致的取消已先结束请求，不会走到这里）
+        circuitBreakerService.recordFailure('kiro', account.account_id, `网络错误: ${error.message}`);
+        settle(reject, error);
       });
 
       req.write(requestBody);
@@ -149,8 +220,9 @@ class KiroClient {
    * @param {Function} callback - 回调函数
    * @param {string} requestId - 请求ID
    * @param {Object} contextInfo - 上下文信息（user_id, account_id, model_id, is_shared）
+   * @param {Object} streamState - 流状态 { stopReason, contextUsagePercentage, hasToolCall, usageRecorded }
    */
-  async handleStreamResponse(response, callback, requestId, contextInfo) {
+  async handleStreamResponse(response, callback, requestId, contextInfo, streamState) {
     let buffer = Buffer.alloc(0);
     let messageCount = 0;
     // 跟踪工具调用：toolUseId -> index 的映射
@@ -182,7 +254,7 @@ class KiroClient {
             const message = this.parseSingleMessage(messageData);
             if (message) {
               messageCount++;
-              this.processMessage(message, callback, requestId, contextInfo, toolCallIndexMap, indexCounter);
+              this.processMessage(message, callback, requestId, contextInfo, toolCallIndexMap, indexCounter, streamState);
             }
           } catch (error) {
             logger.warn(`[${requestId}] 消息解析失败:`, error.message);
@@ -191,6 +263,11 @@ class KiroClient {
       });
 
       response.on('end', () => {
+        callback({
+          type: 'finish',
+          finish_reason: this.getFinishReason(streamState),
+          upstream_reason: streamState.stopReason
+        });
         resolve();
       });
 
@@ -246,8 +323,17 @@ class KiroClient {
    * @param {Object} contextInfo - 上下文信息（user_id, account_id, model_id, is_shared）
    * @param {Map} toolCallIndexMap - 工具调用ID到索引的映射
    * @param {Object} indexCounter - 索引计数器对象 { value: number }
+   * @param {Object} streamState - 流状态 { stopReason, contextUsagePercentage, hasToolCall, usageRecorded }
    */
-  processMessage(message, callback, requestId, contextInfo, toolCallIndexMap, indexCounter) {
+  processMessage(message, callback, requestId, contextInfo, toolCallIndexMap, indexCounter, streamState) {
+    // 记录结束原因和上下文占用（用于计算 finish_reason）
+    if (message.stopReason) {
+      streamState.stopReason = message.stopReason;
+    }
+    if (typeof message.contextUsagePercentage === 'number') {
+      streamState.contextUsagePercentage = message.contextUsagePercentage;
+    }
+
     // 处理文本内容
     if (message.content) {
       callback({ type: 'text', content: message.content });
@@ -277,6 +363,7 @@ class KiroClient {
           arguments: ''  // 流式响应中先发送空字符串
         }
       };
+      streamState.hasToolCall = true;
       callback({ type: 'tool_call_start', tool_calls: [toolCall] });
     }
 
@@ -300,21 +387,37 @@ class KiroClient {
     }
 
     // 处理 CodeWhisperer 的工具调用格式（兼容旧格式）
+    // 与 toolUse 共用同一个索引计数器，同一响应中同时出现两种格式时索引不会冲突
     if (message.codeQuery) {
+      const toolCallId = message.codeQuery.codeQueryId || crypto.randomUUID();
+      const toolCallIndex = indexCounter.value;
+      toolCallIndexMap.set(toolCallId, toolCallIndex);
+      indexCounter.value++;
+
       const toolCall = {
-        id: message.codeQuery.codeQueryId || crypto.randomUUID(),
+        index: toolCallIndex,
+        id: toolCallId,
         type: 'function',
         function: {
           name: message.codeQuery.programmingLanguage?.languageName || 'unknown',
-          arguments: JSON.stringify(message.codeQuery)
+          arguments: ''
         }
       };
-      callback({ type: 'tool_calls', tool_calls: [toolCall] });
+      streamState.hasToolCall = true;
+      callback({ type: 'tool_call_start', tool_calls: [toolCall] });
+      // 完整参数一次性给出，作为单个增量下发
+      callback({
+        type: 'tool_call_delta',
+        tool_call_index: toolCallIndex,
+        tool_call_id: toolCallId,
+        delta: JSON.stringify(message.codeQuery)
+      });
     }
 
     // 处理usage消息（记录消费日志并更新账号余额）
     if (message.usage && typeof message.usage === 'number' && contextInfo) {
       logger.info(`[${requestId}] 检测到usage: ${message.usage}, 准备记录消费日志并更新余额`);
+      streamState.usageRecorded = true;
       
       // 异步记录消费日志并更新余额，不阻塞响应流
       this.logConsumptionAndUpdateBalance(requestId, contextInfo, message.usage)
@@ -324,6 +427,22 @@ class KiroClient {
     }
   }
 
+  /**
+   * 计算 Kiro 流的 finish_reason
+   * 上游带有 stopReason 时直接映射；否则上下文占满视为输出被截断
+   * @param {Object} streamState - 流状态
+   * @returns {string} OpenAI finish_reason
+   */
+  getFinishReason(streamState) {
+    if (streamState.stopReason) {
+      return mapFinishReason(streamState.stopReason, streamState.hasToolCall);
+    }
+    if (streamState.contextUsagePercentage >= 100) {
+      return 'length';
+    }
+    return streamState.hasToolCall ? 'tool_calls' : 'stop';
+  }
+
   /**
    * 记录消费日志并更新账号余额
    * @param {string} requestId - 请求ID
@@ -340,16 +459,57 @@ class KiroClient {
       is_shared: contextInfo.is_shared
     });
 
-    // 2. 获取账号信息
-    const account = await kiroAccountService.getAccountById(contextInfo.account_id);
-    if (!account) {
-      logger.warn(`[${requestId}] 账号不存在，无法更新余额: account_id=${contextInfo.account_id}`);
+    // 2. 更新账号余额（失败不抛出错误，因为消费日志已经记录成功）
+    await this.refreshAccountBalance(requestId, contextInfo.account_id);
+  }
+
+  /**
+   * 记录被客户端中断的请求的消费
+   * 中断后上游不会再返回usage消息，改为用请求前后账号使用量的差值作为本次消耗
+   * （同一账号上的并发请求可能计入差值，这里只作为近似值）
+   * @param {string} requestId - 请求ID
+   * @param {Object} contextInfo - 上下文信息
+   * @param {number|string} usageBefore - 请求前账号的 current_usage
+   */
+  async logAbortedConsumption(requestId, contextInfo, usageBefore) {
+    const usageLimitsData = await this.refreshAccountBalance(requestId, contextInfo.account_id);
+    if (!usageLimitsData) {
+      return;
+    }
+
+    const creditUsed = parseFloat(usageLimitsData.current_usage) - parseFloat(usageBefore || 0);
+    if (!(creditUsed > 0)) {
+      logger.info(`[${requestId}] 中断的请求未产生消耗`);
       return;
     }
 
-    // 3. 从上游获取最新的使用量信息
+    await kiroConsumptionService.logConsumption({
+      user_id: contextInfo.user_id,
+      account_id: contextInfo.account_id,
+      model_id: contextInfo.model_id,
+      credit_used: creditUsed,
+      is_shared: contextInfo.is_shared
+    });
+    logger.info(`[${requestId}] 已记录中断请求的消费: credit_used=${creditUsed}`);
+  }
+
+  /**
+   * 从上游获取最新使用量并更新账号余额
+   * @param {string} requestId - 请求ID
+   * @param {string} accountId - 账号ID
+   * @returns {Promise<Object|null>} 最新的使用量信息，获取失败时返回 null
+   */
+  async refreshAccountBalance(requestId, accountId) {
+    // 1. 获取账号信息
+    const account = await kiroAccountService.getAccountById(accountId);
+    if (!account) {
+      logger.warn(`[${requestId}] 账号不存在，无法更新余额: account_id=${accountId}`);
+      return null;
+    }
+
+    // 2. 从上游获取最新的使用量信息
     try {
-      logger.info(`[${requestId}] 从上游获取最新余额信息: account_id=${contextInfo.account_id}`);
+      logger.info(`[${requestId}] 从上游获取最新余额信息: account_id=${accountId}`);
       
       // 检查token是否过期，如果过期则刷新
       let accessToken = account.access_token;
@@ -376,9 +536,8 @@ class KiroClient {
         } catch (refreshError) {
           // 刷新token失败，标记账号需要重新授权
           logger.error(`[${requestId}] 刷新token失败，标记账号需要重新授权: account_id=${account.account_id}, error=${refreshError.message}`);
-          await kiroAccountService.markAccountNeedRefresh(account.account_id);
-          // 这里不抛出错误，因为消费日志已经记录成功，只是无法更新余额
-          return;
+          await kiroAccountService.markAccountNeedRefresh(account.account_id, `刷新token失败: ${refreshError.message}`);
+          return null;
         }
       }
 
@@ -389,8 +548,8 @@ class KiroClient {
         account.machineid
       );
 
-      // 4. 更新数据库中的余额信息（包含免费试用和bonus信息）
-      await kiroAccountService.updateAccountUsage(contextInfo.account_id, {
+      // 3. 更新数据库中的余额信息（包含免费试用和bonus信息）
+      await kiroAccountService.updateAccountUsage(accountId, {
         email: usageLimitsData.email,
         userid: usageLimitsData.userid,
         subscription: usageLimitsData.subscription,
@@ -409,10 +568,11 @@ class KiroClient {
         bonus_details: usageLimitsData.bonus_details
       });
 
-      logger.info(`[${requestId}] 余额已更新: account_id=${contextInfo.account_id}, current_usage=${usageLimitsData.current_usage}`);
+      logger.info(`[${requestId}] 余额已更新: account_id=${accountId}, current_usage=${usageLimitsData.current_usage}`);
+      return usageLimitsData;
     } catch (error) {
       logger.error(`[${requestId}] 更新余额失败:`, error.message);
-      // 不抛出错误，因为消费日志已经记录成功
+      return null;
     }
   }
 
@@ -3,6 +3,12 @@ import logger from '../utils/logger.js';
 import accountService from '../services/account.service.js';
 import quotaService from '../services/quota.service.js';
 import oauthService from '../services/oauth.service.js';
+import accountSelectionService from '../services/account_selection.service.js';
+import stickySessionService from '../services/sticky_session.service.js';
+import circuitBreakerService from '../services/circuit_breaker.service.js';
+import thoughtSignatureService from '../services/thought_signature.service.js';
+import { mapFinishReason, convertUsageMetadata } from '../utils/utils.js';
+import { ServiceError } from '../utils/errors.js';
 
 /**
  * 自定义API错误类，包含HTTP状态码
@@ -30,9 +36,10 @@ class MultiAccountClient {
    * @param {string} model_name - 模型名称
    * @param {Object} user - 用户对象（包含prefer_shared）
    * @param {Array} excludeCookieIds - 要排除的cookie_id列表（用于重试时排除已失败的账号）
+   * @param {Object|null} session - 粘性会话（可选，见 stickySessionService.getSession）
    * @returns {Promise<Object>} 账号对象
    */
-  async getAvailableAccount(user_id, model_name, user, excludeCookieIds = []) {
+  async getAvailableAccount(user_id, model_name, user, excludeCookieIds = [], session = null) {
     // 确保 prefer_shared 有明确的值（默认为0 - 专属优先）
     const preferShared = user?.prefer_shared ?? 0;
     let accounts = [];
@@ -63,8 +70,15 @@ class MultiAccountClient {
       logger.info(`排除失败账号后剩余: ${accounts.length}个`);
     }
 
+    // 排除熔断中的账号
+    const closedAccounts = accounts.filter(acc => circuitBreakerService.canAttempt('antigravity', acc.cookie_id));
+    if (closedAccounts.length < accounts.length) {
+      accounts = closedAccounts;
+      logger.info(`排除熔断中的账号后剩余: ${accounts.length}个`);
+    }
+
     if (accounts.length === 0) {
-      throw new Error('没有可用的账号，请添加账号');
+      throw new ServiceError('NO_AVAILABLE_ACCOUNT');
     }
 
     // 过滤出对该模型可用的账号
@@ -96,10 +110,10 @@ class MultiAccountClient {
     }
 
     if (availableAccounts.length === 0) {
-      throw new Error(`所有账号对模型 ${model_name} 的配额已耗尽或用户共享配额不足`);
+      throw new ServiceError('MODEL_QUOTA_EXHAUSTED', { model: model_name });
     }
 
-    // 根据优先级选择账号：优先从第一优先级的账号池中随机选择
+    // 根据优先级选择账号：优先从第一优先级的账号池中选择
     let selectedPool = [];
     let poolType = '';
     
@@ -125,10 +139,25 @@ class MultiAccountClient {
       }
     }
 
-    // 从选定的池中随机选择
-    const randomIndex = Math.floor(Math.random() * selectedPool.length);
-    const account = selectedPool[randomIndex];
+    // 粘性会话绑定的账号仍然可用时继续使用（不受账号池优先级影响），否则按账号选择策略（用户设置或全局配置）从选定的池中选择
+    const boundCookieId = session ? await stickySessionService.getBoundAccount('antigravity', session) : null;
+    let account = availableAccounts.find(acc => acc.cookie_id === boundCookieId);
+    if (account) {
+      logger.info(`粘性会话: 继续使用绑定的账号 cookie_id=${account.cookie_id}`);
+      await accountSelectionService.recordUsage(account.cookie_id, user_id, model_name);
+    } else {
+      if (boundCookieId) {
+        logger.info(`粘性会话: 绑定的账号不可用，重新选择账号: cookie_id=${boundCookieId}`);
+      }
+      account = await accountSelectionService.selectAccount(selectedPool, {
+        strategy: accountSelectionService.getStrategy(user),
+        user_id,
+        model_name
+      });
+    }
     
+    circuitBreakerService.onSelected('antigravity', account.cookie_id);
+
     logger.info(`========== 最终选择账号 ==========`);
     logger.info(`选中账号: cookie_id=${account.cookie_id}, is_shared=${account.is_shared}, user_id=${account.user_id}`);
 
@@ -145,19 +174,23 @@ class MultiAccountClient {
         // 如果是 invalid_grant 错误，直接禁用账号
         if (refreshError.isInvalidGrant) {
           logger.error(`账号刷新token失败(invalid_grant)，禁用账号: cookie_id=${account.cookie_id}`);
-          await accountService.updateAccountStatus(account.cookie_id, 0);
+          await accountService.updateAccountStatus(account.cookie_id, 0, { reason: '刷新token失败(invalid_grant)' });
         } else {
           // 其他错误，标记需要重新授权
           logger.error(`账号刷新token失败，标记需要重新授权: cookie_id=${account.cookie_id}, error=${refreshError.message}`);
-          await accountService.markAccountNeedRefresh(account.cookie_id);
+          await accountService.markAccountNeedRefresh(account.cookie_id, `刷新token失败: ${refreshError.message}`);
         }
         
         // 尝试获取下一个可用账号
         const newExcludeList = [...excludeCookieIds, account.cookie_id];
-        return this.getAvailableAccount(user_id, model_name, user, newExcludeList);
+        return this.getAvailableAccount(user_id, model_name, user, newExcludeList, session);
       }
     }
 
+    if (session) {
+      await stickySessionService.bindAccount('antigravity', session, account.cookie_id);
+    }
+
     return account;
   }
 
@@ -173,11 +206,16 @@ class MultiAccountClient {
    * @param {number} retryCount - 429错误重试计数（最多3次）
    * @param {number} endpointIndex - 当前使用的API端点索引（用于403重试）
    * @param {string|null} firstError403Type - 第一次403错误的类型（用于决定是否禁用账号）
+   * @param {Object} options - 其他选项
+   * @param {boolean} options.raw - 是否直接透传上游响应块（回调 { type: 'raw', data }），用于 Gemini 原生接口
+   * @param {boolean} options.parallelToolCalls - 为 false 时每次响应只保留第一个工具调用
+   * @param {AbortSignal} options.signal - 客户端断开时取消上游请求
+   * @param {Object} options.session - 粘性会话，更换账号时改绑到新账号
    */
-  async generateResponse(requestBody, callback, user_id, model_name, user, account = null, excludeCookieIds = [], retryCount = 0, endpointIndex = 0, firstError403Type = null) {
+  async generateResponse(requestBody, callback, user_id, model_name, user, account = null, excludeCookieIds = [], retryCount = 0, endpointIndex = 0, firstError403Type = null, options = {}) {
     // 如果没有提供 account，则获取一个
     if (!account) {
-      account = await this.getAvailableAccount(user_id, model_name, user, excludeCookieIds);
+      account = await this.getAvailableAccount(user_id, model_name, user, excludeCookieIds, options.session);
     }
     
     // 判断是否为 Gemini 模型
@@ -229,338 +267,412 @@ class MultiAccountClient {
     
     let response;
     
+    // 创建 AbortController 用于超时控制，客户端断开时也通过它取消上游请求（包括读取响应流）
+    const controller = new AbortController();
+    const abortUpstream = () => controller.abort();
+    if (options.signal?.aborted) {
+      controller.abort();
+    } else {
+      options.signal?.addEventListener('abort', abortUpstream, { once: true });
+    }
+    
     try {
-      // 创建 AbortController 用于超时控制
-      const controller = new AbortController();
-      const timeout = setTimeout(() => {
-        controller.abort();
-      }, 600000); // 10分钟超时
-      
       try {
-        response = await fetch(url, {
-          method: 'POST',
-          headers: requestHeaders,
-          body: JSON.stringify(requestBody),
-          signal: controller.signal
-        });
-      } finally {
-        clearTimeout(timeout);
-      }
+        const timeout = setTimeout(() => {
+          controller.abort();
+        }, 600000); // 10分钟超时
       
-      if (!response.ok) {
-        const responseText = await response.text();
+        try {
+          response = await fetch(url, {
+            method: 'POST',
+            headers: requestHeaders,
+            body: JSON.stringify(requestBody),
+            signal: controller.signal
+          });
+        } catch (error) {
+          // 客户端断开导致的取消不计入熔断器
+          if (!options.signal?.aborted) {
+            this.recordNetworkFailure(account.cookie_id, error);
+          }
+          throw error;
+        } finally {
+          clearTimeout(timeout);
+        }
+      
+        if (!response.ok) {
+          const responseText = await response.text();
         
-        if (response.status === 403) {
-          // 判断是否是 "The caller does not have permission" 错误
-          const isPermissionDenied = responseText.includes('The caller does not have permission');
+          if (response.status === 403) {
+            // 判断是否是 "The caller does not have permission" 错误
+            const isPermissionDenied = responseText.includes('The caller does not have permission');
           
-          // 记录第一次403错误的类型（只在第一次请求时记录）
-          const currentFirstError403Type = firstError403Type === null
-            ? (isPermissionDenied ? 'PERMISSION_DENIED' : '403')
-            : firstError403Type;
+            // 记录第一次403错误的类型（只在第一次请求时记录）
+            const currentFirstError403Type = firstError403Type === null
+              ? (isPermissionDenied ? 'PERMISSION_DENIED' : '403')
+              : firstError403Type;
           
-          // 所有403错误都尝试切换端点重试
-          const nextEndpointIndex = endpointIndex + 1;
-          const totalEndpoints = getEndpointCount();
+            // 所有403错误都尝试切换端点重试
+            const nextEndpointIndex = endpointIndex + 1;
+            const totalEndpoints = getEndpointCount();
           
-          if (nextEndpointIndex < totalEndpoints) {
-            // 还有其他端点可以尝试
-            logger.warn(`[403错误] 端点[${endpointIndex}]返回403，尝试切换到端点[${nextEndpointIndex}]: cookie_id=${account.cookie_id}`);
-            return await this.generateResponse(requestBody, callback, user_id, model_name, user, account, excludeCookieIds, retryCount, nextEndpointIndex, currentFirstError403Type);
-          } else {
-            // 所有端点都返回403
-            // 只有当第一次错误不是 PERMISSION_DENIED 时才禁用账号
-            if (currentFirstError403Type !== 'PERMISSION_DENIED') {
-              logger.warn(`[403错误] 所有${totalEndpoints}个端点都返回403，禁用账号: cookie_id=${account.cookie_id}`);
-              await accountService.updateAccountStatus(account.cookie_id, 0);
+            if (nextEndpointIndex < totalEndpoints) {
+              // 还有其他端点可以尝试
+              logger.warn(`[403错误] 端点[${endpointIndex}]返回403，尝试切换到端点[${nextEndpointIndex}]: cookie_id=${account.cookie_id}`);
+              return await this.generateResponse(requestBody, callback, user_id, model_name, user, account, excludeCookieIds, retryCount, nextEndpointIndex, currentFirstError403Type, options);
             } else {
-              logger.warn(`[403错误] 所有${totalEndpoints}个端点都返回403，但第一次错误是PERMISSION_DENIED，不禁用账号: cookie_id=${account.cookie_id}`);
+              // 所有端点都返回403
+              // 只有当第一次错误不是 PERMISSION_DENIED 时才计入熔断器
+              if (currentFirstError403Type !== 'PERMISSION_DENIED') {
+                logger.warn(`[403错误] 所有${totalEndpoints}个端点都返回403，计入熔断器: cookie_id=${account.cookie_id}`);
+                circuitBreakerService.recordFailure('antigravity', account.cookie_id, 'ALL_ENDPOINTS_403');
+              } else {
+                logger.warn(`[403错误] 所有${totalEndpoints}个端点都返回403，但第一次错误是PERMISSION_DENIED，不计入熔断器: cookie_id=${account.cookie_id}`);
+              }
+              callback({ type: 'error', content: 'ALL_ENDPOINTS_403', upstreamResponse: responseText, upstreamRequest: requestBody });
+              throw new ApiError('ALL_ENDPOINTS_403', 403, responseText);
             }
-            callback({ type: 'error', content: 'ALL_ENDPOINTS_403', upstreamResponse: responseText, upstreamRequest: requestBody });
-            throw new ApiError('ALL_ENDPOINTS_403', 403, responseText);
           }
-        }
         
-        // 检查是否是400错误（可能是账号问题）
-        if (response.status === 400) {
-          // 检查是否是配额耗尽错误，自动更换账号重试
-          if (responseText.includes('quota') || responseText.includes('RESOURCE_EXHAUSTED')) {
-            logger.warn(`[400错误] 账号配额耗尽，尝试更换账号重试: cookie_id=${account.cookie_id}`);
+          // 检查是否是400错误（可能是账号问题）
+          if (response.status === 400) {
+            // 检查是否是配额耗尽错误，自动更换账号重试
+            if (responseText.includes('quota') || responseText.includes('RESOURCE_EXHAUSTED')) {
+              logger.warn(`[400错误] 账号配额耗尽，尝试更换账号重试: cookie_id=${account.cookie_id}`);
             
-            // 将当前账号加入排除列表
-            const newExcludeList = [...excludeCookieIds, account.cookie_id];
+              // 将当前账号加入排除列表
+              const newExcludeList = [...excludeCookieIds, account.cookie_id];
             
-            try {
-              // 尝试获取新账号并重试
-              const newAccount = await this.getAvailableAccount(user_id, model_name, user, newExcludeList);
-              logger.info(`已获取新账号，重试请求: new_cookie_id=${newAccount.cookie_id}`);
+              try {
+                // 尝试获取新账号并重试
+                const newAccount = await this.getAvailableAccount(user_id, model_name, user, newExcludeList, options.session);
+                logger.info(`已获取新账号，重试请求: new_cookie_id=${newAccount.cookie_id}`);
               
-              // 更新 requestBody 中的 project
-              if (newAccount.project_id_0) {
-                requestBody.project = newAccount.project_id_0;
+                // 更新 requestBody 中的 project
+                if (newAccount.project_id_0) {
+                  requestBody.project = newAccount.project_id_0;
+                }
+              
+                // 递归调用，使用新账号重试
+                return await this.generateResponse(requestBody, callback, user_id, model_name, user, newAccount, newExcludeList, 0, 0, null, options);
+              } catch (retryError) {
+                // 如果没有更多可用账号，返回配额耗尽错误
+                logger.error(`所有账号配额已耗尽，无法重试: ${retryError.message}`);
+                callback({ type: 'error', content: 'RESOURCE_EXHAUSTED' });
+                return;
               }
+            }
+            // 检查是否是图片超过5MB的错误
+            if (responseText.includes('image exceeds 5 MB maximum')) {
+              logger.warn(`[400错误] 图片超过5MB限制`);
+              callback({ type: 'error', content: 'IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB' });
+              throw new ApiError('IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB', 400, 'IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB');
+            }
+            // 检查是否是 RESOURCE_PROJECT_INVALID 错误，计入熔断器并换号重试
+            if (responseText.includes('RESOURCE_PROJECT_INVALID')) {
+              logger.warn(`[400错误] RESOURCE_PROJECT_INVALID，计入熔断器并尝试更换账号重试: cookie_id=${account.cookie_id}`);
+              circuitBreakerService.recordFailure('antigravity', account.cookie_id, 'RESOURCE_PROJECT_INVALID');
+            
+              // 将当前账号加入排除列表
+              const newExcludeList = [...excludeCookieIds, account.cookie_id];
+            
+              try {
+                // 尝试获取新账号并重试
+                const newAccount = await this.getAvailableAccount(user_id, model_name, user, newExcludeList, options.session);
+                logger.info(`已获取新账号，重试请求: new_cookie_id=${newAccount.cookie_id}`);
               
-              // 递归调用，使用新账号重试
-              return await this.generateResponse(requestBody, callback, user_id, model_name, user, newAccount, newExcludeList);
-            } catch (retryError) {
-              // 如果没有更多可用账号，返回配额耗尽错误
-              logger.error(`所有账号配额已耗尽，无法重试: ${retryError.message}`);
+                // 更新 requestBody 中的 project
+                if (newAccount.project_id_0) {
+                  requestBody.project = newAccount.project_id_0;
+                }
+              
+                // 递归调用，使用新账号重试
+                return await this.generateResponse(requestBody, callback, user_id, model_name, user, newAccount, newExcludeList, 0, 0, null, options);
+              } catch (retryError) {
+                // 如果没有更多可用账号，返回错误
+                logger.error(`所有账号都不可用，无法重试: ${retryError.message}`);
+                callback({ type: 'error', content: 'RESOURCE_PROJECT_INVALID' });
+                throw new ApiError('RESOURCE_PROJECT_INVALID', 400, 'RESOURCE_PROJECT_INVALID');
+              }
+            }
+            // 检查是否是 INVALID_ARGUMENT 或 invalid_request_error 错误（请求参数问题，不应禁用账号）
+            if (responseText.includes('INVALID_ARGUMENT') || responseText.includes('invalid_request_error')) {
+              logger.warn(`[400错误] 参数错误(INVALID_ARGUMENT/invalid_request_error)，不禁用账号: cookie_id=${account.cookie_id}, error=${responseText.substring(0, 200)}`);
+              // 将上游响应传递给回调，以便 dump
+              callback({ type: 'error', content: responseText, upstreamResponse: responseText, upstreamRequest: requestBody });
+              throw new ApiError(responseText, response.status, responseText);
+            }
+            // 其他400错误，计入熔断器
+            logger.warn(`账号请求失败(400)，计入熔断器: cookie_id=${account.cookie_id}, error=${responseText.substring(0, 200)}`);
+            circuitBreakerService.recordFailure('antigravity', account.cookie_id, `HTTP 400: ${responseText.substring(0, 200)}`);
+            // 将上游响应传递给回调，以便 dump
+            callback({ type: 'error', content: responseText, upstreamResponse: responseText, upstreamRequest: requestBody });
+            throw new ApiError(responseText, response.status, responseText);
+          }
+        
+          // 检查是否是429配额耗尽错误，自动更换账号重试（最多5次）
+          if (response.status === 429 || responseText.includes('quota') || responseText.includes('RESOURCE_EXHAUSTED')) {
+            const MAX_RETRY_COUNT = 5;
+          
+            if (retryCount >= MAX_RETRY_COUNT) {
+              logger.error(`[429错误] 已达到最大重试次数(${MAX_RETRY_COUNT})，停止重试: cookie_id=${account.cookie_id}`);
               callback({ type: 'error', content: 'RESOURCE_EXHAUSTED' });
               return;
             }
-          }
-          // 检查是否是图片超过5MB的错误
-          if (responseText.includes('image exceeds 5 MB maximum')) {
-            logger.warn(`[400错误] 图片超过5MB限制`);
-            callback({ type: 'error', content: 'IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB' });
-            throw new ApiError('IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB', 400, 'IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB');
-          }
-          // 检查是否是 RESOURCE_PROJECT_INVALID 错误，禁用账号并换号重试
-          if (responseText.includes('RESOURCE_PROJECT_INVALID')) {
-            logger.warn(`[400错误] RESOURCE_PROJECT_INVALID，禁用账号并尝试更换账号重试: cookie_id=${account.cookie_id}`);
-            await accountService.updateAccountStatus(account.cookie_id, 0);
-            
+          
+            logger.warn(`[429错误] 账号配额耗尽，尝试更换账号重试(${retryCount + 1}/${MAX_RETRY_COUNT}): cookie_id=${account.cookie_id}`);
+          
             // 将当前账号加入排除列表
             const newExcludeList = [...excludeCookieIds, account.cookie_id];
-            
+          
             try {
               // 尝试获取新账号并重试
-              const newAccount = await this.getAvailableAccount(user_id, model_name, user, newExcludeList);
+              const newAccount = await this.getAvailableAccount(user_id, model_name, user, newExcludeList, options.session);
               logger.info(`已获取新账号，重试请求: new_cookie_id=${newAccount.cookie_id}`);
-              
+            
               // 更新 requestBody 中的 project
               if (newAccount.project_id_0) {
                 requestBody.project = newAccount.project_id_0;
               }
-              
-              // 递归调用，使用新账号重试
-              return await this.generateResponse(requestBody, callback, user_id, model_name, user, newAccount, newExcludeList);
+            
+              // 递归调用，使用新账号重试，增加重试计数
+              return await this.generateResponse(requestBody, callback, user_id, model_name, user, newAccount, newExcludeList, retryCount + 1, 0, null, options);
             } catch (retryError) {
-              // 如果没有更多可用账号，返回错误
-              logger.error(`所有账号都不可用，无法重试: ${retryError.message}`);
-              callback({ type: 'error', content: 'RESOURCE_PROJECT_INVALID' });
-              throw new ApiError('RESOURCE_PROJECT_INVALID', 400, 'RESOURCE_PROJECT_INVALID');
+              // 如果没有更多可用账号，返回配额耗尽错误
+              logger.error(`所有账号配额已耗尽，无法重试: ${retryError.message}`);
+              callback({ type: 'error', content: 'RESOURCE_EXHAUSTED' });
+              return;
             }
           }
-          // 检查是否是 INVALID_ARGUMENT 或 invalid_request_error 错误（请求参数问题，不应禁用账号）
-          if (responseText.includes('INVALID_ARGUMENT') || responseText.includes('invalid_request_error')) {
-            logger.warn(`[400错误] 参数错误(INVALID_ARGUMENT/invalid_request_error)，不禁用账号: cookie_id=${account.cookie_id}, error=${responseText.substring(0, 200)}`);
-            // 将上游响应传递给回调，以便 dump
-            callback({ type: 'error', content: responseText, upstreamResponse: responseText, upstreamRequest: requestBody });
-            throw new ApiError(responseText, response.status, responseText);
+        
+          // 检查是否是500错误且包含 "Internal error encountered"
+          if (response.status === 500 && responseText.includes('Internal error encountered')) {
+            logger.error(`[500错误] Internal error encountered，返回 ILLEGAL_PROMPT`);
+            callback({ type: 'error', content: 'ILLEGAL_PROMPT', upstreamResponse: responseText, upstreamRequest: requestBody });
+            throw new ApiError('ILLEGAL_PROMPT', 500, 'ILLEGAL_PROMPT');
           }
-          // 其他400错误，禁用账号
-          logger.warn(`账号请求失败(400)，已禁用: cookie_id=${account.cookie_id}, error=${responseText.substring(0, 200)}`);
-          await accountService.updateAccountStatus(account.cookie_id, 0);
+        
+          // 其他错误
           // 将上游响应传递给回调，以便 dump
           callback({ type: 'error', content: responseText, upstreamResponse: responseText, upstreamRequest: requestBody });
           throw new ApiError(responseText, response.status, responseText);
         }
-        
-        // 检查是否是429配额耗尽错误，自动更换账号重试（最多5次）
-        if (response.status === 429 || responseText.includes('quota') || responseText.includes('RESOURCE_EXHAUSTED')) {
-          const MAX_RETRY_COUNT = 5;
-          
-          if (retryCount >= MAX_RETRY_COUNT) {
-            logger.error(`[429错误] 已达到最大重试次数(${MAX_RETRY_COUNT})，停止重试: cookie_id=${account.cookie_id}`);
-            callback({ type: 'error', content: 'RESOURCE_EXHAUSTED' });
-            return;
-          }
-          
-          logger.warn(`[429错误] 账号配额耗尽，尝试更换账号重试(${retryCount + 1}/${MAX_RETRY_COUNT}): cookie_id=${account.cookie_id}`);
-          
-          // 将当前账号加入排除列表
-          const newExcludeList = [...excludeCookieIds, account.cookie_id];
-          
-          try {
-            // 尝试获取新账号并重试
-            const newAccount = await this.getAvailableAccount(user_id, model_name, user, newExcludeList);
-            logger.info(`已获取新账号，重试请求: new_cookie_id=${newAccount.cookie_id}`);
-            
-            // 更新 requestBody 中的 project
-            if (newAccount.project_id_0) {
-              requestBody.project = newAccount.project_id_0;
-            }
-            
-            // 递归调用，使用新账号重试，增加重试计数
-            return await this.generateResponse(requestBody, callback, user_id, model_name, user, newAccount, newExcludeList, retryCount + 1);
-          } catch (retryError) {
-            // 如果没有更多可用账号，返回配额耗尽错误
-            logger.error(`所有账号配额已耗尽，无法重试: ${retryError.message}`);
-            callback({ type: 'error', content: 'RESOURCE_EXHAUSTED' });
-            return;
+
+        circuitBreakerService.recordSuccess('antigravity', account.cookie_id);
+      } catch (error) {
+        // 如果还没有开始读取响应流，直接抛出错误
+        throw error;
+      }
+
+      // 从这里开始是流式传输，错误需要通过callback返回
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let reasoningContent = ''; // 累积 reasoning_content
+      let generatedImages = [];
+      let buffer = ''; // 用于处理跨chunk的JSON
+      let collectedParts = []; // 收集所有原始 parts 用于日志打印
+      let fullTextContent = ''; // 累积完整的文本内容
+      let lastFinishReason = null; // 记录最后的 finishReason
+      let toolCallCount = 0; // 已收到的工具调用数量（用于 parallel_tool_calls=false）
+      let lastUsageMetadata = null; // 记录最后的 usageMetadata（上游在最后的响应块中给出完整用量）
+
+      let chunkCount = 0;
+      let aborted = false; // 客户端是否已断开
+      while (true) {
+        let readResult;
+        try {
+          readResult = await reader.read();
+        } catch (error) {
+          if (!options.signal?.aborted) {
+            this.recordNetworkFailure(account.cookie_id, error);
+            throw error;
           }
+          // 客户端已断开：停止读取，已产生的消耗仍在下方照常记录
+          logger.info(`客户端已断开，已取消上游请求 - cookie_id=${account.cookie_id}, chunks=${chunkCount}`);
+          aborted = true;
+          break;
         }
-        
-        // 检查是否是500错误且包含 "Internal error encountered"
-        if (response.status === 500 && responseText.includes('Internal error encountered')) {
-          logger.error(`[500错误] Internal error encountered，返回 ILLEGAL_PROMPT`);
-          callback({ type: 'error', content: 'ILLEGAL_PROMPT', upstreamResponse: responseText, upstreamRequest: requestBody });
-          throw new ApiError('ILLEGAL_PROMPT', 500, 'ILLEGAL_PROMPT');
-        }
-        
-        // 其他错误
-        // 将上游响应传递给回调，以便 dump
-        callback({ type: 'error', content: responseText, upstreamResponse: responseText, upstreamRequest: requestBody });
-        throw new ApiError(responseText, response.status, responseText);
-      }
       
-    } catch (error) {
-      // 如果还没有开始读取响应流，直接抛出错误
-      throw error;
-    }
-
-    // 从这里开始是流式传输，错误需要通过callback返回
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let reasoningContent = ''; // 累积 reasoning_content
-    let toolCalls = [];
-    let generatedImages = [];
-    let buffer = ''; // 用于处理跨chunk的JSON
-    let collectedParts = []; // 收集所有原始 parts 用于日志打印
-    let fullTextContent = ''; // 累积完整的文本内容
-    let lastFinishReason = null; // 记录最后的 finishReason
-
-    let chunkCount = 0;
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) {
-        break;
-      }
+        const { done, value } = readResult;
+        if (done) {
+          break;
+        }
       
-      const chunk = decoder.decode(value, { stream: true });
-      chunkCount++;
+        const chunk = decoder.decode(value, { stream: true });
+        chunkCount++;
       
-      buffer += chunk;
+        buffer += chunk;
       
-      const lines = buffer.split('\n');
-      // 保留最后一行(可能不完整)
-      buffer = lines.pop() || '';
+        const lines = buffer.split('\n');
+        // 保留最后一行(可能不完整)
+        buffer = lines.pop() || '';
       
-      for (const line of lines) {
-        if (!line.startsWith('data: ')) continue;
+        for (const line of lines) {
+          if (!line.startsWith('data: ')) continue;
         
-        const jsonStr = line.slice(6).trim();
-        if (!jsonStr) continue;
+          const jsonStr = line.slice(6).trim();
+          if (!jsonStr) continue;
         
-        try {
-          const data = JSON.parse(jsonStr);
+          try {
+            const data = JSON.parse(jsonStr);
           
-          const parts = data.response?.candidates?.[0]?.content?.parts;
+            const parts = data.response?.candidates?.[0]?.content?.parts;
           
-          // 记录 finishReason
-          if (data.response?.candidates?.[0]?.finishReason) {
-            lastFinishReason = data.response.candidates[0].finishReason;
-          }
+            // 记录 finishReason
+            if (data.response?.candidates?.[0]?.finishReason) {
+              lastFinishReason = data.response.candidates[0].finishReason;
+            }
           
-          if (parts) {
-            // 收集原始 parts 用于日志（深拷贝以保留原始数据）
-            for (const part of parts) {
-              // 深拷贝 part，但对于 inlineData 只保留元信息
-              const partCopy = { ...part };
-              if (partCopy.inlineData) {
-                partCopy.inlineData = {
-                  mimeType: partCopy.inlineData.mimeType,
-                  dataLength: partCopy.inlineData.data?.length || 0
-                };
+            // 记录 usageMetadata
+            if (data.response?.usageMetadata) {
+              lastUsageMetadata = data.response.usageMetadata;
+            }
+          
+            // 透传模式：直接把上游响应块交给调用方
+            if (options.raw) {
+              if (data.response) {
+                callback({ type: 'raw', data: data.response });
               }
-              collectedParts.push(partCopy);
+              continue;
             }
-            
-            for (const part of parts) {
-              if (part.thought === true) {
-                // Gemini 的思考内容转换为 OpenAI 兼容的 reasoning_content 格式
-                // 累积思考内容，稍后一起发送
-                reasoningContent += part.text || '';
-                callback({ type: 'reasoning', content: part.text || '' });
-              } else if (part.text !== undefined) {
-                // 过滤掉空的非thought文本
-                if (part.text.trim() === '') {
-                  continue;
+          
+            if (parts) {
+              // 收集原始 parts 用于日志（深拷贝以保留原始数据）
+              for (const part of parts) {
+                // 深拷贝 part，但对于 inlineData 只保留元信息
+                const partCopy = { ...part };
+                if (partCopy.inlineData) {
+                  partCopy.inlineData = {
+                    mimeType: partCopy.inlineData.mimeType,
+                    dataLength: partCopy.inlineData.data?.length || 0
+                  };
                 }
-                fullTextContent += part.text; // 累积文本内容
-                callback({ type: 'text', content: part.text });
-              } else if (part.inlineData) {
-                // 处理生成的图像
-                generatedImages.push({
-                  mimeType: part.inlineData.mimeType,
-                  data: part.inlineData.data
-                });
-                callback({
-                  type: 'image',
-                  image: {
+                collectedParts.push(partCopy);
+              }
+            
+              for (const part of parts) {
+                if (part.thought === true) {
+                  // Gemini 的思考内容转换为 OpenAI 兼容的 reasoning_content 格式
+                  // 累积思考内容，稍后一起发送
+                  reasoningContent += part.text || '';
+                  callback({ type: 'reasoning', content: part.text || '' });
+                } else if (part.text !== undefined) {
+                  // 过滤掉空的非thought文本
+                  if (part.text.trim() === '') {
+                    continue;
+                  }
+                  fullTextContent += part.text; // 累积文本内容
+                  callback({ type: 'text', content: part.text });
+                } else if (part.inlineData) {
+                  // 处理生成的图像
+                  generatedImages.push({
                     mimeType: part.inlineData.mimeType,
                     data: part.inlineData.data
+                  });
+                  callback({
+                    type: 'image',
+                    image: {
+                      mimeType: part.inlineData.mimeType,
+                      data: part.inlineData.data
+                    }
+                  });
+                } else if (part.functionCall) {
+                  // 上游没有禁止并行调用的参数，parallel_tool_calls=false 时只保留第一个工具调用
+                  if (options.parallelToolCalls === false && toolCallCount > 0) {
+                    logger.info(`parallel_tool_calls=false，忽略额外的工具调用: ${part.functionCall.name}`);
+                    continue;
                   }
-                });
-              } else if (part.functionCall) {
-                // 构建 tool_call 对象
-                const toolCall = {
-                  id: part.functionCall.id,
-                  type: 'function',
-                  function: {
-                    name: part.functionCall.name,
-                    arguments: JSON.stringify(part.functionCall.args)
-                  }
-                };
-                
-                // 如果有 thoughtSignature（与 functionCall 同级），添加到 extra_content 中
-                // 这是 Gemini 思考模型的特性，用于多轮工具调用时验证思考内容
-                // 注意：thoughtSignature 在 part 级别，与 functionCall 同级
-                if (part.thoughtSignature) {
-                  toolCall.extra_content = {
-                    google: {
-                      thought_signature: part.thoughtSignature
+                  // 每个工具调用分配稳定的 index，收到后立即以 tool_call_start + tool_call_delta 下发（与 Kiro 一致）
+                  const toolCallIndex = toolCallCount++;
+                  const toolCall = {
+                    index: toolCallIndex,
+                    id: part.functionCall.id,
+                    type: 'function',
+                    function: {
+                      name: part.functionCall.name,
+                      arguments: ''
                     }
                   };
-                }
                 
-                toolCalls.push(toolCall);
+                  // 如果有 thoughtSignature（与 functionCall 同级），添加到 extra_content 中
+                  // 这是 Gemini 思考模型的特性，用于多轮工具调用时验证思考内容
+                  // 注意：thoughtSignature 在 part 级别，与 functionCall 同级
+                  if (part.thoughtSignature) {
+                    toolCall.extra_content = {
+                      google: {
+                        thought_signature: part.thoughtSignature
+                      }
+                    };
+                    // 同时缓存在服务端，客户端丢弃 extra_content 时下一轮请求自动补上
+                    thoughtSignatureService.save(user_id, part.functionCall.id, part.thoughtSignature);
+                  }
+                
+                  callback({ type: 'tool_call_start', tool_calls: [toolCall] });
+                  // 上游一次性给出完整参数，作为单个增量下发
+                  callback({
+                    type: 'tool_call_delta',
+                    tool_call_index: toolCallIndex,
+                    tool_call_id: part.functionCall.id,
+                    delta: JSON.stringify(part.functionCall.args ?? {})
+                  });
+                }
               }
             }
+          } catch (e) {
+            logger.warn(`JSON解析失败: ${e.message}`);
           }
-          
-          if (data.response?.candidates?.[0]?.finishReason) {
-            if (toolCalls.length > 0) {
-              callback({ type: 'tool_calls', tool_calls: toolCalls });
-              toolCalls = [];
-            }
-          }
-        } catch (e) {
-          logger.warn(`JSON解析失败: ${e.message}`);
         }
       }
-    }
 
-    // 对话完成后，更新配额信息并记录消耗
-    try {
-      const quotaAfter = await this.updateQuotaAfterCompletion(account.cookie_id, model_name);
+      // 通知调用方用量和结束原因（透传模式下上游响应块中已包含 usageMetadata 和 finishReason；客户端已断开时无需通知）
+      if (!options.raw && !aborted) {
+        const usage = convertUsageMetadata(lastUsageMetadata);
+        if (usage) {
+          callback({ type: 'usage', usage });
+        }
+
+        if (lastFinishReason && lastFinishReason !== 'STOP') {
+          logger.info(`上游结束原因: ${lastFinishReason}`);
+        }
+        callback({
+          type: 'finish',
+          finish_reason: mapFinishReason(lastFinishReason, toolCallCount > 0),
+          upstream_reason: lastFinishReason
+        });
+      }
+
+      // 对话完成后，更新配额信息并记录消耗
+      try {
+        const quotaAfter = await this.updateQuotaAfterCompletion(account.cookie_id, model_name);
       
-      // 记录配额消耗（所有cookie都记录）
-      if (quotaBefore !== null && quotaAfter !== null) {
-        let consumed = parseFloat(quotaBefore) - parseFloat(quotaAfter);
+        // 记录配额消耗（所有cookie都记录）
+        if (quotaBefore !== null && quotaAfter !== null) {
+          let consumed = parseFloat(quotaBefore) - parseFloat(quotaAfter);
         
-        // 如果消耗为负数，说明配额在请求期间重置了，记录消耗为0
-        if (consumed < 0) {
-          logger.info(`配额在请求期间重置，记录消耗为0 - quota_before=${quotaBefore}, quota_after=${quotaAfter}`);
-          consumed = 0;
-        }
+          // 如果消耗为负数，说明配额在请求期间重置了，记录消耗为0
+          if (consumed < 0) {
+            logger.info(`配额在请求期间重置，记录消耗为0 - quota_before=${quotaBefore}, quota_after=${quotaAfter}`);
+            consumed = 0;
+          }
         
-        await quotaService.recordQuotaConsumption(
-          user_id,
-          account.cookie_id,
-          model_name,
-          quotaBefore,
-          quotaAfter,
-          account.is_shared
-        );
-        logger.info(`配额消耗已记录 - user_id=${user_id}, is_shared=${account.is_shared}, consumed=${consumed.toFixed(4)}`);
-      } else {
-        logger.warn(`无法记录配额消耗 - quotaBefore=${quotaBefore}, quotaAfter=${quotaAfter}`);
+          await quotaService.recordQuotaConsumption(
+            user_id,
+            account.cookie_id,
+            model_name,
+            quotaBefore,
+            quotaAfter,
+            account.is_shared
+          );
+          logger.info(`配额消耗已记录 - user_id=${user_id}, is_shared=${account.is_shared}, consumed=${consumed.toFixed(4)}`);
+        } else {
+          logger.warn(`无法记录配额消耗 - quotaBefore=${quotaBefore}, quotaAfter=${quotaAfter}`);
+        }
+      } catch (error) {
+        logger.error('更新配额或记录消耗失败:', error.message, error.stack);
+        // 不影响主流程，只记录错误
       }
-    } catch (error) {
-      logger.error('更新配额或记录消耗失败:', error.message, error.stack);
-      // 不影响主流程，只记录错误
+    } finally {
+      // 重试、切换账号或出错时也要移除，避免在客户端的 signal 上残留监听器
+      options.signal?.removeEventListener('abort', abortUpstream);
     }
   }
 
@@ -575,10 +687,11 @@ class MultiAccountClient {
     const accounts = await accountService.getAvailableAccounts(user_id);
     
     if (accounts.length === 0) {
-      throw new Error('没有可用的账号');
+      throw new ServiceError('NO_AVAILABLE_ACCOUNT');
     }
 
-    const account = accounts[0];
+    // 优先使用未熔断的账号
+    const account = accounts.find(acc => circuitBreakerService.canAttempt('antigravity', acc.cookie_id)) || accounts[0];
 
     // 检查token是否过期
     if (accountService.isTokenExpired(account)) {
@@ -591,7 +704,7 @@ class MultiAccountClient {
         // 如果是 invalid_grant 错误，直接禁用账号
         if (refreshError.isInvalidGrant) {
           logger.error(`账号刷新token失败(invalid_grant)，禁用账号: cookie_id=${account.cookie_id}`);
-          await accountService.updateAccountStatus(account.cookie_id, 0);
+          await accountService.updateAccountStatus(account.cookie_id, 0, { reason: '刷新token失败(invalid_grant)' });
         }
         throw refreshError;
       }
@@ -616,11 +729,16 @@ class MultiAccountClient {
     let data;
     
     try {
-      response = await fetch(modelsUrl, {
-        method: 'POST',
-        headers: requestHeaders,
-        body: JSON.stringify(requestBody)
-      });
+      try {
+        response = await fetch(modelsUrl, {
+          method: 'POST',
+          headers: requestHeaders,
+          body: JSON.stringify(requestBody)
+        });
+      } catch (error) {
+        this.recordNetworkFailure(account.cookie_id, error);
+        throw error;
+      }
       
       if (response.status === 403) {
         // 403错误，尝试切换端点重试
@@ -631,9 +749,9 @@ class MultiAccountClient {
           logger.warn(`[获取模型列表-403错误] 端点[${endpointIndex}]返回403，尝试切换到端点[${nextEndpointIndex}]`);
           return await this.getAvailableModels(user_id, nextEndpointIndex);
         } else {
-          // 所有端点都返回403，禁用账号
-          logger.warn(`[获取模型列表-403错误] 所有${totalEndpoints}个端点都返回403，禁用账号: cookie_id=${account.cookie_id}`);
-          await accountService.updateAccountStatus(account.cookie_id, 0);
+          // 所有端点都返回403，计入熔断器
+          logger.warn(`[获取模型列表-403错误] 所有${totalEndpoints}个端点都返回403，计入熔断器: cookie_id=${account.cookie_id}`);
+          circuitBreakerService.recordFailure('antigravity', account.cookie_id, 'ALL_ENDPOINTS_403');
           throw new ApiError('All endpoints returned 403', 403, 'All endpoints returned 403');
         }
       }
@@ -643,7 +761,8 @@ class MultiAccountClient {
       if (!response.ok) {
         throw new ApiError(JSON.stringify(data), response.status, JSON.stringify(data));
       }
-      
+
+      circuitBreakerService.recordSuccess('antigravity', account.cookie_id);
     } catch (error) {
       throw error;
     }
@@ -665,6 +784,16 @@ class MultiAccountClient {
     };
   }
 
+  /**
+   * 将网络错误、连接重置、超时等请求未得到上游响应的失败计入熔断器
+   * @param {string} cookie_id - Cookie ID
+   * @param {Error} error - 请求错误
+   */
+  recordNetworkFailure(cookie_id, error) {
+    const reason = error.name === 'AbortError' ? '请求超时' : `网络错误: ${error.cause?.code || error.message}`;
+    circuitBreakerService.recordFailure('antigravity', cookie_id, reason);
+  }
+
   /**
    * 刷新cookie的quota（实时获取，使用默认端点）
    * @param {string} cookie_id - Cookie ID
@@ -806,6 +935,9 @@ class MultiAccountClient {
           body: JSON.stringify(requestBody),
           signal: controller.signal
         });
+      } catch (error) {
+        this.recordNetworkFailure(account.cookie_id, error);
+        throw error;
       } finally {
         clearTimeout(timeout);
       }
@@ -832,12 +964,12 @@ class MultiAccountClient {
             return await this.generateImage(requestBody, user_id, model_name, user, account, excludeCookieIds, retryCount, nextEndpointIndex, currentFirstError403Type);
           } else {
             // 所有端点都返回403
-            // 只有当第一次错误不是 PERMISSION_DENIED 时才禁用账号
+            // 只有当第一次错误不是 PERMISSION_DENIED 时才计入熔断器
             if (currentFirstError403Type !== 'PERMISSION_DENIED') {
-              logger.warn(`[图片生成-403错误] 所有${totalEndpoints}个端点都返回403，禁用账号: cookie_id=${account.cookie_id}`);
-              await accountService.updateAccountStatus(account.cookie_id, 0);
+              logger.warn(`[图片生成-403错误] 所有${totalEndpoints}个端点都返回403，计入熔断器: cookie_id=${account.cookie_id}`);
+              circuitBreakerService.recordFailure('antigravity', account.cookie_id, 'ALL_ENDPOINTS_403');
             } else {
-              logger.warn(`[图片生成-403错误] 所有${totalEndpoints}个端点都返回403，但第一次错误是PERMISSION_DENIED，不禁用账号: cookie_id=${account.cookie_id}`);
+              logger.warn(`[图片生成-403错误] 所有${totalEndpoints}个端点都返回403，但第一次错误是PERMISSION_DENIED，不计入熔断器: cookie_id=${account.cookie_id}`);
             }
             throw new ApiError('ALL_ENDPOINTS_403', 403, responseText);
           }
@@ -875,10 +1007,10 @@ class MultiAccountClient {
             logger.warn(`[图片生成-400错误] 图片超过5MB限制`);
             throw new ApiError('IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB', 400, 'IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB');
           }
-          // 检查是否是 RESOURCE_PROJECT_INVALID 错误，禁用账号并换号重试
+          // 检查是否是 RESOURCE_PROJECT_INVALID 错误，计入熔断器并换号重试
           if (responseText.includes('RESOURCE_PROJECT_INVALID')) {
-            logger.warn(`[图片生成-400错误] RESOURCE_PROJECT_INVALID，禁用账号并尝试更换账号重试: cookie_id=${account.cookie_id}`);
-            await accountService.updateAccountStatus(account.cookie_id, 0);
+            logger.warn(`[图片生成-400错误] RESOURCE_PROJECT_INVALID，计入熔断器并尝试更换账号重试: cookie_id=${account.cookie_id}`);
+            circuitBreakerService.recordFailure('antigravity', account.cookie_id, 'RESOURCE_PROJECT_INVALID');
             
             // 将当前账号加入排除列表
             const newExcludeList = [...excludeCookieIds, account.cookie_id];
@@ -906,9 +1038,9 @@ class MultiAccountClient {
             logger.warn(`[图片生成-400错误] 参数错误(INVALID_ARGUMENT/invalid_request_error)，不禁用账号: cookie_id=${account.cookie_id}, error=${responseText.substring(0, 200)}`);
             throw new ApiError(responseText, response.status, responseText);
           }
-          // 其他400错误，禁用账号
-          logger.warn(`账号请求失败(400)，已禁用: cookie_id=${account.cookie_id}, error=${responseText.substring(0, 200)}`);
-          await accountService.updateAccountStatus(account.cookie_id, 0);
+          // 其他400错误，计入熔断器
+          logger.warn(`账号请求失败(400)，计入熔断器: cookie_id=${account.cookie_id}, error=${responseText.substring(0, 200)}`);
+          circuitBreakerService.recordFailure('antigravity', account.cookie_id, `HTTP 400: ${responseText.substring(0, 200)}`);
           throw new ApiError(responseText, response.status, responseText);
         }
         
@@ -954,7 +1086,8 @@ class MultiAccountClient {
         // 其他错误
         throw new ApiError(responseText, response.status, responseText);
       }
-      
+
+      circuitBreakerService.recordSuccess('antigravity', account.cookie_id);
     } catch (error) {
       throw error;
     }
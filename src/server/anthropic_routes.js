@@ -0,0 +1,204 @@
+import express from 'express';
+import userService from '../services/user.service.js';
+import multiAccountClient from '../api/multi_account_client.js';
+import kiroClient from '../api/kiro_client.js';
+import stickySessionService from '../services/sticky_session.service.js';
+import { generateRequestBody, SKIP_DUMP_PATTERNS, dumpErrorArtifacts } from '../utils/utils.js';
+import {
+  convertAnthropicRequestToOpenAI,
+  convertAnthropicMessagesForKiro,
+  AnthropicResponseBuilder
+} from '../utils/anthropic.js';
+import { getLocale, createUpstreamError, formatAnthropicError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import { countStringTokens, countChatPromptTokens } from '../utils/token_counter.js';
+import { startHeartbeat } from '../utils/heartbeat.js';
+
+const router = express.Router();
+
+/**
+ * 以 Anthropic 格式返回错误响应
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @param {Error|string} error - 错误对象或错误码
+ * @param {Object} params - 错误码为字符串时的占位符参数
+ */
+const sendAnthropicError = (req, res, error, params = {}) => {
+  const { status, body } = formatAnthropicError(error, getLocale(req), params);
+  res.status(status).json(body);
+};
+
+/**
+ * API Key认证中间件（Anthropic 风格）
+ * 支持 x-api-key: sk-xxx 和 Authorization: Bearer sk-xxx 两种方式
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  let apiKey = req.headers['x-api-key'];
+  if (!apiKey && authHeader && authHeader.startsWith('Bearer ')) {
+    apiKey = authHeader.slice(7);
+  }
+
+  if (!apiKey) {
+    return sendAnthropicError(req, res, 'MISSING_API_KEY');
+  }
+
+  // 检查是否是管理员API Key
+  if (apiKey === config.security?.adminApiKey) {
+    req.isAdmin = true;
+    req.user = { user_id: 'admin', api_key: apiKey };
+    return next();
+  }
+
+  // 验证用户API Key
+  const user = await userService.validateApiKey(apiKey);
+  if (!user) {
+    return sendAnthropicError(req, res, 'INVALID_API_KEY');
+  }
+
+  req.user = user;
+  req.isAdmin = false;
+  next();
+};
+
+// ==================== Anthropic兼容接口 ====================
+
+/**
+ * Anthropic Messages API
+ * POST /v1/messages
+ * Body: { model, messages, system, max_tokens, stream, tools, tool_choice, thinking, ... }
+ * Header: x-api-key: sk-xxx
+ * Header: X-Account-Type: antigravity (默认) 或 kiro
+ */
+router.post('/v1/messages', authenticateApiKey, async (req, res) => {
+  // 设置10分钟超时（避免长对话被断开）
+  req.setTimeout(600000);
+  res.setTimeout(600000);
+
+  const { model, messages, stream = false } = req.body;
+
+  if (!model) {
+    return sendAnthropicError(req, res, 'MISSING_PARAMETER', { param: 'model' });
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return sendAnthropicError(req, res, 'EMPTY_ARRAY_PARAMETER', { param: 'messages' });
+  }
+
+  const accountType = (req.headers['x-account-type'] || 'antigravity').toLowerCase();
+  const converted = convertAnthropicRequestToOpenAI(req.body);
+  const session = stickySessionService.getSession(req, req.user.user_id, converted.messages, accountType);
+  const inputTokens = countChatPromptTokens(converted.messages, model);
+
+  let requestBody = null;
+  let upstreamError = null;
+  let responseEnded = false;
+  const abortController = new AbortController();
+  const builder = new AnthropicResponseBuilder(model, inputTokens, stream ? res : null);
+
+  res.on('close', () => {
+    responseEnded = true;
+    // 客户端提前断开时取消上游请求
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  // 上游回调：错误事件记录下来统一处理，其余事件交给构建器
+  const onEvent = (data) => {
+    if (responseEnded) return;
+    if (data.type === 'error') {
+      upstreamError = upstreamError || data;
+      return;
+    }
+    builder.handleEvent(data);
+  };
+
+  // 开始流式输出（在获取账号等准备工作完成之后，以便准备阶段的错误仍能返回正常的HTTP状态码）
+  const startStream = () => {
+    if (!stream) return;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    builder.start();
+  };
+  // 心跳在 startStream 之前启动，但响应头发送（流式输出开始）前不会写入；
+  // 之后等待上游期间按 Anthropic 协议发送 ping 事件
+  if (stream) {
+    startHeartbeat(res, { payload: 'event: ping\ndata: {"type":"ping"}\n\n' });
+  }
+
+  try {
+    if (accountType !== 'kiro') {
+      const account = await multiAccountClient.getAvailableAccount(req.user.user_id, model, req.user, [], session);
+      requestBody = await generateRequestBody(converted.messages, model, converted.params, converted.tools, req.user.user_id, account, session?.sessionId);
+
+      startStream();
+
+      await multiAccountClient.generateResponse(requestBody, onEvent, req.user.user_id, model, req.user, account, [], 0, 0, null, {
+        parallelToolCalls: converted.params.parallel_tool_calls,
+        session,
+        signal: abortController.signal
+      });
+    } else {
+      startStream();
+
+      // Kiro 转换层原生支持 Anthropic 格式的内容块和工具定义
+      const options = { tools: req.body.tools, tool_choice: req.body.tool_choice, session, signal: abortController.signal };
+      await kiroClient.generateResponse(convertAnthropicMessagesForKiro(req.body), model, onEvent, req.user.user_id, options);
+    }
+
+    if (upstreamError) {
+      throw createUpstreamError(upstreamError.content);
+    }
+
+    if (responseEnded) {
+      return;
+    }
+
+    const outputTokens = countStringTokens(builder.outputText, model);
+
+    if (stream) {
+      builder.finish(outputTokens);
+      res.end();
+    } else {
+      res.json(builder.toMessage(outputTokens));
+    }
+  } catch (error) {
+    // 客户端已断开导致的取消不算失败
+    if (abortController.signal.aborted) {
+      logger.info('客户端已断开，请求已取消');
+      return;
+    }
+
+    logger.error('Anthropic消息生成失败:', error.message);
+
+    // 尝试转储错误现场（跳过常见错误）
+    const shouldSkipDump = SKIP_DUMP_PATTERNS.some(pattern =>
+      error.message?.includes(pattern) || error.responseText?.includes(pattern)
+    );
+    if (error.name === 'ApiError' && error.responseText && !shouldSkipDump) {
+      await dumpErrorArtifacts(req.body, requestBody, error.responseText, error.message);
+    }
+
+    if (responseEnded) {
+      return;
+    }
+
+    const { status, body } = formatAnthropicError(error, getLocale(req));
+
+    try {
+      if (res.headersSent) {
+        // 流已开始，通过 error 事件传递错误
+        builder.error(body);
+        res.end();
+      } else {
+        res.status(status).json(body);
+      }
+    } catch (writeError) {
+      logger.warn(`写入Anthropic错误响应失败: ${writeError.message}`);
+    }
+  }
+});
+
+export default router;
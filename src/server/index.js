@@ -3,8 +3,12 @@ import logger from '../utils/logger.js';
 import config from '../config/config.js';
 import database from '../db/database.js';
 import redisService from '../services/redis.service.js';
+import fileService from '../services/file.service.js';
+import accountRecoveryService from '../services/account_recovery.service.js';
 import routes from './routes.js';
 import kiroRoutes from './kiro_routes.js';
+import anthropicRoutes from './anthropic_routes.js';
+import { sendError } from '../utils/errors.js';
 
 // 设置日志级别
 if (config.logging?.level) {
@@ -26,6 +30,12 @@ database.ping().then(connected => {
   }
 });
 
+// 定时清理过期文件（生成的图片等）
+fileService.startCleanup();
+
+// 定时检测被禁用的账号，检测通过后自动重新启用
+accountRecoveryService.start();
+
 // 初始化Redis（用于Kiro OAuth状态存储）
 redisService.init().then(() => {
   logger.info('Redis初始化成功');
@@ -37,7 +47,7 @@ app.use(express.json({ limit: config.security.maxRequestSize }));
 
 app.use((err, req, res, next) => {
   if (err.type === 'entity.too.large') {
-    return res.status(413).json({ error: `请求体过大，最大支持 ${config.security.maxRequestSize}` });
+    return sendError(req, res, 'REQUEST_TOO_LARGE', { limit: config.security.maxRequestSize });
   }
   next(err);
 });
@@ -53,6 +63,7 @@ app.use((req, res, next) => {
 // 使用路由（认证在routes.js中处理）
 app.use(routes);
 app.use(kiroRoutes);
+app.use(anthropicRoutes);
 
 const server = app.listen(config.server.port, config.server.host, () => {
   logger.info(`服务器已启动: ${config.server.host}:${config.server.port}`);
@@ -78,6 +89,8 @@ server.on('error', (error) => {
 const shutdown = async () => {
   logger.info('正在关闭服务器...');
   server.close(async () => {
+    fileService.stopCleanup();
+    accountRecoveryService.stop();
     await database.close();
     await redisService.close();
     logger.info('服务器已关闭');
@@ -4,9 +4,16 @@ import kiroService from '../services/kiro.service.js';
 import kiroClient from '../api/kiro_client.js';
 import kiroConsumptionService from '../services/kiro_consumption.service.js';
 import userService from '../services/user.service.js';
+import stickySessionService from '../services/sticky_session.service.js';
+import circuitBreakerService from '../services/circuit_breaker.service.js';
+import accountRecoveryService from '../services/account_recovery.service.js';
+import accountStatusService, { ACCOUNT_TYPE_KIRO, CHANGED_BY_ADMIN, CHANGED_BY_USER } from '../services/account_status.service.js';
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
-import { countStringTokens } from '../utils/token_counter.js';
+import { countChatPromptTokens } from '../utils/token_counter.js';
+import { ChatCompletionBuilder } from '../utils/chat_completion.js';
+import { startHeartbeat } from '../utils/heartbeat.js';
+import { ServiceError, getLocale, formatOpenAIError, sendError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -16,7 +23,7 @@ const router = express.Router();
 const authenticateApiKey = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: '缺少Authorization请求头' });
+    return sendError(req, res, 'MISSING_API_KEY');
   }
 
   const apiKey = authHeader.slice(7);
@@ -31,7 +38,7 @@ const authenticateApiKey = async (req, res, next) => {
   // 验证用户API Key
   const user = await userService.validateApiKey(apiKey);
   if (!user) {
-    return res.status(401).json({ error: '无效的API Key' });
+    return sendError(req, res, 'INVALID_API_KEY');
   }
 
   req.user = user;
@@ -44,7 +51,7 @@ const authenticateApiKey = async (req, res, next) => {
  */
 const requireAdmin = (req, res, next) => {
   if (!req.isAdmin) {
-    return res.status(403).json({ error: '需要管理员权限' });
+    return sendError(req, res, 'ADMIN_REQUIRED');
   }
   next();
 };
@@ -61,11 +68,11 @@ router.post('/api/kiro/oauth/authorize', authenticateApiKey, async (req, res) =>
     const { provider = 'Google', is_shared = 0 } = req.body;
 
     if (!['Google', 'Github'].includes(provider)) {
-      return res.status(400).json({ error: 'provider必须是Google或Github' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'provider', allowed: ['Google', 'Github'] });
     }
 
     if (is_shared !== 0 && is_shared !== 1) {
-      return res.status(400).json({ error: 'is_shared必须是0或1' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'is_shared', allowed: [0, 1] });
     }
 
     // 获取Bearer token
@@ -80,7 +87,7 @@ router.post('/api/kiro/oauth/authorize', authenticateApiKey, async (req, res) =>
     });
   } catch (error) {
     logger.error('生成Kiro登录URL失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -94,17 +101,15 @@ router.get('/api/kiro/oauth/status/:state', async (req, res) => {
     const { state } = req.params;
 
     if (!state) {
-      return res.status(400).json({ error: '缺少state参数' });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'state' });
     }
 
     // 从Redis获取OAuth状态信息
     const stateInfo = await kiroService.getOAuthStateInfo(state);
     
     if (!stateInfo) {
-      return res.status(404).json({
-        error: '无效或已过期的state参数',
-        status: 'expired'
-      });
+      const { body } = formatOpenAIError('INVALID_OAUTH_STATE', getLocale(req));
+      return res.status(404).json({ ...body, status: 'expired' });
     }
 
     // 检查是否已完成
@@ -135,7 +140,7 @@ router.get('/api/kiro/oauth/status/:state', async (req, res) => {
     });
   } catch (error) {
     logger.error('查询OAuth状态失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -160,13 +165,13 @@ router.post('/api/kiro/oauth/callback', async (req, res) => {
     }
 
     if (!code || !state) {
-      return res.status(400).json({ error: '缺少必需字段: code, state 或 callback_url' });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'code/state or callback_url' });
     }
 
     // 从Redis获取OAuth状态信息（包含bearer_token和user_id）
     const stateInfo = await kiroService.getOAuthStateInfo(state);
     if (!stateInfo) {
-      return res.status(400).json({ error: '无效或已过期的state参数' });
+      return sendError(req, res, 'INVALID_OAUTH_STATE');
     }
 
     // 从stateInfo中获取用户信息（不需要认证）
@@ -226,6 +231,9 @@ router.post('/api/kiro/oauth/callback', async (req, res) => {
       account_name: account.account_name,
       auth_method: account.auth_method,
       status: account.status,
+      disabled_reason: account.disabled_reason,
+      disabled_at: account.disabled_at,
+      disabled_by: account.disabled_by,
       expires_at: account.expires_at,
       email: account.email,
       subscription: account.subscription,
@@ -246,6 +254,9 @@ router.post('/api/kiro/oauth/callback', async (req, res) => {
       account_name: account.account_name,
       auth_method: account.auth_method,
       status: account.status,
+      disabled_reason: account.disabled_reason,
+      disabled_at: account.disabled_at,
+      disabled_by: account.disabled_by,
       expires_at: account.expires_at,
       email: account.email,
       subscription: account.subscription,
@@ -259,7 +270,7 @@ router.post('/api/kiro/oauth/callback', async (req, res) => {
     });
   } catch (error) {
     logger.error('Login error:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -279,24 +290,24 @@ router.post('/api/kiro/accounts', authenticateApiKey, async (req, res) => {
     } = req.body;
 
     if (!auth_method || !refresh_token) {
-      return res.status(400).json({ error: '缺少必需字段: auth_method, refresh_token' });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'auth_method, refresh_token' });
     }
 
     // machineid和is_shared是必填的，其他字段可以从API自动获取
     if (!machineid || is_shared === undefined) {
-      return res.status(400).json({ error: '缺少必需字段: machineid, is_shared' });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'machineid, is_shared' });
     }
 
     if (is_shared !== 0 && is_shared !== 1) {
-      return res.status(400).json({ error: 'is_shared必须是0或1' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'is_shared', allowed: [0, 1] });
     }
 
     if (!['Social', 'IdC'].includes(auth_method)) {
-      return res.status(400).json({ error: 'auth_method必须是Social或IdC' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'auth_method', allowed: ['Social', 'IdC'] });
     }
 
     if (auth_method === 'IdC' && (!client_id || !client_secret)) {
-      return res.status(400).json({ error: 'IdC认证需要client_id和client_secret' });
+      return sendError(req, res, 'IDC_CREDENTIALS_REQUIRED');
     }
 
     // 先测试token是否有效
@@ -360,6 +371,9 @@ router.post('/api/kiro/accounts', authenticateApiKey, async (req, res) => {
       account_name: account.account_name,
       auth_method: account.auth_method,
       status: account.status,
+      disabled_reason: account.disabled_reason,
+      disabled_at: account.disabled_at,
+      disabled_by: account.disabled_by,
       expires_at: account.expires_at,
       created_at: account.created_at
     };
@@ -371,7 +385,7 @@ router.post('/api/kiro/accounts', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('Login error:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -390,6 +404,10 @@ router.get('/api/kiro/accounts', authenticateApiKey, async (req, res) => {
       account_name: acc.account_name,
       auth_method: acc.auth_method,
       status: acc.status,
+      disabled_reason: acc.disabled_reason,
+      disabled_at: acc.disabled_at,
+      disabled_by: acc.disabled_by,
+      circuit_breaker: circuitBreakerService.getStatus('kiro', acc.account_id),
       expires_at: acc.expires_at,
       created_at: acc.created_at,
       updated_at: acc.updated_at
@@ -401,7 +419,7 @@ router.get('/api/kiro/accounts', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取Kiro账号列表失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -415,12 +433,12 @@ router.get('/api/kiro/accounts/:account_id', authenticateApiKey, async (req, res
     const account = await kiroAccountService.getAccountById(account_id);
 
     if (!account) {
-      return res.status(404).json({ error: 'Kiro账号不存在' });
+      return sendError(req, res, 'KIRO_ACCOUNT_NOT_FOUND');
     }
 
     // 检查权限
     if (!req.isAdmin && account.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权访问此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 隐藏敏感信息
@@ -430,6 +448,11 @@ router.get('/api/kiro/accounts/:account_id', authenticateApiKey, async (req, res
       account_name: account.account_name,
       auth_method: account.auth_method,
       status: account.status,
+      disabled_reason: account.disabled_reason,
+      disabled_at: account.disabled_at,
+      disabled_by: account.disabled_by,
+      circuit_breaker: circuitBreakerService.getStatus('kiro', account.account_id),
+      recovery: accountRecoveryService.getStatus(ACCOUNT_TYPE_KIRO, account.account_id),
       expires_at: account.expires_at,
       created_at: account.created_at,
       updated_at: account.updated_at
@@ -441,34 +464,75 @@ router.get('/api/kiro/accounts/:account_id', authenticateApiKey, async (req, res
     });
   } catch (error) {
     logger.error('获取Kiro账号信息失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * 获取Kiro账号状态变更记录
+ * GET /api/kiro/accounts/:account_id/history
+ * Query: limit（默认50，最多200）
+ */
+router.get('/api/kiro/accounts/:account_id/history', authenticateApiKey, async (req, res) => {
+  try {
+    const { account_id } = req.params;
+    const account = await kiroAccountService.getAccountById(account_id);
+
+    if (!account) {
+      return sendError(req, res, 'KIRO_ACCOUNT_NOT_FOUND');
+    }
+
+    // 检查权限
+    if (!req.isAdmin && account.user_id !== req.user.user_id) {
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
+    }
+
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const history = await accountStatusService.getHistory(ACCOUNT_TYPE_KIRO, account_id, limit);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('获取Kiro账号状态变更记录失败:', error.message);
+    sendError(req, res, error);
   }
 });
 
 /**
  * 更新Kiro账号状态
  * PUT /api/kiro/accounts/:account_id/status
- * Body: { status }
+ * Body: { status, reason? }
+ *
+ * reason 为可选的变更原因，禁用时记录到账号和状态变更记录中
  */
 router.put('/api/kiro/accounts/:account_id/status', authenticateApiKey, async (req, res) => {
   try {
     const { account_id } = req.params;
-    const { status } = req.body;
+    const { status, reason = null } = req.body;
 
     if (status !== 0 && status !== 1) {
-      return res.status(400).json({ error: 'status必须是0或1' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'status', allowed: [0, 1] });
+    }
+
+    if (reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return sendError(req, res, 'INVALID_REASON', { param: 'reason' });
     }
 
     // 检查权限
     const existingAccount = await kiroAccountService.getAccountById(account_id);
     if (!existingAccount) {
-      return res.status(404).json({ error: 'Kiro账号不存在' });
+      return sendError(req, res, 'KIRO_ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && existingAccount.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权修改此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
-    const account = await kiroAccountService.updateAccountStatus(account_id, status);
+    const account = await kiroAccountService.updateAccountStatus(account_id, status, {
+      reason,
+      changed_by: req.isAdmin ? CHANGED_BY_ADMIN : CHANGED_BY_USER
+    });
 
     res.json({
       success: true,
@@ -480,7 +544,7 @@ router.put('/api/kiro/accounts/:account_id/status', authenticateApiKey, async (r
     });
   } catch (error) {
     logger.error('更新Kiro账号状态失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -495,16 +559,16 @@ router.put('/api/kiro/accounts/:account_id/name', authenticateApiKey, async (req
     const { account_name } = req.body;
 
     if (!account_name) {
-      return res.status(400).json({ error: '缺少account_name参数' });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'account_name' });
     }
 
     // 检查权限
     const existingAccount = await kiroAccountService.getAccountById(account_id);
     if (!existingAccount) {
-      return res.status(404).json({ error: 'Kiro账号不存在' });
+      return sendError(req, res, 'KIRO_ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && existingAccount.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权修改此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     const account = await kiroAccountService.updateAccountName(account_id, account_name);
@@ -519,7 +583,7 @@ router.put('/api/kiro/accounts/:account_id/name', authenticateApiKey, async (req
     });
   } catch (error) {
     logger.error('更新Kiro账号名称失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -534,12 +598,12 @@ router.get('/api/kiro/accounts/:account_id/balance', authenticateApiKey, async (
     // 获取账号信息
     let account = await kiroAccountService.getAccountById(account_id);
     if (!account) {
-      return res.status(404).json({ error: 'Kiro账号不存在' });
+      return sendError(req, res, 'KIRO_ACCOUNT_NOT_FOUND');
     }
 
     // 检查权限
     if (!req.isAdmin && account.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权访问此账号余额' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 检查token是否过期，如果过期则刷新
@@ -626,7 +690,7 @@ router.get('/api/kiro/accounts/:account_id/balance', authenticateApiKey, async (
     });
   } catch (error) {
     logger.error('获取Kiro账号余额失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -641,10 +705,10 @@ router.delete('/api/kiro/accounts/:account_id', authenticateApiKey, async (req,
     // 检查权限
     const existingAccount = await kiroAccountService.getAccountById(account_id);
     if (!existingAccount) {
-      return res.status(404).json({ error: 'Kiro账号不存在' });
+      return sendError(req, res, 'KIRO_ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && existingAccount.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权删除此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     await kiroAccountService.deleteAccount(account_id);
@@ -655,7 +719,7 @@ router.delete('/api/kiro/accounts/:account_id', authenticateApiKey, async (req,
     });
   } catch (error) {
     logger.error('删除Kiro账号失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -674,12 +738,12 @@ router.get('/api/kiro/accounts/:account_id/consumption', authenticateApiKey, asy
     // 检查账号是否存在
     const account = await kiroAccountService.getAccountById(account_id);
     if (!account) {
-      return res.status(404).json({ error: 'Kiro账号不存在' });
+      return sendError(req, res, 'KIRO_ACCOUNT_NOT_FOUND');
     }
 
     // 检查权限
     if (!req.isAdmin && account.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权访问此账号的消费记录' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 获取消费记录（通过用户ID过滤，确保只能看到自己的记录）
@@ -724,7 +788,7 @@ router.get('/api/kiro/accounts/:account_id/consumption', authenticateApiKey, asy
     });
   } catch (error) {
     logger.error('获取账号消费记录失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -748,7 +812,7 @@ router.get('/api/kiro/consumption/stats', authenticateApiKey, async (req, res) =
     });
   } catch (error) {
     logger.error('获取用户消费统计失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -764,10 +828,33 @@ router.get('/v1/kiro/models', authenticateApiKey, async (req, res) => {
     res.json(models);
   } catch (error) {
     logger.error('获取Kiro模型列表失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
+/**
+ * 将Kiro错误归类为错误目录中的错误
+ * @param {Error} error - 错误对象
+ * @returns {ServiceError} 带错误码的错误
+ */
+const classifyKiroError = (error) => {
+  if (error instanceof ServiceError) {
+    return error;
+  }
+  // 检查是否是配额耗尽的错误
+  if (error.message.includes('配额') ||
+      error.message.includes('quota') ||
+      error.message.includes('limit')) {
+    return new ServiceError('RESOURCE_EXHAUSTED');
+  }
+  if (error.message.includes('认证') ||
+      error.message.includes('授权') ||
+      error.message.includes('token')) {
+    return new ServiceError('AUTHENTICATION_FAILED', { detail: error.message });
+  }
+  return new ServiceError('UPSTREAM_ERROR', { detail: error.message });
+};
+
 /**
  * Kiro聊天补全
  * POST /v1/kiro/chat/completions
@@ -778,312 +865,84 @@ router.post('/v1/kiro/chat/completions', authenticateApiKey, async (req, res) =>
   req.setTimeout(600000); // 10分钟 = 600000毫秒
   res.setTimeout(600000);
 
-  const { messages, model, stream = true, tools, tool_choice } = req.body;
+  const { messages, model, stream = true, tools, tool_choice, stream_options } = req.body;
 
   if (!messages) {
-    return res.status(400).json({ error: 'messages是必需的' });
+    return sendError(req, res, 'MISSING_PARAMETER', { param: 'messages' });
   }
 
   if (!model) {
-    return res.status(400).json({ error: 'model是必需的' });
+    return sendError(req, res, 'MISSING_PARAMETER', { param: 'model' });
   }
 
-  const options = { tools, tool_choice };
+  const options = { tools, tool_choice, session: stickySessionService.getSession(req, req.user.user_id, messages, 'kiro') };
 
   // 计算输入token数
-  const inputText = messages.map(m => {
-    if (typeof m.content === 'string') return m.content;
-    if (Array.isArray(m.content)) {
-      return m.content.filter(c => c.type === 'text').map(c => c.text).join('');
+  const promptTokens = countChatPromptTokens(messages, model);
+
+  const builder = new ChatCompletionBuilder(model, promptTokens, stream ? res : null, {
+    includeUsage: stream_options?.include_usage === true,
+    inlineErrors: req.user.inline_stream_errors === 1
+  });
+  let responseEnded = false; // 标记响应是否已结束
+  const abortController = new AbortController();
+
+  // 监听响应关闭事件
+  res.on('close', () => {
+    responseEnded = true;
+    // 客户端提前断开时取消上游请求
+    if (!res.writableFinished) {
+      abortController.abort();
     }
-    return '';
-  }).join('\n');
-  const promptTokens = countStringTokens(inputText, model);
+  });
 
+  // 等待上游期间发送心跳，第一次心跳时开始流式输出
   if (stream) {
-    // 流式响应
-    const id = `chatcmpl-${Date.now()}`;
-    const created = Math.floor(Date.now() / 1000);
-    let hasToolCall = false;
-    let fullContent = ''; // 累积输出内容用于计算token
-    let toolCallArgs = ''; // 累积工具调用参数用于计算token
-    let toolCallIndex = 0; // 跟踪工具调用索引
-    let responseEnded = false; // 标记响应是否已结束
-
-    try {
-      // 先尝试获取账号，如果失败则返回错误状态码
-      // 设置流式响应头
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      
-      // 监听响应关闭事件
-      res.on('close', () => {
-        responseEnded = true;
-      });
-      
-      await kiroClient.generateResponse(messages, model, (data) => {
-        // 如果响应已结束，不再写入数据
-        if (responseEnded) {
-          return;
-        }
-        
-        try {
-          if (data.type === 'tool_call_start') {
-            // OpenAI 流式格式：首次发送工具调用（包含 id, type, function.name）
-            hasToolCall = true;
-            const toolCalls = data.tool_calls.map((tc, idx) => ({
-              index: tc.index,  // 使用从 kiro_client 传来的正确索引
-              id: tc.id,
-              type: 'function',
-              function: {
-                name: tc.function.name,
-                arguments: ''
-              }
-            }));
-            // 累积工具名称用于token计算
-            toolCallArgs += data.tool_calls.map(tc => tc.function.name).join('');
-            const chunk = {
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{ index: 0, delta: { tool_calls: toolCalls }, finish_reason: null }]
-            };
-            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-          } else if (data.type === 'tool_call_delta') {
-            // OpenAI 流式格式：后续发送工具调用参数
-            hasToolCall = true;
-            // 累积工具参数用于token计算
-            toolCallArgs += data.delta || '';
-            const chunk = {
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{
-                index: 0,
-                delta: {
-                  tool_calls: [{
-                    index: data.tool_call_index,  // 使用正确的工具调用索引
-                    id: data.tool_call_id,  // 添加工具调用ID
-                    function: {
-                      arguments: data.delta
-                    }
-                  }]
-                },
-                finish_reason: null
-              }]
-            };
-            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-          } else if (data.type === 'tool_calls') {
-            // 兼容旧格式：一次性发送完整的工具调用
-            hasToolCall = true;
-            // 累积工具调用内容用于token计算
-            toolCallArgs += data.tool_calls.map(tc => tc.function?.name + (tc.function?.arguments || '')).join('');
-            const chunk = {
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{ index: 0, delta: { tool_calls: data.tool_calls }, finish_reason: null }]
-            };
-            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-          } else if (data.type === 'text') {
-            fullContent += data.content; // 累积内容
-            const chunk = {
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{ index: 0, delta: { content: data.content }, finish_reason: null }]
-            };
-            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-          }
-        } catch (writeError) {
-          logger.warn(`Kiro写入响应失败: ${writeError.message}`);
-          responseEnded = true;
-        }
-      }, req.user.user_id, options);
+    startHeartbeat(res, { beforeWrite: () => builder.start() });
+  }
 
-      // 如果响应已结束，直接返回
+  try {
+    // 流式响应在第一次输出时才发送响应头，获取账号失败等错误仍返回对应的状态码
+    await kiroClient.generateResponse(messages, model, (data) => {
+      // 如果响应已结束，不再写入数据
       if (responseEnded) {
         return;
       }
+      builder.handleEvent(data);
+    }, req.user.user_id, { ...options, signal: abortController.signal });
 
-      // 计算输出token数（包括文本内容和工具调用参数）
-      const completionTokens = countStringTokens(fullContent + toolCallArgs, model);
-      const totalTokens = promptTokens + completionTokens;
-
-      // 发送带usage的finish chunk
-      try {
-        const finishChunk = {
-          id,
-          object: 'chat.completion.chunk',
-          created,
-          model,
-          choices: [{ index: 0, delta: {}, finish_reason: hasToolCall ? 'tool_calls' : 'stop' }],
-          usage: {
-            prompt_tokens: promptTokens,
-            completion_tokens: completionTokens,
-            total_tokens: totalTokens
-          }
-        };
-        res.write(`data: ${JSON.stringify(finishChunk)}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
-      } catch (writeError) {
-        logger.warn(`Kiro写入结束响应失败: ${writeError.message}`);
-      }
-    } catch (error) {
-      // 如果响应已结束，直接返回
-      if (responseEnded) {
-        return;
-      }
-      
-      logger.error('Kiro生成响应失败:', error.message);
-      
-      // 根据错误类型返回适当的状态码
-      let statusCode = 500;
-      let errorMessage = error.message;
-      
-      // 检查是否是配额耗尽或无可用账号的错误
-      if (error.message.includes('没有可用的Kiro账号') ||
-          error.message.includes('配额') ||
-          error.message.includes('quota') ||
-          error.message.includes('limit')) {
-        statusCode = 429; // Too Many Requests
-        errorMessage = '所有账号配额已耗尽，请稍后再试';
-      } else if (error.message.includes('认证') ||
-                 error.message.includes('授权') ||
-                 error.message.includes('token')) {
-        statusCode = 401; // Unauthorized
-      }
-      
-      // 对于流式响应，如果还没有发送响应头，则设置状态码
-      if (!res.headersSent) {
-        res.status(statusCode).json({
-          error: errorMessage,
-          type: statusCode === 429 ? 'insufficient_quota' : 'api_error'
-        });
-      } else {
-        // 如果已经开始发送流式数据，则在流中发送错误信息
-        try {
-          res.write(`data: ${JSON.stringify({
-            id,
-            object: 'chat.completion.chunk',
-            created,
-            model,
-            choices: [{ index: 0, delta: { content: `\n\n错误: ${errorMessage}` }, finish_reason: null }]
-          })}\n\n`);
-          res.write(`data: ${JSON.stringify({
-            id,
-            object: 'chat.completion.chunk',
-            created,
-            model,
-            choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
-          })}\n\n`);
-          res.write('data: [DONE]\n\n');
-          res.end();
-        } catch (writeError) {
-          logger.warn(`Kiro写入错误响应失败: ${writeError.message}`);
-        }
-      }
+    // 如果响应已结束，直接返回
+    if (responseEnded) {
+      return;
     }
-  } else {
-    // 非流式响应
-    try {
-      let fullContent = '';
-      let toolCalls = [];
-      let toolCallArgs = ''; // 累积工具调用参数用于token计算
-      const toolCallsMap = new Map(); // 使用 Map 来跟踪多个工具调用
-
-      await kiroClient.generateResponse(messages, model, (data) => {
-        if (data.type === 'tool_call_start') {
-          // 开始新的工具调用
-          const toolCall = data.tool_calls[0];
-          toolCallsMap.set(toolCall.id, {
-            id: toolCall.id,
-            type: 'function',
-            function: {
-              name: toolCall.function.name,
-              arguments: ''
-            }
-          });
-          toolCallArgs += toolCall.function.name;
-        } else if (data.type === 'tool_call_delta') {
-          // 累积工具调用参数到对应的工具调用
-          const toolCall = toolCallsMap.get(data.tool_call_id);
-          if (toolCall) {
-            toolCall.function.arguments += data.delta || '';
-            toolCallArgs += data.delta || '';
-          }
-        } else if (data.type === 'tool_calls') {
-          // 兼容旧格式
-          toolCalls = data.tool_calls;
-          toolCallArgs += data.tool_calls.map(tc => tc.function?.name + (tc.function?.arguments || '')).join('');
-        } else if (data.type === 'text') {
-          fullContent += data.content;
-        }
-      }, req.user.user_id, options);
 
-      // 将 Map 中的工具调用转换为数组
-      if (toolCallsMap.size > 0) {
-        toolCalls = Array.from(toolCallsMap.values());
-      }
+    if (stream) {
+      builder.finish();
+      res.end();
+    } else {
+      res.json(builder.toCompletion());
+    }
+  } catch (error) {
+    // 如果响应已结束，直接返回
+    if (responseEnded) {
+      return;
+    }
 
-      // 计算输出token数（包括文本内容和工具调用参数）
-      const completionTokens = countStringTokens(fullContent + toolCallArgs, model);
-      const totalTokens = promptTokens + completionTokens;
+    logger.error('Kiro生成响应失败:', error.message);
 
-      const message = { role: 'assistant', content: fullContent };
-      if (toolCalls.length > 0) {
-        message.tool_calls = toolCalls;
-      }
+    // 根据错误类型返回适当的状态码
+    const { status, body } = formatOpenAIError(classifyKiroError(error), getLocale(req));
 
-      res.json({
-        id: `chatcmpl-${Date.now()}`,
-        object: 'chat.completion',
-        created: Math.floor(Date.now() / 1000),
-        model,
-        choices: [{
-          index: 0,
-          message,
-          finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
-        }],
-        usage: {
-          prompt_tokens: promptTokens,
-          completion_tokens: completionTokens,
-          total_tokens: totalTokens
-        }
-      });
-    } catch (error) {
-      logger.error('Kiro生成响应失败:', error.message);
-      
-      // 根据错误类型返回适当的状态码
-      let statusCode = 500;
-      let errorMessage = error.message;
-      let errorType = 'api_error';
-      
-      // 检查是否是配额耗尽或无可用账号的错误
-      if (error.message.includes('没有可用的Kiro账号') ||
-          error.message.includes('配额') ||
-          error.message.includes('quota') ||
-          error.message.includes('limit')) {
-        statusCode = 429; // Too Many Requests
-        errorMessage = '所有账号配额已耗尽，请稍后再试';
-        errorType = 'insufficient_quota';
-      } else if (error.message.includes('认证') ||
-                 error.message.includes('授权') ||
-                 error.message.includes('token')) {
-        statusCode = 401; // Unauthorized
-        errorType = 'authentication_error';
+    try {
+      if (res.headersSent) {
+        // 如果已经开始发送流式数据，则在流中发送错误信息
+        builder.error(body);
+        res.end();
+      } else {
+        res.status(status).json(body);
       }
-      
-      res.status(statusCode).json({
-        error: errorMessage,
-        type: errorType
-      });
+    } catch (writeError) {
+      logger.warn(`Kiro写入错误响应失败: ${writeError.message}`);
     }
   }
 });
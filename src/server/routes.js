@@ -1,13 +1,40 @@
 import express from 'express';
+import multer from 'multer';
 import oauthService from '../services/oauth.service.js';
 import accountService from '../services/account.service.js';
 import quotaService from '../services/quota.service.js';
 import userService from '../services/user.service.js';
+import fileService, { PURPOSE_IMAGE_GENERATION, UPLOAD_PURPOSES } from '../services/file.service.js';
+import accountSelectionService, { SELECTION_STRATEGIES } from '../services/account_selection.service.js';
+import stickySessionService from '../services/sticky_session.service.js';
+import circuitBreakerService from '../services/circuit_breaker.service.js';
+import accountRecoveryService from '../services/account_recovery.service.js';
+import accountStatusService, { ACCOUNT_TYPE_ANTIGRAVITY, CHANGED_BY_ADMIN, CHANGED_BY_USER } from '../services/account_status.service.js';
 import multiAccountClient from '../api/multi_account_client.js';
-import { generateRequestBody, dumpErrorArtifacts } from '../utils/utils.js';
+import {
+  generateRequestBody,
+  generateImageRequestBody,
+  convertOpenAIImageSize,
+  generateGeminiRequestBody,
+  mergeGeminiResponseChunks,
+  validateStructuredOutput,
+  SKIP_DUMP_PATTERNS,
+  dumpErrorArtifacts
+} from '../utils/utils.js';
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
-import { countStringTokens } from '../utils/token_counter.js';
+import { countStringTokens, countChatPromptTokens } from '../utils/token_counter.js';
+import { convertResponsesRequest, ResponsesBuilder } from '../utils/responses.js';
+import { IMAGE_OUTPUT_MODES, ChatCompletionBuilder } from '../utils/chat_completion.js';
+import { startHeartbeat } from '../utils/heartbeat.js';
+import {
+  ServiceError,
+  getLocale,
+  createUpstreamError,
+  formatOpenAIError,
+  formatGeminiError,
+  sendError
+} from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -18,7 +45,7 @@ const router = express.Router();
 const authenticateApiKey = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: '缺少Authorization请求头' });
+    return sendError(req, res, 'MISSING_API_KEY');
   }
 
   const apiKey = authHeader.slice(7);
@@ -33,7 +60,7 @@ const authenticateApiKey = async (req, res, next) => {
   // 验证用户API Key
   const user = await userService.validateApiKey(apiKey);
   if (!user) {
-    return res.status(401).json({ error: '无效的API Key' });
+    return sendError(req, res, 'INVALID_API_KEY');
   }
 
   req.user = user;
@@ -46,7 +73,7 @@ const authenticateApiKey = async (req, res, next) => {
  */
 const requireAdmin = (req, res, next) => {
   if (!req.isAdmin) {
-    return res.status(403).json({ error: '需要管理员权限' });
+    return sendError(req, res, 'ADMIN_REQUIRED');
   }
   next();
 };
@@ -75,7 +102,7 @@ router.get('/api/user/me', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取用户信息失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -101,7 +128,7 @@ router.post('/api/users', authenticateApiKey, requireAdmin, async (req, res) =>
     });
   } catch (error) {
     logger.error('创建用户失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -118,7 +145,7 @@ router.get('/api/users', authenticateApiKey, requireAdmin, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取用户列表失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -141,7 +168,7 @@ router.post('/api/users/:user_id/regenerate-key', authenticateApiKey, requireAdm
     });
   } catch (error) {
     logger.error('重新生成API Key失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -156,7 +183,7 @@ router.put('/api/users/:user_id/status', authenticateApiKey, requireAdmin, async
     const { status } = req.body;
 
     if (status !== 0 && status !== 1) {
-      return res.status(400).json({ error: 'status必须是0或1' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'status', allowed: [0, 1] });
     }
 
     const user = await userService.updateUserStatus(user_id, status);
@@ -171,42 +198,57 @@ router.put('/api/users/:user_id/status', authenticateApiKey, requireAdmin, async
     });
   } catch (error) {
     logger.error('更新用户状态失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
 /**
- * 更新用户Cookie优先级
+ * 更新用户偏好设置
  * PUT /api/users/:user_id/preference
- * Body: { prefer_shared }
+ * Body: { prefer_shared?, inline_stream_errors?, account_strategy? }
  */
 router.put('/api/users/:user_id/preference', authenticateApiKey, async (req, res) => {
   try {
     const { user_id } = req.params;
-    const { prefer_shared } = req.body;
+    const { prefer_shared, inline_stream_errors, account_strategy } = req.body;
 
     // 检查权限（只能修改自己的设置，管理员可以修改所有）
     if (!req.isAdmin && user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权修改此用户的设置' });
+      return sendError(req, res, 'USER_ACCESS_DENIED');
     }
 
-    if (prefer_shared !== 0 && prefer_shared !== 1) {
-      return res.status(400).json({ error: 'prefer_shared必须是0或1' });
+    if (prefer_shared === undefined && inline_stream_errors === undefined && account_strategy === undefined) {
+      return sendError(req, res, 'MISSING_PARAMETER', { param: ['prefer_shared', 'inline_stream_errors', 'account_strategy'] });
     }
 
-    const user = await userService.updateUserPreference(user_id, prefer_shared);
+    if (prefer_shared !== undefined && prefer_shared !== 0 && prefer_shared !== 1) {
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'prefer_shared', allowed: [0, 1] });
+    }
+
+    if (inline_stream_errors !== undefined && inline_stream_errors !== 0 && inline_stream_errors !== 1) {
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'inline_stream_errors', allowed: [0, 1] });
+    }
+
+    // account_strategy 为 null 时恢复使用全局配置
+    if (account_strategy !== undefined && account_strategy !== null && !accountSelectionService.isValidStrategy(account_strategy)) {
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'account_strategy', allowed: SELECTION_STRATEGIES });
+    }
+
+    const user = await userService.updateUserPreference(user_id, { prefer_shared, inline_stream_errors, account_strategy });
 
     res.json({
       success: true,
-      message: `Cookie优先级已更新为${prefer_shared === 1 ? '共享优先' : '专属优先'}`,
+      message: '用户偏好已更新',
       data: {
         user_id: user.user_id,
-        prefer_shared: user.prefer_shared
+        prefer_shared: user.prefer_shared,
+        inline_stream_errors: user.inline_stream_errors,
+        account_strategy: user.account_strategy
       }
     });
   } catch (error) {
-    logger.error('更新用户优先级失败:', error.message);
-    res.status(500).json({ error: error.message });
+    logger.error('更新用户偏好失败:', error.message);
+    sendError(req, res, error);
   }
 });
 
@@ -220,7 +262,7 @@ router.delete('/api/users/:user_id', authenticateApiKey, requireAdmin, async (re
     const deleted = await userService.deleteUser(user_id);
 
     if (!deleted) {
-      return res.status(404).json({ error: '用户不存在' });
+      return sendError(req, res, 'USER_NOT_FOUND');
     }
 
     res.json({
@@ -229,7 +271,7 @@ router.delete('/api/users/:user_id', authenticateApiKey, requireAdmin, async (re
     });
   } catch (error) {
     logger.error('删除用户失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -253,7 +295,7 @@ router.post('/api/oauth/authorize', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('生成OAuth URL失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -342,7 +384,7 @@ router.post('/api/oauth/callback/manual', authenticateApiKey, async (req, res) =
     const { callback_url } = req.body;
 
     if (!callback_url) {
-      return res.status(400).json({ error: '缺少callback_url参数' });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'callback_url' });
     }
 
     // 解析回调URL
@@ -350,7 +392,7 @@ router.post('/api/oauth/callback/manual', authenticateApiKey, async (req, res) =
     try {
       url = new URL(callback_url);
     } catch (error) {
-      return res.status(400).json({ error: '无效的URL格式' });
+      return sendError(req, res, 'INVALID_URL');
     }
 
     const code = url.searchParams.get('code');
@@ -358,15 +400,11 @@ router.post('/api/oauth/callback/manual', authenticateApiKey, async (req, res) =
     const oauthError = url.searchParams.get('error');
 
     if (oauthError) {
-      return res.status(400).json({
-        error: `OAuth授权失败: ${oauthError}`
-      });
+      return sendError(req, res, 'OAUTH_FAILED', { detail: oauthError });
     }
 
     if (!code || !state) {
-      return res.status(400).json({
-        error: '回调URL中缺少code或state参数'
-      });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'code, state' });
     }
 
     logger.info('收到手动提交的OAuth回调');
@@ -387,7 +425,7 @@ router.post('/api/oauth/callback/manual', authenticateApiKey, async (req, res) =
     });
   } catch (error) {
     logger.error('处理手动OAuth回调失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -409,11 +447,15 @@ router.get('/api/accounts', authenticateApiKey, async (req, res) => {
       is_shared: acc.is_shared,
       status: acc.status,
       need_refresh: acc.need_refresh,
+      disabled_reason: acc.disabled_reason,
+      disabled_at: acc.disabled_at,
+      disabled_by: acc.disabled_by,
       expires_at: acc.expires_at,
       project_id_0: acc.project_id_0,
       is_restricted: acc.is_restricted,
       paid_tier: acc.paid_tier,
       ineligible: acc.ineligible,
+      circuit_breaker: circuitBreakerService.getStatus('antigravity', acc.cookie_id),
       last_used_at: acc.last_used_at,
       created_at: acc.created_at,
       updated_at: acc.updated_at
@@ -425,7 +467,7 @@ router.get('/api/accounts', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取账号列表失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -439,12 +481,12 @@ router.get('/api/accounts/:cookie_id', authenticateApiKey, async (req, res) => {
     const account = await accountService.getAccountByCookieId(cookie_id);
 
     if (!account) {
-      return res.status(404).json({ error: '账号不存在' });
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
     }
 
     // 检查权限（只能查看自己的账号，管理员可以查看所有）
     if (!req.isAdmin && account.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权访问此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 隐藏敏感信息
@@ -455,11 +497,16 @@ router.get('/api/accounts/:cookie_id', authenticateApiKey, async (req, res) => {
       is_shared: account.is_shared,
       status: account.status,
       need_refresh: account.need_refresh,
+      disabled_reason: account.disabled_reason,
+      disabled_at: account.disabled_at,
+      disabled_by: account.disabled_by,
       expires_at: account.expires_at,
       project_id_0: account.project_id_0,
       is_restricted: account.is_restricted,
       paid_tier: account.paid_tier,
       ineligible: account.ineligible,
+      circuit_breaker: circuitBreakerService.getStatus('antigravity', account.cookie_id),
+      recovery: accountRecoveryService.getStatus(ACCOUNT_TYPE_ANTIGRAVITY, account.cookie_id),
       created_at: account.created_at,
       updated_at: account.updated_at
     };
@@ -470,14 +517,48 @@ router.get('/api/accounts/:cookie_id', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取账号信息失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * 获取账号状态变更记录
+ * GET /api/accounts/:cookie_id/history
+ * Query: limit（默认50，最多200）
+ */
+router.get('/api/accounts/:cookie_id/history', authenticateApiKey, async (req, res) => {
+  try {
+    const { cookie_id } = req.params;
+    const account = await accountService.getAccountByCookieId(cookie_id);
+
+    if (!account) {
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
+    }
+
+    // 检查权限（只能查看自己的账号，管理员可以查看所有）
+    if (!req.isAdmin && account.user_id !== req.user.user_id) {
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
+    }
+
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const history = await accountStatusService.getHistory(ACCOUNT_TYPE_ANTIGRAVITY, cookie_id, limit);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('获取账号状态变更记录失败:', error.message);
+    sendError(req, res, error);
   }
 });
 
 /**
  * 更新账号状态
  * PUT /api/accounts/:cookie_id/status
- * Body: { status }
+ * Body: { status, reason? }
+ *
+ * reason 为可选的变更原因，禁用时记录到账号和状态变更记录中
  *
  * 禁用共享账号时：减少用户共享配额池的 quota 和 max_quota
  * 启用共享账号时：增加用户共享配额池的 quota 和 max_quota
@@ -485,19 +566,23 @@ router.get('/api/accounts/:cookie_id', authenticateApiKey, async (req, res) => {
 router.put('/api/accounts/:cookie_id/status', authenticateApiKey, async (req, res) => {
   try {
     const { cookie_id } = req.params;
-    const { status } = req.body;
+    const { status, reason = null } = req.body;
 
     if (status !== 0 && status !== 1) {
-      return res.status(400).json({ error: 'status必须是0或1' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'status', allowed: [0, 1] });
+    }
+
+    if (reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return sendError(req, res, 'INVALID_REASON', { param: 'reason' });
     }
 
     // 检查权限
     const existingAccount = await accountService.getAccountByCookieId(cookie_id);
     if (!existingAccount) {
-      return res.status(404).json({ error: '账号不存在' });
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && existingAccount.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权修改此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 如果状态没有变化，直接返回
@@ -551,7 +636,10 @@ router.put('/api/accounts/:cookie_id/status', authenticateApiKey, async (req, re
       }
     }
 
-    const account = await accountService.updateAccountStatus(cookie_id, status);
+    const account = await accountService.updateAccountStatus(cookie_id, status, {
+      reason,
+      changed_by: req.isAdmin ? CHANGED_BY_ADMIN : CHANGED_BY_USER
+    });
 
     res.json({
       success: true,
@@ -563,7 +651,7 @@ router.put('/api/accounts/:cookie_id/status', authenticateApiKey, async (req, re
     });
   } catch (error) {
     logger.error('更新账号状态失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -578,20 +666,20 @@ router.put('/api/accounts/:cookie_id/name', authenticateApiKey, async (req, res)
     const { name } = req.body;
 
     if (name === undefined || name === null) {
-      return res.status(400).json({ error: 'name是必需的' });
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'name' });
     }
 
     if (typeof name !== 'string' || name.length > 100) {
-      return res.status(400).json({ error: 'name必须是字符串且长度不超过100' });
+      return sendError(req, res, 'INVALID_NAME');
     }
 
     // 检查权限
     const existingAccount = await accountService.getAccountByCookieId(cookie_id);
     if (!existingAccount) {
-      return res.status(404).json({ error: '账号不存在' });
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && existingAccount.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权修改此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     const account = await accountService.updateAccountName(cookie_id, name);
@@ -606,7 +694,7 @@ router.put('/api/accounts/:cookie_id/name', authenticateApiKey, async (req, res)
     });
   } catch (error) {
     logger.error('更新账号名称失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -621,10 +709,10 @@ router.delete('/api/accounts/:cookie_id', authenticateApiKey, async (req, res) =
     // 检查权限
     const existingAccount = await accountService.getAccountByCookieId(cookie_id);
     if (!existingAccount) {
-      return res.status(404).json({ error: '账号不存在' });
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && existingAccount.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权删除此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 如果是共享账号，需要移除用户共享配额池中的配额
@@ -658,7 +746,7 @@ router.delete('/api/accounts/:cookie_id', authenticateApiKey, async (req, res) =
     });
   } catch (error) {
     logger.error('删除账号失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -676,16 +764,16 @@ router.put('/api/accounts/:cookie_id/type', authenticateApiKey, async (req, res)
     const { is_shared } = req.body;
 
     if (is_shared !== 0 && is_shared !== 1) {
-      return res.status(400).json({ error: 'is_shared必须是0或1' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'is_shared', allowed: [0, 1] });
     }
 
     // 检查权限
     const existingAccount = await accountService.getAccountByCookieId(cookie_id);
     if (!existingAccount) {
-      return res.status(404).json({ error: '账号不存在' });
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && existingAccount.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权修改此账号' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 如果类型没有变化，直接返回
@@ -750,7 +838,7 @@ router.put('/api/accounts/:cookie_id/type', authenticateApiKey, async (req, res)
     });
   } catch (error) {
     logger.error('转换账号类型失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -768,10 +856,10 @@ router.get('/api/accounts/:cookie_id/quotas', authenticateApiKey, async (req, re
     // 检查权限
     const account = await accountService.getAccountByCookieId(cookie_id);
     if (!account) {
-      return res.status(404).json({ error: '账号不存在' });
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && account.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权访问此账号的配额信息' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     // 检查token是否过期，如果过期则刷新
@@ -786,7 +874,7 @@ router.get('/api/accounts/:cookie_id/quotas', authenticateApiKey, async (req, re
         // 如果是 invalid_grant 错误，直接禁用账号
         if (refreshError.isInvalidGrant) {
           logger.error(`账号刷新token失败(invalid_grant)，禁用账号: cookie_id=${cookie_id}`);
-          await accountService.updateAccountStatus(cookie_id, 0);
+          await accountService.updateAccountStatus(cookie_id, 0, { reason: '刷新token失败(invalid_grant)' });
         }
         throw refreshError;
       }
@@ -847,7 +935,7 @@ router.get('/api/accounts/:cookie_id/quotas', authenticateApiKey, async (req, re
     });
   } catch (error) {
     logger.error('获取配额信息失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -862,16 +950,16 @@ router.put('/api/accounts/:cookie_id/quotas/:model_name/status', authenticateApi
     const { status } = req.body;
 
     if (status !== 0 && status !== 1) {
-      return res.status(400).json({ error: 'status必须是0或1' });
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'status', allowed: [0, 1] });
     }
 
     // 检查权限
     const account = await accountService.getAccountByCookieId(cookie_id);
     if (!account) {
-      return res.status(404).json({ error: '账号不存在' });
+      return sendError(req, res, 'ACCOUNT_NOT_FOUND');
     }
     if (!req.isAdmin && account.user_id !== req.user.user_id) {
-      return res.status(403).json({ error: '无权修改此账号的配额' });
+      return sendError(req, res, 'ACCOUNT_ACCESS_DENIED');
     }
 
     const quota = await quotaService.updateModelQuotaStatus(cookie_id, model_name, status);
@@ -887,7 +975,7 @@ router.put('/api/accounts/:cookie_id/quotas/:model_name/status', authenticateApi
     });
   } catch (error) {
     logger.error('更新模型配额状态失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -906,7 +994,7 @@ router.get('/api/quotas/low', authenticateApiKey, requireAdmin, async (req, res)
     });
   } catch (error) {
     logger.error('获取低配额模型失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -924,7 +1012,7 @@ router.get('/api/quotas/user', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取用户配额失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -959,7 +1047,7 @@ router.get('/api/quotas/shared-pool', authenticateApiKey, async (req, res) => {
               // 如果是 invalid_grant 错误，直接禁用账号
               if (refreshError.isInvalidGrant) {
                 logger.error(`账号刷新token失败(invalid_grant)，禁用账号: cookie_id=${account.cookie_id}`);
-                await accountService.updateAccountStatus(account.cookie_id, 0);
+                await accountService.updateAccountStatus(account.cookie_id, 0, { reason: '刷新token失败(invalid_grant)' });
               }
               // 继续处理其他账号，不抛出错误
               logger.warn(`刷新账号配额失败: cookie_id=${account.cookie_id}, error=${refreshError.message}`);
@@ -974,7 +1062,7 @@ router.get('/api/quotas/shared-pool', authenticateApiKey, async (req, res) => {
           logger.warn(`刷新账号配额失败: cookie_id=${account.cookie_id}, error=${error.message}`);
           // 如果是token刷新失败，标记账号需要重新授权
           if (error.message.includes('refresh') || error.message.includes('token')) {
-            await accountService.markAccountNeedRefresh(account.cookie_id);
+            await accountService.markAccountNeedRefresh(account.cookie_id, `刷新配额失败: ${error.message}`);
           }
         }
       });
@@ -1010,7 +1098,7 @@ router.get('/api/quotas/shared-pool', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取共享池配额失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -1035,7 +1123,7 @@ router.get('/api/quotas/consumption', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     logger.error('获取用户消耗记录失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -1054,10 +1142,26 @@ router.get('/api/quotas/consumption/stats/:model_name', authenticateApiKey, asyn
     });
   } catch (error) {
     logger.error('获取用户模型消耗统计失败:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(req, res, error);
   }
 });
 
+/**
+ * 保存模型生成的图片并返回短链接，保存失败时退回 data URL
+ * @param {Object} req - Express 请求对象
+ * @param {Object} image - 图片数据 { mimeType, data }
+ * @returns {Promise<string>} 图片地址
+ */
+const saveGeneratedImageUrl = async (req, image) => {
+  try {
+    const file = await fileService.saveGeneratedImage(req.user.user_id, image);
+    return fileService.getContentUrl(req, file.file_id);
+  } catch (error) {
+    logger.warn(`保存生成的图片失败，改用data URL返回: ${error.message}`);
+    return `data:${image.mimeType};base64,${image.data}`;
+  }
+};
+
 // ==================== OpenAI兼容接口 ====================
 
 /**
@@ -1082,8 +1186,7 @@ router.get('/v1/models', authenticateApiKey, async (req, res) => {
     }
   } catch (error) {
     logger.error('获取模型列表失败:', error.message);
-    const statusCode = error.statusCode || 500;
-    res.status(statusCode).json({ error: error.responseText || error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -1098,582 +1201,998 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
   req.setTimeout(600000); // 10分钟 = 600000毫秒
   res.setTimeout(600000);
 
-  const { messages, model, stream = true, tools, tool_choice, image_config, ...params } = req.body;
+  const { messages, model, stream = true, tools, tool_choice, image_config, image_output = 'url', ...params } = req.body;
   
   // 如果提供了 image_config，将其添加到 params 中
   if (image_config) {
     params.image_config = image_config;
   }
 
+  // tool_choice 同时用于 Antigravity 的 toolConfig
+  if (tool_choice !== undefined) {
+    params.tool_choice = tool_choice;
+  }
+
   // 参数验证错误仍返回400
   if (!messages) {
-    return res.status(400).json({ error: 'messages是必需的' });
+    return sendError(req, res, 'MISSING_PARAMETER', { param: 'messages' });
+  }
+  if (!model) {
+    return sendError(req, res, 'MISSING_PARAMETER', { param: 'model' });
+  }
+  if (!IMAGE_OUTPUT_MODES.includes(image_output)) {
+    return sendError(req, res, 'INVALID_PARAMETER', { param: 'image_output', allowed: IMAGE_OUTPUT_MODES });
   }
 
   // 从请求头获取账号类型，默认为 antigravity
   const accountType = (req.headers['x-account-type'] || 'antigravity').toLowerCase();
-  
-  if (accountType === 'kiro') {
-    // 使用 kiro 账号系统
-    const kiroClient = (await import('../api/kiro_client.js')).default;
-    
-    if (!model) {
-      return res.status(400).json({ error: 'model是必需的' });
+  const promptTokens = countChatPromptTokens(messages, model);
+  const kiroOptions = { tools, tool_choice };
+  const session = stickySessionService.getSession(req, req.user.user_id, messages);
+  const builderOptions = {
+    imageOutput: image_output,
+    saveImage: (image) => saveGeneratedImageUrl(req, image)
+  };
+
+  let kiroClient = null;
+  let account = null;
+  let requestBody = null;
+  let builder = null;
+  let responseEnded = false;
+  const abortController = new AbortController();
+
+  // 监听响应关闭事件
+  res.on('close', () => {
+    responseEnded = true;
+    // 客户端提前断开时取消上游请求
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  /**
+   * 调用上游生成一次响应，事件交给构建器；上游错误事件记录下来，调用结束后统一抛出
+   * @param {ChatCompletionBuilder} target - 响应构建器
+   */
+  const generate = async (target) => {
+    let upstreamError = null;
+    const onEvent = (data) => {
+      if (responseEnded) return;
+      if (data.type === 'error') {
+        upstreamError = upstreamError || data;
+        return;
+      }
+      target.handleEvent(data);
+    };
+
+    if (kiroClient) {
+      await kiroClient.generateResponse(messages, model, onEvent, req.user.user_id, {
+        ...kiroOptions,
+        session,
+        signal: abortController.signal
+      });
+    } else {
+      await multiAccountClient.generateResponse(requestBody, onEvent, req.user.user_id, model, req.user, account, [], 0, 0, null, {
+        parallelToolCalls: params.parallel_tool_calls,
+        session,
+        signal: abortController.signal
+      });
     }
 
-    const options = { tools, tool_choice };
+    if (upstreamError) {
+      throw createUpstreamError(upstreamError.content);
+    }
+  };
 
-    if (stream) {
-      // 流式响应
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
+  try {
+    // 准备阶段的错误返回正常的HTTP状态码
+    if (accountType === 'kiro') {
+      // 使用 kiro 账号系统
+      kiroClient = (await import('../api/kiro_client.js')).default;
+    } else {
+      // 使用 antigravity 账号系统（默认），先获取账号信息以便传递给 generateRequestBody
+      account = await multiAccountClient.getAvailableAccount(req.user.user_id, model, req.user, [], session);
+      requestBody = await generateRequestBody(messages, model, params, tools, req.user.user_id, account, session?.sessionId);
+    }
 
-      const id = `chatcmpl-${Date.now()}`;
-      const created = Math.floor(Date.now() / 1000);
-      let hasToolCall = false;
-      let responseEnded = false;
-      
-      // 监听响应关闭事件
-      res.on('close', () => {
-        responseEnded = true;
+    if (stream) {
+      // 构建器在第一次输出时才开始流式响应，开始后的错误通过流传递
+      builder = new ChatCompletionBuilder(model, promptTokens, res, {
+        ...builderOptions,
+        includeUsage: params.stream_options?.include_usage === true,
+        inlineErrors: req.user.inline_stream_errors === 1
       });
+      // 等待上游期间发送心跳，第一次心跳时开始流式输出
+      startHeartbeat(res, { beforeWrite: () => builder.start() });
 
-      try {
-        await kiroClient.generateResponse(messages, model, (data) => {
-          // 如果响应已结束，不再写入数据
-          if (responseEnded) {
-            return;
-          }
-          
-          try {
-            if (data.type === 'tool_calls') {
-              hasToolCall = true;
-              res.write(`data: ${JSON.stringify({
-                id,
-                object: 'chat.completion.chunk',
-                created,
-                model,
-                choices: [{ index: 0, delta: { tool_calls: data.tool_calls }, finish_reason: null }]
-              })}\n\n`);
-            } else {
-              res.write(`data: ${JSON.stringify({
-                id,
-                object: 'chat.completion.chunk',
-                created,
-                model,
-                choices: [{ index: 0, delta: { content: data.content }, finish_reason: null }]
-              })}\n\n`);
-            }
-          } catch (writeError) {
-            logger.warn(`Kiro写入响应失败: ${writeError.message}`);
-            responseEnded = true;
-          }
-        }, req.user.user_id, options);
+      await generate(builder);
 
-        // 如果响应已结束，直接返回
-        if (responseEnded) {
-          return;
-        }
+      await builder.saveImages();
 
-        try {
-          res.write(`data: ${JSON.stringify({
-            id,
-            object: 'chat.completion.chunk',
-            created,
-            model,
-            choices: [{ index: 0, delta: {}, finish_reason: hasToolCall ? 'tool_calls' : 'stop' }]
-          })}\n\n`);
-          res.write('data: [DONE]\n\n');
-          res.end();
-        } catch (writeError) {
-          logger.warn(`Kiro写入结束响应失败: ${writeError.message}`);
-        }
-      } catch (error) {
-        // 如果响应已结束，直接返回
-        if (responseEnded) {
-          return;
+      // 如果响应已结束，直接返回
+      if (responseEnded) {
+        return;
+      }
+
+      builder.finish();
+      res.end();
+    } else {
+      // 结构化输出校验：off（默认）不校验，error 校验失败返回错误，retry 校验失败时重试一次
+      const validationMode = params.response_format ? (config.structuredOutput?.validation || 'off') : 'off';
+      const maxAttempts = validationMode === 'retry' ? 2 : 1;
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        builder = new ChatCompletionBuilder(model, promptTokens, null, builderOptions);
+        await generate(builder);
+
+        // 工具调用时模型不会输出 JSON 正文，无需校验
+        if (validationMode === 'off' || builder.toolCalls.size > 0) {
+          break;
         }
-        
-        logger.error('Kiro生成响应失败:', error.message);
-        
-        // 尝试转储错误现场（跳过常见错误）
-        const skipDumpPatterns = ['Requested entity was not found', 'Prompt is too long', 'ILLEGAL_PROMPT'];
-        const shouldSkipDump = skipDumpPatterns.some(pattern => error.message?.includes(pattern));
-        if (!shouldSkipDump) {
-          await dumpErrorArtifacts(req.body, { model, messages, options }, null, error.message);
+
+        const validationError = validateStructuredOutput(builder.outputText, params.response_format);
+        if (!validationError) {
+          break;
         }
 
-        try {
-          res.write(`data: ${JSON.stringify({
-            id,
-            object: 'chat.completion.chunk',
-            created,
-            model,
-            choices: [{ index: 0, delta: { content: `\n\n错误: ${error.message}` }, finish_reason: null }]
-          })}\n\n`);
-          res.write(`data: ${JSON.stringify({
-            id,
-            object: 'chat.completion.chunk',
-            created,
-            model,
-            choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
-          })}\n\n`);
-          res.write('data: [DONE]\n\n');
-          res.end();
-        } catch (writeError) {
-          logger.warn(`Kiro写入错误响应失败: ${writeError.message}`);
+        if (attempt < maxAttempts) {
+          logger.warn(`结构化输出校验失败，重试中: ${validationError}`);
+          continue;
         }
+
+        throw new ServiceError('STRUCTURED_OUTPUT_INVALID', { detail: validationError });
       }
-    } else {
-      // 非流式响应
-      try {
-        let fullContent = '';
-        let toolCalls = [];
-
-        await kiroClient.generateResponse(messages, model, (data) => {
-          if (data.type === 'tool_calls') {
-            toolCalls = data.tool_calls;
-          } else {
-            fullContent += data.content;
-          }
-        }, req.user.user_id, options);
 
-        const message = { role: 'assistant', content: fullContent };
-        if (toolCalls.length > 0) {
-          message.tool_calls = toolCalls;
-        }
+      await builder.saveImages();
+      res.json(builder.toCompletion());
+    }
+  } catch (error) {
+    // 客户端已断开导致的取消不算失败
+    if (abortController.signal.aborted) {
+      logger.info('客户端已断开，请求已取消');
+      return;
+    }
 
-        res.json({
-          id: `chatcmpl-${Date.now()}`,
-          object: 'chat.completion',
-          created: Math.floor(Date.now() / 1000),
-          model,
-          choices: [{
-            index: 0,
-            message,
-            finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
-          }]
-        });
-      } catch (error) {
-        logger.error('Kiro生成响应失败:', error.message);
-        
-        // 尝试转储错误现场（跳过常见错误）
-        const skipDumpPatterns = ['Requested entity was not found', 'Prompt is too long', 'ILLEGAL_PROMPT'];
-        const shouldSkipDump = skipDumpPatterns.some(pattern => error.message?.includes(pattern));
-        if (!shouldSkipDump) {
-          await dumpErrorArtifacts(req.body, { model, messages, options }, null, error.message);
-        }
+    logger.error(`${kiroClient ? 'Kiro' : ''}生成响应失败:`, error.message);
 
-        res.status(500).json({ error: error.message });
+    // 尝试转储错误现场（跳过常见错误）
+    const shouldSkipDump = SKIP_DUMP_PATTERNS.some(pattern =>
+      error.message?.includes(pattern) || error.responseText?.includes(pattern)
+    );
+    if (!shouldSkipDump) {
+      if (kiroClient) {
+        await dumpErrorArtifacts(req.body, { model, messages, options: kiroOptions }, null, error.message);
+      } else if (error.name === 'ApiError' && error.responseText) {
+        await dumpErrorArtifacts(req.body, requestBody, error.responseText, error.message);
       }
     }
-  } else {
-    // 使用 antigravity 账号系统（默认）
-    let account, requestBody, promptTokens;
+
+    // 如果响应已结束，直接返回
+    if (responseEnded) {
+      return;
+    }
+
+    const { status, body } = formatOpenAIError(error, getLocale(req));
 
     try {
-      // 先获取账号信息以便传递给 generateRequestBody
-      account = await multiAccountClient.getAvailableAccount(req.user.user_id, model, req.user);
-      requestBody = await generateRequestBody(messages, model, params, tools, req.user.user_id, account);
-
-      // 计算输入token数
-      const inputText = messages.map(m => {
-        if (typeof m.content === 'string') return m.content;
-        if (Array.isArray(m.content)) {
-          return m.content.filter(c => c.type === 'text').map(c => c.text).join('');
-        }
-        return '';
-      }).join('\n');
-      promptTokens = countStringTokens(inputText, model);
-    } catch (error) {
-      logger.warn(`准备请求失败: ${error.message}`);
-      return res.status(500).json({ error: error.message });
+      if (res.headersSent) {
+        // 流已开始，在流中发送错误信息
+        builder.error(body);
+        res.end();
+      } else {
+        res.status(status).json(body);
+      }
+    } catch (writeError) {
+      logger.warn(`写入错误响应失败: ${writeError.message}`);
     }
+  }
+});
 
-    if (stream) {
-      // 流式响应始终返回200，错误通过流传递
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
+/**
+ * OpenAI Responses API
+ * POST /v1/responses
+ * Body: { model, input, instructions, tools, tool_choice, reasoning, max_output_tokens, stream, ... }
+ * Header: X-Account-Type: antigravity (默认) 或 kiro
+ */
+router.post('/v1/responses', authenticateApiKey, async (req, res) => {
+  // 设置10分钟超时（避免长对话被断开）
+  req.setTimeout(600000);
+  res.setTimeout(600000);
 
-      const id = `chatcmpl-${Date.now()}`;
-      const created = Math.floor(Date.now() / 1000);
-      let hasToolCall = false;
-      let collectedImages = [];
-      let fullContent = ''; // 累积输出内容用于计算token
-      let toolCallArgs = ''; // 累积工具调用参数用于计算token
+  const { model, input, stream = false, previous_response_id } = req.body;
 
-      let reasoningContent = ''; // 累积 reasoning_content
-      let hasError = false; // 标记是否发生错误
-      let responseEnded = false; // 标记响应是否已结束
-      
-      // 监听响应关闭事件
-      res.on('close', () => {
-        responseEnded = true;
+  if (!model) {
+    return sendError(req, res, 'MISSING_PARAMETER', { param: 'model' });
+  }
+  if (!input || (Array.isArray(input) && input.length === 0)) {
+    return sendError(req, res, 'MISSING_PARAMETER', { param: 'input' });
+  }
+  if (previous_response_id) {
+    return sendError(req, res, 'PREVIOUS_RESPONSE_UNSUPPORTED');
+  }
+
+  const accountType = (req.headers['x-account-type'] || 'antigravity').toLowerCase();
+  const { messages, tools, params } = convertResponsesRequest(req.body);
+  const builder = new ResponsesBuilder(req.body, countChatPromptTokens(messages, model), stream ? res : null);
+  const session = stickySessionService.getSession(req, req.user.user_id, messages);
+
+  let requestBody = null;
+  let upstreamError = null;
+  let responseEnded = false;
+  const abortController = new AbortController();
+
+  res.on('close', () => {
+    responseEnded = true;
+    // 客户端提前断开时取消上游请求
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  // 上游回调：错误事件记录下来统一处理，其余事件交给构建器
+  const onEvent = (data) => {
+    if (responseEnded) return;
+    if (data.type === 'error') {
+      upstreamError = upstreamError || data;
+      return;
+    }
+    builder.handleEvent(data);
+  };
+
+  // 开始流式输出（在准备工作完成之后，以便准备阶段的错误仍能返回正常的HTTP状态码）
+  const startStream = () => {
+    if (!stream) return;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    builder.start();
+  };
+  // 流式输出开始后，等待上游期间发送心跳
+  if (stream) {
+    startHeartbeat(res);
+  }
+
+  try {
+    if (accountType === 'kiro') {
+      const kiroClient = (await import('../api/kiro_client.js')).default;
+      startStream();
+      await kiroClient.generateResponse(messages, model, onEvent, req.user.user_id, {
+        tools,
+        tool_choice: params.tool_choice,
+        session,
+        signal: abortController.signal
       });
-      
-      try {
-        await multiAccountClient.generateResponse(requestBody, async (data) => {
-          // 如果响应已结束，不再写入数据
-          if (responseEnded || hasError) {
-            return;
-          }
-          
-          if (data.type === 'error') {
-            // 尝试转储错误现场（跳过常见错误：Requested entity was not found, Prompt is too long, ILLEGAL_PROMPT）
-            const skipDumpPatterns = ['Requested entity was not found', 'Prompt is too long', 'Internal'];
-            const shouldSkipDump = skipDumpPatterns.some(pattern => data.content?.includes(pattern));
-            if (data.upstreamResponse && !shouldSkipDump) {
-              await dumpErrorArtifacts(req.body, data.upstreamRequest || requestBody, data.upstreamResponse, data.content);
-            }
+    } else {
+      const account = await multiAccountClient.getAvailableAccount(req.user.user_id, model, req.user, [], session);
+      requestBody = await generateRequestBody(messages, model, params, tools, req.user.user_id, account, session?.sessionId);
+      startStream();
+      await multiAccountClient.generateResponse(requestBody, onEvent, req.user.user_id, model, req.user, account, [], 0, 0, null, {
+        parallelToolCalls: params.parallel_tool_calls,
+        session,
+        signal: abortController.signal
+      });
+    }
 
-            // 处理错误：在流中发送错误信息
-            hasError = true;
-            try {
-              res.write(`data: ${JSON.stringify({
-                id,
-                object: 'chat.completion.chunk',
-                created,
-                model,
-                choices: [{ index: 0, delta: { content: `\n\n错误: ${data.content}` }, finish_reason: null }]
-              })}\n\n`);
-              res.write(`data: ${JSON.stringify({
-                id,
-                object: 'chat.completion.chunk',
-                created,
-                model,
-                choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
-              })}\n\n`);
-              res.write('data: [DONE]\n\n');
-              res.end();
-            } catch (writeError) {
-              logger.warn(`写入错误响应失败: ${writeError.message}`);
-            }
-            responseEnded = true;
-            return;
-          }
-          
-          // 再次检查响应状态
-          if (responseEnded) {
-            return;
-          }
-          
-          if (data.type === 'tool_calls') {
-            hasToolCall = true;
-            // 累积工具调用内容用于token计算
-            toolCallArgs += data.tool_calls.map(tc => tc.function?.name + (tc.function?.arguments || '')).join('');
-            res.write(`data: ${JSON.stringify({
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{ index: 0, delta: { tool_calls: data.tool_calls }, finish_reason: null }]
-            })}\n\n`);
-          } else if (data.type === 'image') {
-            // 收集图像数据,稍后一起返回
-            collectedImages.push(data.image);
-          } else if (data.type === 'reasoning') {
-            // Gemini 的思考内容转换为 OpenAI 兼容的 reasoning_content 格式
-            reasoningContent += data.content || '';
-            res.write(`data: ${JSON.stringify({
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{ index: 0, delta: { reasoning_content: data.content }, finish_reason: null }]
-            })}\n\n`);
-          } else {
-            fullContent += data.content || ''; // 累积内容
-            res.write(`data: ${JSON.stringify({
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{ index: 0, delta: { content: data.content }, finish_reason: null }]
-            })}\n\n`);
-          }
-        }, req.user.user_id, model, req.user, account);
+    if (upstreamError) {
+      throw createUpstreamError(upstreamError.content);
+    }
 
-        // 如果已经发生错误并结束了响应，直接返回
-        if (hasError || responseEnded) {
-          return;
-        }
+    if (responseEnded) {
+      return;
+    }
 
-        // 如果有生成的图像,在结束前以base64格式返回
-        if (collectedImages.length > 0) {
-          for (const img of collectedImages) {
-            const imageUrl = `data:${img.mimeType};base64,${img.data}`;
-            const imageContent = `\n![生成的图像](${imageUrl})\n`;
-            fullContent += imageContent;
-            res.write(`data: ${JSON.stringify({
-              id,
-              object: 'chat.completion.chunk',
-              created,
-              model,
-              choices: [{ index: 0, delta: { content: imageContent }, finish_reason: null }]
-            })}\n\n`);
-          }
-        }
+    // 本地估算的token数（上游返回了 usageMetadata 时构建器会优先使用上游数据）
+    const reasoningTokens = builder.reasoningText ? countStringTokens(builder.reasoningText, model) : 0;
+    const outputTokens = countStringTokens(builder.outputText, model) + reasoningTokens;
 
-        // 计算输出token数（包括文本内容和工具调用参数）
-        const completionTokens = countStringTokens(fullContent + toolCallArgs, model);
-        const totalTokens = promptTokens + completionTokens;
-
-        // 发送带usage的finish chunk
-        res.write(`data: ${JSON.stringify({
-          id,
-          object: 'chat.completion.chunk',
-          created,
-          model,
-          choices: [{ index: 0, delta: {}, finish_reason: hasToolCall ? 'tool_calls' : 'stop' }],
-          usage: {
-            prompt_tokens: promptTokens,
-            completion_tokens: completionTokens,
-            total_tokens: totalTokens
-          }
-        })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
-      } catch (error) {
-        // 如果已经在回调中处理过错误并结束了响应，直接返回
-        if (hasError || responseEnded) {
-          return;
-        }
+    if (stream) {
+      builder.finish(outputTokens, reasoningTokens);
+      res.end();
+    } else {
+      res.json(builder.toResponse(outputTokens, reasoningTokens));
+    }
+  } catch (error) {
+    // 客户端已断开导致的取消不算失败
+    if (abortController.signal.aborted) {
+      logger.info('客户端已断开，请求已取消');
+      return;
+    }
 
-        // 流式错误处理：在流中发送错误信息
-        logger.error('生成响应失败:', error.message);
-        
-        // 尝试转储错误现场（如果是 ApiError，通常包含了 responseText）
-        // 跳过常见错误：Requested entity was not found, Prompt is too long, ILLEGAL_PROMPT
-        const skipDumpPatterns = ['Requested entity was not found', 'Prompt is too long', 'ILLEGAL_PROMPT'];
-        const shouldSkipDump = skipDumpPatterns.some(pattern =>
-          error.message?.includes(pattern) || error.responseText?.includes(pattern)
-        );
-        if (error.name === 'ApiError' && error.responseText && !shouldSkipDump) {
-           await dumpErrorArtifacts(req.body, requestBody, error.responseText, error.message);
-        }
+    logger.error('Responses生成失败:', error.message);
 
-        try {
-          res.write(`data: ${JSON.stringify({
-            id,
-            object: 'chat.completion.chunk',
-            created,
-            model,
-            choices: [{ index: 0, delta: { content: `\n\n错误: ${error.message}` }, finish_reason: null }]
-          })}\n\n`);
-          res.write(`data: ${JSON.stringify({
-            id,
-            object: 'chat.completion.chunk',
-            created,
-            model,
-            choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
-          })}\n\n`);
-          res.write('data: [DONE]\n\n');
-          res.end();
-        } catch (writeError) {
-          logger.warn(`写入错误响应失败: ${writeError.message}`);
-        }
+    // 尝试转储错误现场（跳过常见错误）
+    const shouldSkipDump = SKIP_DUMP_PATTERNS.some(pattern =>
+      error.message?.includes(pattern) || error.responseText?.includes(pattern)
+    );
+    if (error.name === 'ApiError' && error.responseText && !shouldSkipDump) {
+      await dumpErrorArtifacts(req.body, requestBody, error.responseText, error.message);
+    }
+
+    if (responseEnded) {
+      return;
+    }
+
+    const { status, body } = formatOpenAIError(error, getLocale(req));
+
+    try {
+      if (res.headersSent) {
+        // 流已开始，通过 response.failed 事件传递错误
+        builder.fail(body.error.code, body.error.message);
+        res.end();
+      } else {
+        res.status(status).json(body);
       }
-    } else {
-      // 非流式响应：正常错误处理
-      try {
-        let fullContent = '';
-        let reasoningContent = ''; // 累积 reasoning_content
-        let toolCalls = [];
-        let collectedImages = [];
-        let toolCallArgs = ''; // 累积工具调用参数用于计算token
-
-        await multiAccountClient.generateResponse(requestBody, (data) => {
-          if (data.type === 'tool_calls') {
-            toolCalls = data.tool_calls;
-            toolCallArgs += data.tool_calls.map(tc => tc.function?.name + (tc.function?.arguments || '')).join('');
-          } else if (data.type === 'image') {
-            collectedImages.push(data.image);
-          } else if (data.type === 'reasoning') {
-            // Gemini 的思考内容
-            reasoningContent += data.content || '';
-          } else {
-            fullContent += data.content || '';
-          }
-        }, req.user.user_id, model, req.user, account);
-
-        // 如果有生成的图像,将其添加到响应内容中
-        if (collectedImages.length > 0) {
-          fullContent += '\n\n';
-          for (const img of collectedImages) {
-            const imageUrl = `data:${img.mimeType};base64,${img.data}`;
-            fullContent += `![生成的图像](${imageUrl})\n`;
-          }
-        }
+    } catch (writeError) {
+      logger.warn(`写入Responses错误响应失败: ${writeError.message}`);
+    }
+  }
+});
 
-        // 计算输出token数（包括文本内容和工具调用参数）
-        const completionTokens = countStringTokens(fullContent + toolCallArgs, model);
-        const totalTokens = promptTokens + completionTokens;
+/**
+ * 图片编辑接口的 multipart 解析（内存存储，单文件最大 20MB）
+ */
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+}).fields([
+  { name: 'image', maxCount: 16 },
+  { name: 'image[]', maxCount: 16 },
+  { name: 'mask', maxCount: 1 }
+]);
 
-        const message = { role: 'assistant', content: fullContent };
-        if (reasoningContent) {
-          message.reasoning_content = reasoningContent;
-        }
-        if (toolCalls.length > 0) {
-          message.tool_calls = toolCalls;
-        }
+/**
+ * 解析图片上传，解析失败时返回400
+ */
+const parseImageUpload = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (error) {
+      return sendError(req, res, 'FILE_UPLOAD_FAILED', { detail: error.message });
+    }
+    next();
+  });
+};
 
-        res.json({
-          id: `chatcmpl-${Date.now()}`,
-          object: 'chat.completion',
-          created: Math.floor(Date.now() / 1000),
-          model,
-          choices: [{
-            index: 0,
-            message,
-            finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
-          }],
-          usage: {
-            prompt_tokens: promptTokens,
-            completion_tokens: completionTokens,
-            total_tokens: totalTokens
-          }
-        });
-      } catch (error) {
-        logger.error('生成响应失败:', error.message);
-        
-        // 尝试转储错误现场（跳过常见错误：Requested entity was not found, Prompt is too long, ILLEGAL_PROMPT）
-        const skipDumpPatterns = ['Requested entity was not found', 'Prompt is too long', 'Internal'];
-        const shouldSkipDump = skipDumpPatterns.some(pattern =>
-          error.message?.includes(pattern) || error.responseText?.includes(pattern)
-        );
-        if (error.name === 'ApiError' && error.responseText && !shouldSkipDump) {
-           await dumpErrorArtifacts(req.body, requestBody, error.responseText, error.message);
-        }
+/**
+ * 默认图片生成模型（请求未指定或指定了 OpenAI 图片模型时使用）
+ */
+const DEFAULT_IMAGE_MODEL = 'gemini-2.5-flash-image';
+
+/**
+ * 调用图片生成并转换为 OpenAI Images API 响应
+ * @param {Object} req - Express 请求对象
+ * @param {Object} options - { prompt, model, n, size, response_format, images, onImage }
+ * @param {Function} options.onImage - 每生成一张图片时调用（流式模式使用）
+ * @returns {Promise<Object>} OpenAI Images API 响应
+ */
+const generateOpenAIImages = async (req, { prompt, model, n, size, response_format, images = [], onImage }) => {
+  const count = n === undefined ? 1 : parseInt(n, 10);
+  if (!Number.isInteger(count) || count < 1 || count > 10) {
+    throw new ServiceError('PARAMETER_OUT_OF_RANGE', { param: 'n', min: 1, max: 10 });
+  }
 
-        const statusCode = error.statusCode || 500;
-        const errorMessage = error.responseText || error.message;
-        res.status(statusCode).json({ error: errorMessage });
+  const responseFormat = response_format || 'b64_json';
+  if (!['b64_json', 'url'].includes(responseFormat)) {
+    throw new ServiceError('INVALID_PARAMETER', { param: 'response_format', allowed: ['b64_json', 'url'] });
+  }
+
+  // dall-e / gpt-image 等 OpenAI 模型名映射到默认图片模型
+  const imageModel = !model || /^(dall-e|gpt-image)/.test(model) ? DEFAULT_IMAGE_MODEL : model;
+  if (!imageModel.endsWith('-image')) {
+    throw new ServiceError('NOT_IMAGE_MODEL', { param: 'model', model: imageModel });
+  }
+
+  const imageConfig = convertOpenAIImageSize(size);
+  const data = [];
+
+  for (let i = 0; i < count; i++) {
+    const account = await multiAccountClient.getAvailableAccount(req.user.user_id, imageModel, req.user);
+    const requestBody = generateImageRequestBody(prompt, imageModel, imageConfig, account, images);
+    const result = await multiAccountClient.generateImage(requestBody, req.user.user_id, imageModel, req.user, account);
+
+    const parts = result.candidates?.[0]?.content?.parts || [];
+    const revisedPrompt = parts.filter(part => part.text && !part.thought).map(part => part.text).join('').trim();
+
+    for (const part of parts) {
+      if (!part.inlineData) continue;
+      const item = responseFormat === 'url'
+        ? { url: await saveGeneratedImageUrl(req, part.inlineData) }
+        : { b64_json: part.inlineData.data };
+      if (revisedPrompt) {
+        item.revised_prompt = revisedPrompt;
       }
+      data.push(item);
+      onImage?.(item);
     }
   }
+
+  if (data.length === 0) {
+    throw new ServiceError('NO_IMAGE_GENERATED');
+  }
+
+  return {
+    created: Math.floor(Date.now() / 1000),
+    data
+  };
+};
+
+/**
+ * 以 SSE 流式返回图片生成结果
+ * 图片生成本身不是流式的，这里在等待上游期间发送心跳保持连接，每张图片生成后立即以
+ * `{eventPrefix}.completed` 事件返回（与 OpenAI 图片流式事件格式一致），开始输出后的错误以 error 事件返回
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @param {Object} options - generateOpenAIImages 的选项
+ * @param {string} eventPrefix - 事件前缀（image_generation 或 image_edit）
+ */
+const streamOpenAIImages = async (req, res, options, eventPrefix) => {
+  const startStream = () => {
+    if (res.headersSent) return;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+  };
+
+  const writeEvent = (type, data) => {
+    if (res.writableEnded) return;
+    startStream();
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  };
+
+  startHeartbeat(res, { beforeWrite: startStream });
+
+  try {
+    await generateOpenAIImages(req, {
+      ...options,
+      onImage: (item) => writeEvent(`${eventPrefix}.completed`, {
+        ...item,
+        created_at: Math.floor(Date.now() / 1000),
+        size: options.size || 'auto'
+      })
+    });
+  } catch (error) {
+    logger.error('图片生成失败:', error.message);
+    if (!res.headersSent) {
+      return sendError(req, res, error);
+    }
+    writeEvent('error', formatOpenAIError(error, getLocale(req)).body);
+  }
+
+  res.end();
+};
+
+/**
+ * 判断请求是否要求流式返回（multipart 表单中的值是字符串）
+ * @param {*} stream - 请求中的 stream 字段
+ * @returns {boolean} 是否流式
+ */
+const isStreamRequested = (stream) => stream === true || stream === 'true';
+
+/**
+ * 图片生成
+ * POST /v1/images/generations
+ * Body: { prompt, model, n, size, response_format, stream }
+ */
+router.post('/v1/images/generations', authenticateApiKey, async (req, res) => {
+  // 设置10分钟超时（图片生成可能需要较长时间）
+  req.setTimeout(600000);
+  res.setTimeout(600000);
+
+  try {
+    const { prompt, model, n, size, response_format, stream } = req.body;
+
+    if (!prompt) {
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'prompt' });
+    }
+
+    if (isStreamRequested(stream)) {
+      return await streamOpenAIImages(req, res, { prompt, model, n, size, response_format }, 'image_generation');
+    }
+
+    const result = await generateOpenAIImages(req, { prompt, model, n, size, response_format });
+    res.json(result);
+  } catch (error) {
+    logger.error('图片生成失败:', error.message);
+    sendError(req, res, error);
+  }
 });
 
 /**
- * Gemini 图片生成接口
- * POST /v1beta/models/{model}:generateContent
- * POST /v1beta/models/{model}:streamGenerateContent
- * Body: { contents, generationConfig }
+ * 图片编辑
+ * POST /v1/images/edits
+ * Content-Type: multipart/form-data
+ * Fields: image (可多张), prompt, model, n, size, response_format, stream
  *
- * 直接返回 JSON 响应（非流式）
- *
- * 注意：streamGenerateContent 和 generateContent 使用相同的处理逻辑
+ * 上游不支持蒙版，mask 字段会被忽略
  */
-const handleGeminiImageGeneration = async (req, res) => {
+router.post('/v1/images/edits', authenticateApiKey, parseImageUpload, async (req, res) => {
   // 设置10分钟超时（图片生成可能需要较长时间）
-  req.setTimeout(600000); // 10分钟 = 600000毫秒
+  req.setTimeout(600000);
   res.setTimeout(600000);
-  
-  let requestBody = null;
-  
+
   try {
-    const { model } = req.params;
-    const { contents, generationConfig } = req.body;
-
-    // 验证必需参数
-    if (!contents || !Array.isArray(contents) || contents.length === 0) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'contents是必需的且必须是非空数组',
-          status: 'INVALID_ARGUMENT'
-        }
+    const { prompt, model, n, size, response_format, stream } = req.body || {};
+    const files = [...(req.files?.image || []), ...(req.files?.['image[]'] || [])];
+
+    if (!prompt) {
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'prompt' });
+    }
+    if (files.length === 0) {
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'image' });
+    }
+
+    const invalidFile = files.find(file => !file.mimetype?.startsWith('image/'));
+    if (invalidFile) {
+      return sendError(req, res, 'UNSUPPORTED_IMAGE_TYPE', { type: invalidFile.mimetype });
+    }
+
+    if (req.files?.mask) {
+      logger.warn('图片编辑接口不支持mask，已忽略');
+    }
+
+    const images = files.map(file => ({
+      inlineData: {
+        mimeType: file.mimetype,
+        data: file.buffer.toString('base64')
+      }
+    }));
+
+    if (isStreamRequested(stream)) {
+      return await streamOpenAIImages(req, res, { prompt, model, n, size, response_format, images }, 'image_edit');
+    }
+
+    const result = await generateOpenAIImages(req, { prompt, model, n, size, response_format, images });
+    res.json(result);
+  } catch (error) {
+    logger.error('图片编辑失败:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+// ==================== 文件接口 ====================
+
+/**
+ * 文件上传的 multipart 解析（内存存储，单文件大小上限为 config.files.maxUploadSizeMB，默认 20MB）
+ * 文件名按 UTF-8 解析，避免中文文件名乱码
+ */
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (config.files?.maxUploadSizeMB || 20) * 1024 * 1024 },
+  defParamCharset: 'utf8'
+}).single('file');
+
+/**
+ * 解析文件上传，解析失败时返回400
+ */
+const parseFileUpload = (req, res, next) => {
+  fileUpload(req, res, (error) => {
+    if (error) {
+      return sendError(req, res, 'FILE_UPLOAD_FAILED', { detail: error.message });
+    }
+    next();
+  });
+};
+
+/**
+ * 获取当前用户的文件，不存在或不属于当前用户时返回404
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @returns {Promise<Object|null>} 文件信息，已返回错误时为 null
+ */
+const getOwnedFile = async (req, res) => {
+  const file = await fileService.getFile(req.params.file_id);
+  if (!file || (!req.isAdmin && file.user_id !== req.user.user_id)) {
+    sendError(req, res, 'FILE_NOT_FOUND');
+    return null;
+  }
+  return file;
+};
+
+/**
+ * 上传文件
+ * POST /v1/files
+ * Content-Type: multipart/form-data
+ * Fields: file, purpose
+ *
+ * 上传后可以在消息中通过 { type: 'file', file: { file_id } } 或 image_url 为 file_id 引用，避免每轮对话重复发送 base64
+ */
+router.post('/v1/files', authenticateApiKey, parseFileUpload, async (req, res) => {
+  try {
+    const purpose = req.body?.purpose || 'user_data';
+
+    if (!req.file) {
+      return sendError(req, res, 'MISSING_PARAMETER', { param: 'file' });
+    }
+    if (!UPLOAD_PURPOSES.includes(purpose)) {
+      return sendError(req, res, 'INVALID_PARAMETER', { param: 'purpose', allowed: UPLOAD_PURPOSES });
+    }
+
+    const file = await fileService.createFile({
+      user_id: req.user.user_id,
+      buffer: req.file.buffer,
+      mime_type: req.file.mimetype || 'application/octet-stream',
+      filename: req.file.originalname,
+      purpose
+    });
+
+    res.json(fileService.toOpenAIFile(file));
+  } catch (error) {
+    logger.error('上传文件失败:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * 获取当前用户的文件列表
+ * GET /v1/files
+ * Query: purpose (可选)
+ */
+router.get('/v1/files', authenticateApiKey, async (req, res) => {
+  try {
+    const files = await fileService.getUserFiles(req.user.user_id, req.query.purpose || null);
+    res.json({
+      object: 'list',
+      data: files.map(file => fileService.toOpenAIFile(file))
+    });
+  } catch (error) {
+    logger.error('获取文件列表失败:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * 获取文件信息
+ * GET /v1/files/:file_id
+ */
+router.get('/v1/files/:file_id', authenticateApiKey, async (req, res) => {
+  try {
+    const file = await getOwnedFile(req, res);
+    if (!file) return;
+
+    res.json(fileService.toOpenAIFile(file));
+  } catch (error) {
+    logger.error('获取文件信息失败:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * 删除文件
+ * DELETE /v1/files/:file_id
+ */
+router.delete('/v1/files/:file_id', authenticateApiKey, async (req, res) => {
+  try {
+    const file = await getOwnedFile(req, res);
+    if (!file) return;
+
+    await fileService.deleteFile(file.file_id);
+    res.json({ id: file.file_id, object: 'file', deleted: true });
+  } catch (error) {
+    logger.error('删除文件失败:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * 下载文件内容
+ * GET /v1/files/:file_id/content
+ * 模型生成的图片无需认证（文件ID随机且不可猜测，便于客户端直接显示图片链接），其他文件需要所属用户的API Key
+ */
+router.get('/v1/files/:file_id/content', async (req, res) => {
+  try {
+    const file = await fileService.getFile(req.params.file_id);
+    if (!file) {
+      return sendError(req, res, 'FILE_NOT_FOUND');
+    }
+
+    if (file.purpose !== PURPOSE_IMAGE_GENERATION) {
+      let authenticated = false;
+      await authenticateApiKey(req, res, () => {
+        authenticated = true;
       });
+      if (!authenticated) return;
+      if (!req.isAdmin && file.user_id !== req.user.user_id) {
+        return sendError(req, res, 'FILE_NOT_FOUND');
+      }
     }
 
-    // 提取提示词和图片（从用户消息中）
-    let prompt = '';
-    const images = [];
-    
-    for (const content of contents) {
-      if (content.role === 'user' && content.parts) {
-        for (const part of content.parts) {
-          if (part.text) {
-            prompt += part.text;
-          } else if (part.inlineData) {
-            // Gemini 原生格式的图片数据
-            images.push({
-              inlineData: {
-                mimeType: part.inlineData.mimeType,
-                data: part.inlineData.data
-              }
-            });
-          }
-        }
+    let content;
+    try {
+      content = await fileService.readFileContent(file.file_id);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return sendError(req, res, 'FILE_NOT_FOUND');
       }
+      throw error;
     }
 
-    // 至少需要文本提示词或图片
-    if (!prompt && images.length === 0) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: '未找到有效的文本提示词或图片',
-          status: 'INVALID_ARGUMENT'
+    res.setHeader('Content-Type', file.mime_type);
+    res.setHeader('Content-Length', content.length);
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(file.filename)}"`);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.end(content);
+  } catch (error) {
+    logger.error('下载文件失败:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+// ==================== Gemini兼容接口 ====================
+
+/**
+ * 以 Gemini 格式返回错误响应
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @param {Error|string} error - 错误对象或错误码
+ * @param {Object} params - 错误码为字符串时的占位符参数
+ */
+const sendGeminiError = (req, res, error, params = {}) => {
+  const { status, body } = formatGeminiError(error, getLocale(req), params);
+  res.status(status).json(body);
+};
+
+/**
+ * Gemini API Key认证中间件
+ * 兼容 Google GenAI SDK：支持 x-goog-api-key 请求头、?key= 查询参数，以及 Authorization: Bearer sk-xxx
+ */
+const authenticateGeminiApiKey = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  let apiKey = req.headers['x-goog-api-key'] || req.query.key;
+  if (!apiKey && authHeader && authHeader.startsWith('Bearer ')) {
+    apiKey = authHeader.slice(7);
+  }
+
+  if (!apiKey) {
+    return sendGeminiError(req, res, 'MISSING_API_KEY');
+  }
+
+  // 检查是否是管理员API Key
+  if (apiKey === config.security?.adminApiKey) {
+    req.isAdmin = true;
+    req.user = { user_id: 'admin', api_key: apiKey };
+    return next();
+  }
+
+  // 验证用户API Key
+  const user = await userService.validateApiKey(apiKey);
+  if (!user) {
+    return sendGeminiError(req, res, 'INVALID_API_KEY');
+  }
+
+  req.user = user;
+  req.isAdmin = false;
+  next();
+};
+
+/**
+ * 为图片模型构建图片生成请求体（只提取用户消息中的文本提示词和图片）
+ * @param {Object} body - Gemini 请求体
+ * @param {string} model - 模型名称
+ * @param {Object} account - 账号对象
+ * @returns {Object} 请求体
+ */
+const buildGeminiImageRequestBody = (body, model, account) => {
+  const { contents, generationConfig } = body;
+
+  // 提取提示词和图片（从用户消息中）
+  let prompt = '';
+  const images = [];
+
+  for (const content of contents) {
+    if ((content.role || 'user') === 'user' && content.parts) {
+      for (const part of content.parts) {
+        if (part.text) {
+          prompt += part.text;
+        } else if (part.inlineData) {
+          // Gemini 原生格式的图片数据
+          images.push({
+            inlineData: {
+              mimeType: part.inlineData.mimeType,
+              data: part.inlineData.data
+            }
+          });
         }
-      });
+      }
     }
+  }
+
+  // 至少需要文本提示词或图片
+  if (!prompt && images.length === 0) {
+    throw new ServiceError('EMPTY_IMAGE_PROMPT');
+  }
 
-    // 提取 imageConfig 参数
-    const imageConfig = {};
-    if (generationConfig?.imageConfig) {
-      if (generationConfig.imageConfig.aspectRatio) {
-        imageConfig.aspect_ratio = generationConfig.imageConfig.aspectRatio;
+  // 提取 imageConfig 参数
+  const imageConfig = {};
+  if (generationConfig?.imageConfig) {
+    if (generationConfig.imageConfig.aspectRatio) {
+      imageConfig.aspect_ratio = generationConfig.imageConfig.aspectRatio;
+    }
+    if (generationConfig.imageConfig.imageSize) {
+      imageConfig.image_size = generationConfig.imageConfig.imageSize;
+    }
+  }
+
+  // 生成请求体（包含图片数据用于图生图/图片编辑）
+  return generateImageRequestBody(prompt, model, imageConfig, account, images);
+};
+
+/**
+ * Gemini 原生接口
+ * POST /v1beta/models/{model}:generateContent
+ * POST /v1beta/models/{model}:streamGenerateContent[?alt=sse]
+ * Body: { contents, systemInstruction, tools, toolConfig, generationConfig, safetySettings }
+ *
+ * 普通模型直接透传上游响应块：
+ * - generateContent 返回合并后的完整响应
+ * - streamGenerateContent?alt=sse 以 SSE 逐块返回，不带 alt=sse 时返回 JSON 数组
+ * 图片模型（-image 后缀）走图片生成端点，流式接口以单个响应块返回
+ */
+const handleGeminiGenerateContent = async (req, res) => {
+  // 设置10分钟超时（图片生成和长对话可能需要较长时间）
+  req.setTimeout(600000); // 10分钟 = 600000毫秒
+  res.setTimeout(600000);
+
+  const { model } = req.params;
+  const isStream = req.path.endsWith(':streamGenerateContent');
+  const useSSE = isStream && req.query.alt === 'sse';
+  const { contents } = req.body;
+
+  // 验证必需参数
+  if (!contents || !Array.isArray(contents) || contents.length === 0) {
+    return sendGeminiError(req, res, 'EMPTY_ARRAY_PARAMETER', { param: 'contents' });
+  }
+
+  let requestBody = null;
+  let streamStarted = false;
+  let chunkCount = 0;
+  let responseEnded = false;
+  const abortController = new AbortController();
+
+  res.on('close', () => {
+    responseEnded = true;
+    // 客户端提前断开时取消上游请求
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  // 开始流式输出（首个响应块或第一次心跳时才开始，保证上游错误仍能返回正常的HTTP状态码）
+  const startStream = () => {
+    if (streamStarted) return;
+    streamStarted = true;
+    if (useSSE) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+      res.write('[');
+    }
+  };
+
+  // 写出一个响应块
+  const writeChunk = (chunk) => {
+    if (responseEnded) return;
+    startStream();
+    if (useSSE) {
+      res.write(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+    } else {
+      res.write(`${chunkCount > 0 ? ',' : ''}${JSON.stringify(chunk)}`);
+    }
+    chunkCount++;
+  };
+
+  // 结束流式输出
+  const endStream = () => {
+    if (responseEnded) return;
+    if (!streamStarted) {
+      res.setHeader('Content-Type', useSSE ? 'text/event-stream' : 'application/json');
+      res.end(useSSE ? '' : '[]');
+      return;
+    }
+    res.end(useSSE ? '' : ']');
+  };
+
+  // 流式请求在等待上游期间发送心跳（JSON 数组流中空白字符不影响解析）
+  if (isStream) {
+    startHeartbeat(res, { beforeWrite: startStream, payload: useSSE ? undefined : '\n' });
+  }
+
+  try {
+    // 获取账号信息（粘性会话根据请求头或对话开头的 contents 确定）
+    const session = stickySessionService.getSession(req, req.user.user_id, req.body.contents);
+    const account = await multiAccountClient.getAvailableAccount(req.user.user_id, model, req.user, [], session);
+
+    if (model.endsWith('-image')) {
+      requestBody = buildGeminiImageRequestBody(req.body, model, account);
+
+      // 调用图片生成API
+      const data = await multiAccountClient.generateImage(
+        requestBody,
+        req.user.user_id,
+        model,
+        req.user,
+        account
+      );
+
+      if (isStream) {
+        writeChunk(data);
+        endStream();
+      } else {
+        res.json(data);
       }
-      if (generationConfig.imageConfig.imageSize) {
-        imageConfig.image_size = generationConfig.imageConfig.imageSize;
+      return;
+    }
+
+    requestBody = generateGeminiRequestBody(req.body, model, account, session?.sessionId);
+
+    const chunks = [];
+    let upstreamError = null;
+
+    await multiAccountClient.generateResponse(requestBody, (data) => {
+      if (data.type === 'error') {
+        upstreamError = upstreamError || data;
+        return;
       }
+      if (data.type !== 'raw') return;
+      if (isStream) {
+        writeChunk(data.data);
+      } else {
+        chunks.push(data.data);
+      }
+    }, req.user.user_id, model, req.user, account, [], 0, 0, null, { raw: true, session, signal: abortController.signal });
+
+    if (upstreamError) {
+      throw createUpstreamError(upstreamError.content);
     }
 
-    // 获取账号信息
-    const account = await multiAccountClient.getAvailableAccount(req.user.user_id, model, req.user);
-    
-    // 生成请求体（包含图片数据用于图生图/图片编辑）
-    const { generateImageRequestBody } = await import('../utils/utils.js');
-    requestBody = generateImageRequestBody(prompt, model, imageConfig, account, images);
-
-    // 调用图片生成API
-    const data = await multiAccountClient.generateImage(
-      requestBody,
-      req.user.user_id,
-      model,
-      req.user,
-      account
-    );
+    if (responseEnded) {
+      return;
+    }
 
-    // 直接返回 JSON 响应
-    res.json(data);
+    if (isStream) {
+      endStream();
+    } else {
+      res.json(mergeGeminiResponseChunks(chunks));
+    }
   } catch (error) {
-    logger.error('图片生成失败:', error.message);
-    
+    // 客户端已断开导致的取消不算失败
+    if (abortController.signal.aborted) {
+      logger.info('客户端已断开，请求已取消');
+      return;
+    }
+
+    logger.error('Gemini请求失败:', error.message);
+
     // 尝试转储错误现场（跳过常见错误）
-    const skipDumpPatterns = ['Requested entity was not found', 'Prompt is too long', 'ILLEGAL_PROMPT'];
-    const shouldSkipDump = skipDumpPatterns.some(pattern =>
+    const shouldSkipDump = SKIP_DUMP_PATTERNS.some(pattern =>
       error.message?.includes(pattern) || error.responseText?.includes(pattern)
     );
     if (error.name === 'ApiError' && error.responseText && !shouldSkipDump) {
       await dumpErrorArtifacts(req.body, requestBody, error.responseText, error.message);
     }
 
-    const statusCode = error.statusCode || 500;
-    res.status(statusCode).json({
-      error: {
-        code: statusCode,
-        message: error.message,
-        status: 'INTERNAL'
+    if (responseEnded) {
+      return;
+    }
+
+    const { status, body } = formatGeminiError(error, getLocale(req));
+
+    try {
+      if (streamStarted) {
+        // 流已开始，以错误响应块结束
+        writeChunk(body);
+        endStream();
+      } else {
+        res.status(status).json(body);
       }
-    });
+    } catch (writeError) {
+      logger.warn(`写入Gemini错误响应失败: ${writeError.message}`);
+    }
   }
 };
 
-// 注册 Gemini 图片生成路由（支持两种端点）
-router.post('/v1beta/models/:model\\:generateContent', authenticateApiKey, handleGeminiImageGeneration);
-router.post('/v1beta/models/:model\\:streamGenerateContent', authenticateApiKey, handleGeminiImageGeneration);
+// 注册 Gemini 原生路由（支持两种端点）
+router.post('/v1beta/models/:model\\:generateContent', authenticateGeminiApiKey, handleGeminiGenerateContent);
+router.post('/v1beta/models/:model\\:streamGenerateContent', authenticateGeminiApiKey, handleGeminiGenerateContent);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 import database from '../db/database.js';
 import logger from '../utils/logger.js';
+import accountStatusService, { ACCOUNT_TYPE_ANTIGRAVITY, CHANGED_BY_SYSTEM } from './account_status.service.js';
 
 class AccountService {
   /**
@@ -144,6 +145,26 @@ class AccountService {
     }
   }
 
+  /**
+   * 获取可以自动恢复的账号：被系统自动禁用的，以及未被手动禁用但需要重新授权的（手动禁用的不会自动恢复）
+   * @returns {Promise<Array>} 账号列表
+   */
+  async getRecoverableAccounts() {
+    try {
+      const result = await database.query(
+        `SELECT * FROM accounts
+         WHERE (need_refresh = TRUE AND (status = 1 OR disabled_by = $1))
+            OR (status = 0 AND disabled_by = $1)
+         ORDER BY created_at ASC`,
+        [CHANGED_BY_SYSTEM]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('查询可恢复账号失败:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * 更新账号token
    * @param {string} cookie_id - Cookie ID
@@ -176,22 +197,33 @@ class AccountService {
   /**
    * 标记账号需要重新刷新token（禁用账号并设置need_refresh=true）
    * @param {string} cookie_id - Cookie ID
+   * @param {string} reason - 禁用原因
    * @returns {Promise<Object>} 更新后的账号信息
    */
-  async markAccountNeedRefresh(cookie_id) {
+  async markAccountNeedRefresh(cookie_id, reason = '刷新token失败，需要重新授权') {
     try {
       const result = await database.query(
         `UPDATE accounts
-         SET status = 0, need_refresh = TRUE, updated_at = CURRENT_TIMESTAMP
+         SET status = 0, need_refresh = TRUE,
+             disabled_reason = $2, disabled_at = CURRENT_TIMESTAMP, disabled_by = $3,
+             updated_at = CURRENT_TIMESTAMP
          WHERE cookie_id = $1
          RETURNING *`,
-        [cookie_id]
+        [cookie_id, reason, CHANGED_BY_SYSTEM]
       );
 
       if (result.rows.length === 0) {
         throw new Error(`账号不存在: cookie_id=${cookie_id}`);
       }
 
+      await accountStatusService.recordEvent({
+        account_type: ACCOUNT_TYPE_ANTIGRAVITY,
+        account_id: cookie_id,
+        status: 0,
+        reason,
+        changed_by: CHANGED_BY_SYSTEM
+      });
+
       logger.warn(`账号已标记需要刷新: cookie_id=${cookie_id}`);
       return result.rows[0];
     } catch (error) {
@@ -200,27 +232,71 @@ class AccountService {
     }
   }
 
+  /**
+   * 清除需要重新授权标记（不改变账号状态）
+   * @param {string} cookie_id - Cookie ID
+   * @returns {Promise<Object>} 更新后的账号信息
+   */
+  async clearNeedRefresh(cookie_id) {
+    try {
+      const result = await database.query(
+        `UPDATE accounts
+         SET need_refresh = FALSE, updated_at = CURRENT_TIMESTAMP
+         WHERE cookie_id = $1
+         RETURNING *`,
+        [cookie_id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`账号不存在: cookie_id=${cookie_id}`);
+      }
+
+      logger.info(`账号已清除需要重新授权标记: cookie_id=${cookie_id}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('清除账号需要重新授权标记失败:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * 更新账号状态
    * @param {string} cookie_id - Cookie ID
    * @param {number} status - 状态 (0=禁用, 1=启用)
+   * @param {Object} options - 变更信息（记录到账号和状态变更记录中）
+   * @param {string|null} options.reason - 变更原因
+   * @param {string} options.changed_by - 操作方（system / admin / user，默认 system）
    * @returns {Promise<Object>} 更新后的账号信息
    */
-  async updateAccountStatus(cookie_id, status) {
+  async updateAccountStatus(cookie_id, status, { reason = null, changed_by = CHANGED_BY_SYSTEM } = {}) {
     try {
+      // 禁用时记录原因、时间和操作方，启用时清空（同时清除需要重新授权标记）
       const result = await database.query(
         `UPDATE accounts 
-         SET status = $1, updated_at = CURRENT_TIMESTAMP
+         SET status = $1,
+             disabled_reason = CASE WHEN $1 = 0 THEN $3 ELSE NULL END,
+             disabled_at = CASE WHEN $1 = 0 THEN CURRENT_TIMESTAMP ELSE NULL END,
+             disabled_by = CASE WHEN $1 = 0 THEN $4 ELSE NULL END,
+             need_refresh = CASE WHEN $1 = 1 THEN FALSE ELSE need_refresh END,
+             updated_at = CURRENT_TIMESTAMP
          WHERE cookie_id = $2
          RETURNING *`,
-        [status, cookie_id]
+        [status, cookie_id, reason, changed_by]
       );
 
       if (result.rows.length === 0) {
         throw new Error(`账号不存在: cookie_id=${cookie_id}`);
       }
 
-      logger.info(`账号状态已更新: cookie_id=${cookie_id}, status=${status}`);
+      await accountStatusService.recordEvent({
+        account_type: ACCOUNT_TYPE_ANTIGRAVITY,
+        account_id: cookie_id,
+        status,
+        reason,
+        changed_by
+      });
+
+      logger.info(`账号状态已更新: cookie_id=${cookie_id}, status=${status}, reason=${reason || '-'}, changed_by=${changed_by}`);
       return result.rows[0];
     } catch (error) {
       logger.error('更新账号状态失败:', error.message);
@@ -295,6 +371,7 @@ class AccountService {
         'DELETE FROM accounts WHERE cookie_id = $1',
         [cookie_id]
       );
+      await accountStatusService.deleteHistory(ACCOUNT_TYPE_ANTIGRAVITY, cookie_id);
 
       const deleted = result.rowCount > 0;
       if (deleted) {
@@ -0,0 +1,251 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import accountService from './account.service.js';
+import kiroAccountService from './kiro_account.service.js';
+import oauthService from './oauth.service.js';
+import projectService from './project.service.js';
+import kiroService from './kiro.service.js';
+import { ACCOUNT_TYPE_ANTIGRAVITY, ACCOUNT_TYPE_KIRO, CHANGED_BY_SYSTEM } from './account_status.service.js';
+
+/**
+ * 默认配置（config.accountRecovery 覆盖）
+ */
+const DEFAULTS = {
+  enabled: true,
+  intervalSeconds: 300,
+  initialDelaySeconds: 600,
+  maxDelaySeconds: 21600,
+  maxAttempts: 5
+};
+
+/**
+ * 恢复检测通过后记录的原因
+ */
+const RECOVERED_REASON = '自动恢复检测通过';
+
+/**
+ * 账号自动恢复
+ * 定时检测被系统自动禁用的账号，以及未被手动禁用但需要重新授权（need_refresh）的账号：
+ * - Antigravity：刷新 token 后调用 loadCodeAssist，并检查账号是否仍符合可用条件
+ * - Kiro：刷新 token 后调用 getUsageLimits
+ * 检测通过后重新启用账号（账号未被禁用时只清除 need_refresh）；失败时按指数退避安排下一次检测，达到最大次数后不再检测，直到账号再次被禁用或手动启用。
+ * 手动禁用（disabled_by 为 admin / user）的账号不会被自动恢复。
+ * 检测进度保存在进程内存中，重启后重新计数
+ */
+class AccountRecoveryService {
+  constructor() {
+    // 账号类型:账号ID -> { disabledAt, attempts, nextAttemptAt, lastError }
+    this.states = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * 获取配置项
+   * @param {string} key - 配置项名称
+   * @returns {*} 配置值
+   */
+  getOption(key) {
+    return config.accountRecovery?.[key] ?? DEFAULTS[key];
+  }
+
+  /**
+   * 计算第 attempts 次检测失败后的等待时间（毫秒）
+   * @param {number} attempts - 已失败次数
+   * @returns {number} 等待时间
+   */
+  getDelay(attempts) {
+    const delaySeconds = this.getOption('initialDelaySeconds') * 2 ** attempts;
+    return Math.min(delaySeconds, this.getOption('maxDelaySeconds')) * 1000;
+  }
+
+  /**
+   * 获取账号的检测进度，账号被重新禁用（disabled_at 变化）后重新计数
+   * 首次检测安排在禁用时间之后 initialDelaySeconds（禁用时间未知时立即检测）
+   * @param {string} account_type - 账号类型
+   * @param {string} account_id - 账号ID
+   * @param {Date|null} disabled_at - 禁用时间
+   * @returns {Object} 检测进度
+   */
+  getState(account_type, account_id, disabled_at) {
+    const key = `${account_type}:${account_id}`;
+    const disabledAt = disabled_at ? new Date(disabled_at).getTime() : null;
+    let state = this.states.get(key);
+    if (!state || state.disabledAt !== disabledAt) {
+      state = {
+        disabledAt,
+        attempts: 0,
+        nextAttemptAt: disabledAt ? disabledAt + this.getDelay(0) : Date.now(),
+        lastError: null
+      };
+      this.states.set(key, state);
+    }
+    return state;
+  }
+
+  /**
+   * 执行一轮检测
+   */
+  async runOnce() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const activeKeys = new Set();
+
+      const accounts = await accountService.getRecoverableAccounts();
+      for (const account of accounts) {
+        activeKeys.add(`${ACCOUNT_TYPE_ANTIGRAVITY}:${account.cookie_id}`);
+        await this.tryRecover(ACCOUNT_TYPE_ANTIGRAVITY, account.cookie_id, account, () => this.probeAccount(account));
+      }
+
+      const kiroAccounts = await kiroAccountService.getRecoverableAccounts();
+      for (const account of kiroAccounts) {
+        activeKeys.add(`${ACCOUNT_TYPE_KIRO}:${account.account_id}`);
+        await this.tryRecover(ACCOUNT_TYPE_KIRO, account.account_id, account, () => this.probeKiroAccount(account));
+      }
+
+      // 已恢复、已删除或已手动启用的账号不再需要检测进度
+      for (const key of this.states.keys()) {
+        if (!activeKeys.has(key)) {
+          this.states.delete(key);
+        }
+      }
+    } catch (error) {
+      logger.error('账号自动恢复检测失败:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 到达检测时间时检测账号，通过后重新启用
+   * @param {string} account_type - 账号类型
+   * @param {string} account_id - 账号ID
+   * @param {Object} account - 账号信息
+   * @param {Function} probe - 检测函数，失败时抛出错误
+   */
+  async tryRecover(account_type, account_id, account, probe) {
+    const state = this.getState(account_type, account_id, account.disabled_at);
+    const maxAttempts = this.getOption('maxAttempts');
+    if (state.attempts >= maxAttempts || Date.now() < state.nextAttemptAt) {
+      return;
+    }
+
+    try {
+      await probe();
+      const service = account_type === ACCOUNT_TYPE_KIRO ? kiroAccountService : accountService;
+      if (account.status === 1) {
+        // 账号未被禁用，只清除需要重新授权标记
+        await service.clearNeedRefresh(account_id);
+        logger.info(`[账号恢复] 检测通过，已清除需要重新授权标记: ${account_type}:${account_id}`);
+      } else {
+        await service.updateAccountStatus(account_id, 1, { reason: RECOVERED_REASON, changed_by: CHANGED_BY_SYSTEM });
+        logger.info(`[账号恢复] 检测通过，已重新启用账号: ${account_type}:${account_id}`);
+      }
+      this.states.delete(`${account_type}:${account_id}`);
+    } catch (error) {
+      state.attempts++;
+      state.nextAttemptAt = Date.now() + this.getDelay(state.attempts);
+      state.lastError = error.message;
+      if (state.attempts >= maxAttempts) {
+        logger.warn(`[账号恢复] 检测失败${state.attempts}次，不再自动检测: ${account_type}:${account_id}, 原因: ${error.message}`);
+      } else {
+        logger.warn(`[账号恢复] 检测失败(${state.attempts}/${maxAttempts})，${Math.round(this.getDelay(state.attempts) / 1000)}秒后重试: ${account_type}:${account_id}, 原因: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 检测 Antigravity 账号：刷新 token，调用 loadCodeAssist 更新项目信息
+   * 账号可用条件与 scripts/generate-project-ids.js 相同：project_id_0 不为空，或 paidTier 不是免费
+   * @param {Object} account - 账号信息
+   */
+  async probeAccount(account) {
+    const tokenData = await oauthService.refreshAccessToken(account.refresh_token);
+    const expires_at = Date.now() + (tokenData.expires_in * 1000);
+    await accountService.updateAccountToken(account.cookie_id, tokenData.access_token, expires_at);
+
+    const updatedAccount = await projectService.updateAccountProjectIds(account.cookie_id, tokenData.access_token);
+    const hasFree = updatedAccount.paidTier &&
+      (updatedAccount.paidTier.id === 'free' || updatedAccount.paidTier.id === 'free-tier');
+    if (!updatedAccount.project_id_0 && hasFree) {
+      throw new Error('project_id_0为空且为免费账号');
+    }
+  }
+
+  /**
+   * 检测 Kiro 账号：刷新 token，调用 getUsageLimits 更新使用量
+   * @param {Object} account - 账号信息
+   */
+  async probeKiroAccount(account) {
+    const tokenData = await kiroService.refreshToken({
+      machineid: account.machineid,
+      auth: account.auth_method,
+      refreshToken: account.refresh_token,
+      clientId: account.client_id,
+      clientSecret: account.client_secret
+    });
+    const expires_at = Date.now() + (tokenData.expires_in * 1000);
+    await kiroAccountService.updateAccountToken(account.account_id, tokenData.access_token, expires_at, tokenData.profile_arn);
+
+    const usageLimitsData = await kiroService.getUsageLimits(
+      tokenData.access_token,
+      tokenData.profile_arn || account.profile_arn,
+      account.machineid
+    );
+    await kiroAccountService.updateAccountUsage(account.account_id, {
+      email: usageLimitsData.email,
+      userid: usageLimitsData.userid,
+      subscription: usageLimitsData.subscription,
+      current_usage: usageLimitsData.current_usage,
+      reset_date: usageLimitsData.reset_date,
+      usage_limit: usageLimitsData.usage_limit,
+      bonus_usage: usageLimitsData.bonus_usage,
+      bonus_limit: usageLimitsData.bonus_limit,
+      bonus_available: usageLimitsData.bonus_available,
+      bonus_details: usageLimitsData.bonus_details
+    });
+  }
+
+  /**
+   * 获取账号的自动恢复检测进度（用于接口展示）
+   * @param {string} account_type - 账号类型
+   * @param {string} account_id - 账号ID
+   * @returns {Object|null} { attempts, max_attempts, next_attempt_at, last_error }，没有检测进度时返回 null
+   */
+  getStatus(account_type, account_id) {
+    const state = this.states.get(`${account_type}:${account_id}`);
+    if (!state) return null;
+    return {
+      attempts: state.attempts,
+      max_attempts: this.getOption('maxAttempts'),
+      next_attempt_at: state.attempts >= this.getOption('maxAttempts')
+        ? null
+        : new Date(state.nextAttemptAt).toISOString(),
+      last_error: state.lastError
+    };
+  }
+
+  /**
+   * 启动定时检测
+   */
+  start() {
+    if (this.timer || !this.getOption('enabled')) return;
+    this.timer = setInterval(() => this.runOnce(), this.getOption('intervalSeconds') * 1000);
+    this.timer.unref();
+    logger.info(`账号自动恢复检测已启动，间隔${this.getOption('intervalSeconds')}秒`);
+  }
+
+  /**
+   * 停止定时检测
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const accountRecoveryService = new AccountRecoveryService();
+export default accountRecoveryService;
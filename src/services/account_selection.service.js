@@ -0,0 +1,271 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import redisService from './redis.service.js';
+import quotaService from './quota.service.js';
+
+/**
+ * 账号选择策略
+ * - random: 随机选择（默认）
+ * - round_robin: 按 cookie_id 顺序轮询（按用户 + 模型分别记录轮询位置）
+ * - least_recently_used: 选择最久未使用的账号
+ * - most_quota: 选择该模型剩余配额（model_quotas.quota）最高的账号
+ * - earliest_reset: 选择该模型配额最早重置（model_quotas.reset_time）的账号，先用掉即将重置的配额
+ * - weighted_random: 按剩余配额加权随机选择
+ */
+const SELECTION_STRATEGIES = [
+  'random',
+  'round_robin',
+  'least_recently_used',
+  'most_quota',
+  'earliest_reset',
+  'weighted_random'
+];
+
+const DEFAULT_STRATEGY = 'random';
+
+/**
+ * Redis 键：账号最近使用时间（cookie_id -> 毫秒时间戳）的哈希表，以及轮询位置前缀
+ */
+const LAST_USED_KEY = 'account_usage:last_used';
+const ROUND_ROBIN_PREFIX = 'account_selection:round_robin';
+
+/**
+ * 轮询位置的保留时长（秒）
+ */
+const ROUND_ROBIN_TTL = 7 * 24 * 3600;
+
+/**
+ * 账号选择服务
+ * 账号使用记录优先存入 Redis（多实例共享、重启后仍有效），Redis 不可用时使用进程内存
+ */
+class AccountSelectionService {
+  constructor() {
+    // cookie_id -> 最近使用时间
+    this.lastUsed = new Map();
+    // 用户 + 模型 -> 上次轮询选中的 cookie_id
+    this.roundRobin = new Map();
+  }
+
+  /**
+   * 是否为支持的选择策略
+   * @param {string} strategy - 策略名称
+   * @returns {boolean}
+   */
+  isValidStrategy(strategy) {
+    return SELECTION_STRATEGIES.includes(strategy);
+  }
+
+  /**
+   * 获取用户生效的选择策略：用户设置（users.account_strategy）优先，其次为全局配置 config.accounts.selectionStrategy
+   * @param {Object} user - 用户对象
+   * @returns {string} 策略名称
+   */
+  getStrategy(user) {
+    if (this.isValidStrategy(user?.account_strategy)) {
+      return user.account_strategy;
+    }
+    const configured = config.accounts?.selectionStrategy;
+    if (configured && !this.isValidStrategy(configured)) {
+      logger.warn(`未知的账号选择策略: ${configured}，使用 ${DEFAULT_STRATEGY}`);
+      return DEFAULT_STRATEGY;
+    }
+    return configured || DEFAULT_STRATEGY;
+  }
+
+  /**
+   * 从账号池中选择一个账号并记录使用
+   * @param {Array} pool - 可用账号列表（不能为空）
+   * @param {Object} options - 选项
+   * @param {string} options.strategy - 策略名称
+   * @param {string} options.user_id - 用户ID
+   * @param {string} options.model_name - 模型名称
+   * @returns {Promise<Object>} 选中的账号
+   */
+  async selectAccount(pool, { strategy, user_id, model_name }) {
+    let account;
+    try {
+      account = await this.pick(pool, strategy, user_id, model_name);
+    } catch (error) {
+      // 策略依赖的数据读取失败时不影响请求，退回随机选择
+      logger.warn(`账号选择策略 ${strategy} 执行失败，改为随机选择: ${error.message}`);
+    }
+    account = account || this.pickRandom(pool);
+
+    logger.info(`账号选择策略: ${strategy}, 候选账号=${pool.length}个, 选中 cookie_id=${account.cookie_id}`);
+    await this.recordUsage(account.cookie_id, user_id, model_name);
+    return account;
+  }
+
+  /**
+   * 按策略选择账号
+   * @param {Array} pool - 可用账号列表
+   * @param {string} strategy - 策略名称
+   * @param {string} user_id - 用户ID
+   * @param {string} model_name - 模型名称
+   * @returns {Promise<Object>} 选中的账号
+   */
+  async pick(pool, strategy, user_id, model_name) {
+    if (pool.length === 1) {
+      return pool[0];
+    }
+
+    switch (strategy) {
+      case 'round_robin':
+        return this.pickRoundRobin(pool, user_id, model_name);
+      case 'least_recently_used':
+        return this.pickLeastRecentlyUsed(pool);
+      case 'most_quota': {
+        const quotas = await this.getQuotas(pool, model_name);
+        return this.pickBy(pool, (a, b) => quotas[b].quota - quotas[a].quota);
+      }
+      case 'earliest_reset': {
+        const quotas = await this.getQuotas(pool, model_name);
+        return this.pickBy(pool, (a, b) => quotas[a].resetTime - quotas[b].resetTime);
+      }
+      case 'weighted_random':
+        return this.pickWeightedRandom(pool, await this.getQuotas(pool, model_name));
+      default:
+        return this.pickRandom(pool);
+    }
+  }
+
+  /**
+   * 随机选择
+   * @param {Array} pool - 可用账号列表
+   * @returns {Object} 选中的账号
+   */
+  pickRandom(pool) {
+    return pool[Math.floor(Math.random() * pool.length)];
+  }
+
+  /**
+   * 轮询：按 cookie_id 排序，选择上次选中账号的下一个（账号增减时不会打乱顺序）
+   * @param {Array} pool - 可用账号列表
+   * @param {string} user_id - 用户ID
+   * @param {string} model_name - 模型名称
+   * @returns {Promise<Object>} 选中的账号
+   */
+  async pickRoundRobin(pool, user_id, model_name) {
+    const sorted = [...pool].sort((a, b) => a.cookie_id.localeCompare(b.cookie_id));
+    const key = `${ROUND_ROBIN_PREFIX}:${user_id}:${model_name}`;
+
+    let previous = this.roundRobin.get(key);
+    if (redisService.isAvailable()) {
+      previous = (await redisService.get(key)) ?? previous;
+    }
+
+    return sorted.find(acc => previous === undefined || acc.cookie_id.localeCompare(previous) > 0) || sorted[0];
+  }
+
+  /**
+   * 最久未使用：从未使用过的账号优先，同样久时随机选择
+   * @param {Array} pool - 可用账号列表
+   * @returns {Promise<Object>} 选中的账号
+   */
+  async pickLeastRecentlyUsed(pool) {
+    const lastUsed = await this.getLastUsed(pool.map(acc => acc.cookie_id));
+    return this.pickBy(pool, (a, b) => lastUsed[a] - lastUsed[b]);
+  }
+
+  /**
+   * 按剩余配额加权随机选择（所有账号配额都为 0 时等概率选择）
+   * @param {Array} pool - 可用账号列表
+   * @param {Object} quotas - cookie_id -> { quota, resetTime }
+   * @returns {Object} 选中的账号
+   */
+  pickWeightedRandom(pool, quotas) {
+    const total = pool.reduce((sum, acc) => sum + quotas[acc.cookie_id].quota, 0);
+    if (total <= 0) {
+      return this.pickRandom(pool);
+    }
+
+    let threshold = Math.random() * total;
+    for (const acc of pool) {
+      threshold -= quotas[acc.cookie_id].quota;
+      if (threshold < 0) {
+        return acc;
+      }
+    }
+    return pool[pool.length - 1];
+  }
+
+  /**
+   * 按比较函数选出排在最前的账号，并列时随机选择（避免总是选中同一个账号）
+   * @param {Array} pool - 可用账号列表
+   * @param {Function} compare - (cookie_id_a, cookie_id_b) => number
+   * @returns {Object} 选中的账号
+   */
+  pickBy(pool, compare) {
+    const sorted = [...pool].sort((a, b) => compare(a.cookie_id, b.cookie_id));
+    const best = sorted.filter(acc => compare(acc.cookie_id, sorted[0].cookie_id) === 0);
+    return this.pickRandom(best);
+  }
+
+  /**
+   * 获取账号在该模型上的剩余配额和重置时间（没有配额记录视为满额、重置时间未知）
+   * @param {Array} pool - 可用账号列表
+   * @param {string} model_name - 模型名称
+   * @returns {Promise<Object>} cookie_id -> { quota, resetTime }（resetTime 为毫秒时间戳，未知时排在最后）
+   */
+  async getQuotas(pool, model_name) {
+    const quotas = {};
+    for (const acc of pool) {
+      const row = await quotaService.getQuota(acc.cookie_id, model_name);
+      const resetTime = row?.reset_time ? new Date(row.reset_time).getTime() : NaN;
+      quotas[acc.cookie_id] = {
+        quota: row ? Math.max(0, parseFloat(row.quota) || 0) : 1,
+        resetTime: Number.isNaN(resetTime) ? Number.MAX_SAFE_INTEGER : resetTime
+      };
+    }
+    return quotas;
+  }
+
+  /**
+   * 获取账号最近使用时间（从未使用为 0）
+   * @param {Array<string>} cookieIds - cookie_id列表
+   * @returns {Promise<Object>} cookie_id -> 最近使用时间（毫秒时间戳）
+   */
+  async getLastUsed(cookieIds) {
+    const result = {};
+    for (const cookie_id of cookieIds) {
+      result[cookie_id] = this.lastUsed.get(cookie_id) || 0;
+    }
+
+    if (redisService.isAvailable()) {
+      const values = await redisService.hmget(LAST_USED_KEY, cookieIds);
+      cookieIds.forEach((cookie_id, i) => {
+        if (values[i] !== null) {
+          result[cookie_id] = Math.max(result[cookie_id], Number(values[i]) || 0);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * 记录账号被选中（最近使用时间和轮询位置）
+   * @param {string} cookie_id - Cookie ID
+   * @param {string} user_id - 用户ID
+   * @param {string} model_name - 模型名称
+   */
+  async recordUsage(cookie_id, user_id, model_name) {
+    const now = Date.now();
+    const roundRobinKey = `${ROUND_ROBIN_PREFIX}:${user_id}:${model_name}`;
+
+    this.lastUsed.set(cookie_id, now);
+    this.roundRobin.set(roundRobinKey, cookie_id);
+
+    if (redisService.isAvailable()) {
+      try {
+        await redisService.hset(LAST_USED_KEY, cookie_id, now);
+        await redisService.set(roundRobinKey, cookie_id, ROUND_ROBIN_TTL);
+      } catch (error) {
+        logger.warn(`记录账号使用到Redis失败: ${error.message}`);
+      }
+    }
+  }
+}
+
+const accountSelectionService = new AccountSelectionService();
+export default accountSelectionService;
+export { SELECTION_STRATEGIES };
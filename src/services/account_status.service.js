@@ -0,0 +1,98 @@
+import database from '../db/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 账号类型
+ */
+const ACCOUNT_TYPE_ANTIGRAVITY = 'antigravity';
+const ACCOUNT_TYPE_KIRO = 'kiro';
+
+/**
+ * 状态变更的操作方：系统自动、管理员、账号所属用户
+ */
+const CHANGED_BY_SYSTEM = 'system';
+const CHANGED_BY_ADMIN = 'admin';
+const CHANGED_BY_USER = 'user';
+
+/**
+ * 状态变更记录默认返回条数和最大条数
+ */
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+/**
+ * 账号状态变更记录服务（account_status_events 表）
+ */
+class AccountStatusService {
+  /**
+   * 记录账号状态变更
+   * 记录失败只打印日志，不影响状态变更本身
+   * @param {Object} event - 变更信息
+   * @param {string} event.account_type - 账号类型（antigravity / kiro）
+   * @param {string} event.account_id - 账号ID（cookie_id / Kiro account_id）
+   * @param {number} event.status - 变更后的状态（0=禁用, 1=启用）
+   * @param {string|null} event.reason - 变更原因
+   * @param {string} event.changed_by - 操作方（system / admin / user）
+   */
+  async recordEvent({ account_type, account_id, status, reason = null, changed_by = CHANGED_BY_SYSTEM }) {
+    try {
+      await database.query(
+        `INSERT INTO account_status_events (account_type, account_id, status, reason, changed_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [account_type, account_id, status, reason, changed_by]
+      );
+    } catch (error) {
+      logger.error('记录账号状态变更失败:', error.message);
+    }
+  }
+
+  /**
+   * 获取账号的状态变更记录
+   * @param {string} account_type - 账号类型（antigravity / kiro）
+   * @param {string} account_id - 账号ID
+   * @param {number} limit - 返回条数（默认50，最多200）
+   * @returns {Promise<Array>} 变更记录（按时间倒序）
+   */
+  async getHistory(account_type, account_id, limit = DEFAULT_HISTORY_LIMIT) {
+    try {
+      const result = await database.query(
+        `SELECT event_id, status, reason, changed_by, created_at
+         FROM account_status_events
+         WHERE account_type = $1 AND account_id = $2
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [account_type, account_id, Math.min(Math.max(1, limit), MAX_HISTORY_LIMIT)]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('查询账号状态变更记录失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除账号的状态变更记录（删除账号时调用）
+   * @param {string} account_type - 账号类型（antigravity / kiro）
+   * @param {string} account_id - 账号ID
+   */
+  async deleteHistory(account_type, account_id) {
+    try {
+      await database.query(
+        'DELETE FROM account_status_events WHERE account_type = $1 AND account_id = $2',
+        [account_type, account_id]
+      );
+    } catch (error) {
+      logger.error('删除账号状态变更记录失败:', error.message);
+    }
+  }
+}
+
+const accountStatusService = new AccountStatusService();
+export default accountStatusService;
+export {
+  ACCOUNT_TYPE_ANTIGRAVITY,
+  ACCOUNT_TYPE_KIRO,
+  CHANGED_BY_SYSTEM,
+  CHANGED_BY_ADMIN,
+  CHANGED_BY_USER
+};
@@ -0,0 +1,200 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 默认配置（config.circuitBreaker 覆盖）
+ */
+const DEFAULTS = {
+  failureThreshold: 3,
+  windowSeconds: 300,
+  cooldownSeconds: 600,
+  probeTimeoutSeconds: 120
+};
+
+/**
+ * 熔断器状态
+ * - closed: 正常
+ * - open: 熔断中，冷却期内不会被选中
+ * - half_open: 冷却期已过，放行一个试探请求，成功后恢复正常，失败后重新熔断
+ */
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half_open';
+
+/**
+ * 账号熔断器
+ * 上游返回账号相关的错误（403、未知的 400、RESOURCE_PROJECT_INVALID、Kiro 的 402/403 等）以及网络错误、超时时不再永久禁用账号，
+ * 而是在时间窗口内累计失败次数，达到阈值后熔断一段时间，冷却期过后通过试探请求自动恢复。
+ * 永久禁用只用于确定无法恢复的错误（如刷新 token 返回 invalid_grant）。
+ * 状态保存在进程内存中，重启后所有账号恢复正常
+ */
+class CircuitBreakerService {
+  constructor() {
+    // 账号类型:账号ID -> { state, failures, openedAt, openUntil, probeStartedAt, lastError }
+    this.breakers = new Map();
+  }
+
+  /**
+   * 获取配置项
+   * @param {string} key - 配置项名称
+   * @returns {number} 配置值
+   */
+  getOption(key) {
+    return config.circuitBreaker?.[key] ?? DEFAULTS[key];
+  }
+
+  /**
+   * 生成熔断器键
+   * @param {string} provider - 账号类型（antigravity / kiro）
+   * @param {string} account_id - 账号ID（cookie_id / account_id）
+   * @returns {string} 键
+   */
+  getKey(provider, account_id) {
+    return `${provider}:${account_id}`;
+  }
+
+  /**
+   * 获取熔断器（不存在时返回正常状态）
+   * @param {string} provider - 账号类型
+   * @param {string} account_id - 账号ID
+   * @returns {Object} 熔断器
+   */
+  getBreaker(provider, account_id) {
+    return this.breakers.get(this.getKey(provider, account_id)) || {
+      state: STATE_CLOSED,
+      failures: [],
+      openedAt: null,
+      openUntil: null,
+      probeStartedAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * 获取熔断器的当前状态（open 状态冷却期已过时视为 half_open）
+   * @param {Object} breaker - 熔断器
+   * @returns {string} 状态
+   */
+  getCurrentState(breaker) {
+    if (breaker.state === STATE_OPEN && Date.now() >= breaker.openUntil) {
+      return STATE_HALF_OPEN;
+    }
+    return breaker.state;
+  }
+
+  /**
+   * 账号当前是否可以被选中
+   * 熔断冷却期内不可用；冷却期过后只放行一个试探请求（试探请求超时未返回结果时再放行下一个）
+   * @param {string} provider - 账号类型
+   * @param {string} account_id - 账号ID
+   * @returns {boolean}
+   */
+  canAttempt(provider, account_id) {
+    const breaker = this.getBreaker(provider, account_id);
+    const state = this.getCurrentState(breaker);
+    if (state === STATE_CLOSED) {
+      return true;
+    }
+    if (state === STATE_OPEN) {
+      return false;
+    }
+    return !breaker.probeStartedAt ||
+      Date.now() - breaker.probeStartedAt >= this.getOption('probeTimeoutSeconds') * 1000;
+  }
+
+  /**
+   * 账号被选中时调用：处于半开状态时记录试探请求
+   * @param {string} provider - 账号类型
+   * @param {string} account_id - 账号ID
+   */
+  onSelected(provider, account_id) {
+    const key = this.getKey(provider, account_id);
+    const breaker = this.breakers.get(key);
+    if (!breaker || this.getCurrentState(breaker) !== STATE_HALF_OPEN) {
+      return;
+    }
+    breaker.state = STATE_HALF_OPEN;
+    breaker.probeStartedAt = Date.now();
+    logger.info(`[熔断器] 发送试探请求: ${key}`);
+  }
+
+  /**
+   * 记录请求成功：半开状态的试探请求成功后恢复正常
+   * 正常状态下不清除失败记录（成功与失败交替出现时失败次数仍会累计），失败记录超出时间窗口后自然失效
+   * @param {string} provider - 账号类型
+   * @param {string} account_id - 账号ID
+   */
+  recordSuccess(provider, account_id) {
+    const key = this.getKey(provider, account_id);
+    const breaker = this.breakers.get(key);
+    if (!breaker) {
+      return;
+    }
+
+    const state = this.getCurrentState(breaker);
+    if (state === STATE_HALF_OPEN) {
+      logger.info(`[熔断器] 试探请求成功，账号恢复正常: ${key}`);
+      this.breakers.delete(key);
+    } else if (state === STATE_CLOSED) {
+      const windowStart = Date.now() - this.getOption('windowSeconds') * 1000;
+      breaker.failures = breaker.failures.filter(time => time > windowStart);
+      if (breaker.failures.length === 0) {
+        this.breakers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 记录账号相关的失败：时间窗口内失败次数达到阈值或半开状态的试探请求失败时熔断
+   * @param {string} provider - 账号类型
+   * @param {string} account_id - 账号ID
+   * @param {string} reason - 失败原因（用于日志和状态展示）
+   */
+  recordFailure(provider, account_id, reason) {
+    const key = this.getKey(provider, account_id);
+    const breaker = this.getBreaker(provider, account_id);
+    const now = Date.now();
+    const windowStart = now - this.getOption('windowSeconds') * 1000;
+
+    breaker.failures = breaker.failures.filter(time => time > windowStart);
+    breaker.failures.push(now);
+    breaker.lastError = reason;
+    this.breakers.set(key, breaker);
+
+    const state = this.getCurrentState(breaker);
+    if (state === STATE_OPEN) {
+      return;
+    }
+    if (state === STATE_HALF_OPEN || breaker.failures.length >= this.getOption('failureThreshold')) {
+      const cooldownSeconds = this.getOption('cooldownSeconds');
+      breaker.state = STATE_OPEN;
+      breaker.openedAt = now;
+      breaker.openUntil = now + cooldownSeconds * 1000;
+      breaker.probeStartedAt = null;
+      logger.warn(`[熔断器] 账号熔断${cooldownSeconds}秒: ${key}, 窗口内失败${breaker.failures.length}次, 原因: ${reason}`);
+    } else {
+      logger.warn(`[熔断器] 记录账号失败(${breaker.failures.length}/${this.getOption('failureThreshold')}): ${key}, 原因: ${reason}`);
+    }
+  }
+
+  /**
+   * 获取账号的熔断器状态（用于接口展示）
+   * @param {string} provider - 账号类型
+   * @param {string} account_id - 账号ID
+   * @returns {Object} { state, recent_failures, opened_at, open_until, last_error }
+   */
+  getStatus(provider, account_id) {
+    const breaker = this.getBreaker(provider, account_id);
+    const windowStart = Date.now() - this.getOption('windowSeconds') * 1000;
+    return {
+      state: this.getCurrentState(breaker),
+      recent_failures: breaker.failures.filter(time => time > windowStart).length,
+      opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      open_until: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+      last_error: breaker.lastError
+    };
+  }
+}
+
+const circuitBreakerService = new CircuitBreakerService();
+export default circuitBreakerService;
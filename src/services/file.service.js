@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import database from '../db/database.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * 文件用途：模型生成的图片
+ * 生成的图片通过不可猜测的文件ID以短链接形式返回，下载时无需API Key（便于直接在客户端中显示）
+ */
+const PURPOSE_IMAGE_GENERATION = 'image_generation';
+
+/**
+ * 用户上传文件允许的用途（与 OpenAI Files API 一致）
+ */
+const UPLOAD_PURPOSES = ['user_data', 'assistants', 'vision'];
+
+/**
+ * 默认存储目录和保留时长（小时）
+ */
+const DEFAULT_DIRECTORY = './data/files';
+const DEFAULT_RETENTION_HOURS = 24;
+
+/**
+ * 过期文件清理间隔（毫秒）
+ */
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * MIME类型 -> 文件扩展名（用于生成文件名）
+ */
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * 获取消息内容块引用的文件ID
+ * @param {Object} item - 消息内容块
+ * @returns {string|null} 文件ID
+ */
+function getReferencedFileId(item) {
+  if (item?.type === 'file') {
+    return item.file_id || item.file?.file_id || null;
+  }
+  if (item?.type === 'image_url') {
+    const url = typeof item.image_url === 'string' ? item.image_url : item.image_url?.url;
+    return typeof url === 'string' && url.startsWith('file-') ? url : null;
+  }
+  return null;
+}
+
+class FileService {
+  constructor() {
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * 获取文件存储目录（config.files.directory）
+   * @returns {string} 绝对路径
+   */
+  getDirectory() {
+    return path.resolve(config.files?.directory || DEFAULT_DIRECTORY);
+  }
+
+  /**
+   * 获取文件保留时长，0 表示永久保留
+   * 生成的图片使用 config.files.retentionHours，用户上传的文件使用 config.files.uploadRetentionHours（默认永久保留，直到用户删除）
+   * @param {string} purpose - 文件用途
+   * @returns {number} 保留时长（小时）
+   */
+  getRetentionHours(purpose = PURPOSE_IMAGE_GENERATION) {
+    const isUpload = purpose !== PURPOSE_IMAGE_GENERATION;
+    const hours = isUpload ? config.files?.uploadRetentionHours : config.files?.retentionHours;
+    if (hours === undefined || hours === null) {
+      return isUpload ? 0 : DEFAULT_RETENTION_HOURS;
+    }
+    return Math.max(0, Number(hours) || 0);
+  }
+
+  /**
+   * 生成文件ID（file-xxx格式，随机且不可猜测）
+   * @returns {string} 文件ID
+   */
+  generateFileId() {
+    return `file-${crypto.randomBytes(18).toString('base64url')}`;
+  }
+
+  /**
+   * 获取文件在磁盘上的路径
+   * @param {string} file_id - 文件ID
+   * @returns {string} 文件路径
+   */
+  getFilePath(file_id) {
+    return path.join(this.getDirectory(), file_id);
+  }
+
+  /**
+   * 保存文件：内容写入存储目录，元数据写入数据库
+   * @param {Object} fileData - 文件数据
+   * @param {string} fileData.user_id - 所属用户ID
+   * @param {Buffer} fileData.buffer - 文件内容
+   * @param {string} fileData.mime_type - MIME类型
+   * @param {string} fileData.filename - 文件名（可选，不传则根据文件ID生成）
+   * @param {string} fileData.purpose - 文件用途
+   * @returns {Promise<Object>} 文件信息
+   */
+  async createFile({ user_id, buffer, mime_type, filename, purpose }) {
+    const file_id = this.generateFileId();
+    const retentionHours = this.getRetentionHours(purpose);
+    const expires_at = retentionHours > 0
+      ? new Date(Date.now() + retentionHours * 3600 * 1000)
+      : null;
+    const name = filename || `${file_id}.${MIME_EXTENSIONS[mime_type] || 'bin'}`;
+
+    await fs.mkdir(this.getDirectory(), { recursive: true });
+    await fs.writeFile(this.getFilePath(file_id), buffer);
+
+    try {
+      const result = await database.query(
+        `INSERT INTO files (file_id, user_id, filename, purpose, mime_type, bytes, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [file_id, user_id, name, purpose, mime_type, buffer.length, expires_at]
+      );
+      return result.rows[0];
+    } catch (error) {
+      await fs.rm(this.getFilePath(file_id), { force: true });
+      logger.error('保存文件信息失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 保存模型生成的图片
+   * @param {string} user_id - 所属用户ID
+   * @param {Object} image - 图片数据 { mimeType, data }（base64）
+   * @returns {Promise<Object>} 文件信息
+   */
+  async saveGeneratedImage(user_id, image) {
+    return this.createFile({
+      user_id,
+      buffer: Buffer.from(image.data, 'base64'),
+      mime_type: image.mimeType || 'image/png',
+      purpose: PURPOSE_IMAGE_GENERATION
+    });
+  }
+
+  /**
+   * 获取文件信息（已过期的文件视为不存在）
+   * @param {string} file_id - 文件ID
+   * @returns {Promise<Object|null>} 文件信息
+   */
+  async getFile(file_id) {
+    try {
+      const result = await database.query(
+        `SELECT * FROM files
+         WHERE file_id = $1 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+        [file_id]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('查询文件信息失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的文件列表
+   * @param {string} user_id - 用户ID
+   * @param {string} purpose - 按用途筛选（可选）
+   * @returns {Promise<Array>} 文件列表（按创建时间倒序）
+   */
+  async getUserFiles(user_id, purpose = null) {
+    try {
+      const params = [user_id];
+      let query = `SELECT * FROM files
+         WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`;
+      if (purpose) {
+        params.push(purpose);
+        query += ` AND purpose = $${params.length}`;
+      }
+      query += ' ORDER BY created_at DESC';
+
+      const result = await database.query(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('查询文件列表失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除文件（数据库记录和磁盘文件）
+   * @param {string} file_id - 文件ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteFile(file_id) {
+    try {
+      const result = await database.query(
+        'DELETE FROM files WHERE file_id = $1 RETURNING file_id',
+        [file_id]
+      );
+      await fs.rm(this.getFilePath(file_id), { force: true });
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('删除文件失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 读取文件内容
+   * @param {string} file_id - 文件ID
+   * @returns {Promise<Buffer>} 文件内容
+   */
+  async readFileContent(file_id) {
+    return fs.readFile(this.getFilePath(file_id));
+  }
+
+  /**
+   * 收集消息中引用的文件ID
+   * 支持 { type: 'file', file_id } / { type: 'file', file: { file_id } } 和 image_url 为 file-xxx 的图片
+   * @param {Array} messages - OpenAI格式消息
+   * @returns {Set<string>} 文件ID集合
+   */
+  collectFileIds(messages) {
+    const fileIds = new Set();
+    for (const message of messages || []) {
+      if (!Array.isArray(message.content)) continue;
+      for (const item of message.content) {
+        const file_id = getReferencedFileId(item);
+        if (file_id) {
+          fileIds.add(file_id);
+        }
+      }
+    }
+    return fileIds;
+  }
+
+  /**
+   * 加载消息中引用的文件内容，供消息转换时替换为内联数据
+   * 只能引用自己的文件，文件不存在、已过期或属于其他用户时抛出 FILE_REFERENCE_NOT_FOUND
+   * @param {Array} messages - OpenAI格式消息
+   * @param {string} user_id - 用户ID
+   * @returns {Promise<Map<string, Object>>} 文件ID -> { mimeType, data }（base64）
+   */
+  async loadReferencedFiles(messages, user_id) {
+    const files = new Map();
+    for (const file_id of this.collectFileIds(messages)) {
+      const file = await this.getFile(file_id);
+      if (!file || file.user_id !== user_id) {
+        throw new ServiceError('FILE_REFERENCE_NOT_FOUND', { file_id });
+      }
+
+      let content;
+      try {
+        content = await this.readFileContent(file_id);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new ServiceError('FILE_REFERENCE_NOT_FOUND', { file_id });
+        }
+        throw error;
+      }
+      files.set(file_id, { mimeType: file.mime_type, data: content.toString('base64') });
+    }
+    return files;
+  }
+
+  /**
+   * 转换为 OpenAI 文件对象
+   * @param {Object} file - 文件信息
+   * @returns {Object} OpenAI 文件对象
+   */
+  toOpenAIFile(file) {
+    return {
+      id: file.file_id,
+      object: 'file',
+      bytes: file.bytes,
+      created_at: Math.floor(new Date(file.created_at).getTime() / 1000),
+      expires_at: file.expires_at ? Math.floor(new Date(file.expires_at).getTime() / 1000) : null,
+      filename: file.filename,
+      purpose: file.purpose
+    };
+  }
+
+  /**
+   * 生成文件内容的下载地址
+   * 优先使用 config.files.publicBaseUrl（反向代理后请求中的协议和主机可能不是客户端访问的地址）
+   * @param {Object} req - Express 请求对象
+   * @param {string} file_id - 文件ID
+   * @returns {string} 下载地址
+   */
+  getContentUrl(req, file_id) {
+    const baseUrl = config.files?.publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl.replace(/\/+$/, '')}/v1/files/${file_id}/content`;
+  }
+
+  /**
+   * 删除已过期的文件（数据库记录和磁盘文件）
+   * @returns {Promise<number>} 删除的文件数
+   */
+  async cleanupExpiredFiles() {
+    try {
+      const result = await database.query(
+        `DELETE FROM files
+         WHERE expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP
+         RETURNING file_id`
+      );
+      for (const row of result.rows) {
+        await fs.rm(this.getFilePath(row.file_id), { force: true });
+      }
+      if (result.rows.length > 0) {
+        logger.info(`已清理 ${result.rows.length} 个过期文件`);
+      }
+      return result.rows.length;
+    } catch (error) {
+      logger.error('清理过期文件失败:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * 启动过期文件定时清理
+   */
+  startCleanup() {
+    if (this.cleanupTimer) return;
+    this.cleanupExpiredFiles();
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredFiles(), CLEANUP_INTERVAL);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * 停止过期文件定时清理
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+const fileService = new FileService();
+export default fileService;
+export { PURPOSE_IMAGE_GENERATION, UPLOAD_PURPOSES, getReferencedFileId };
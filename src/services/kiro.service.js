@@ -2,6 +2,7 @@ import https from 'https';
 import crypto from 'crypto';
 import logger from '../utils/logger.js';
 import redisService from './redis.service.js';
+import { getReferencedFileId } from './file.service.js';
 
 /**
  * Kiro OAuth Redis Key前缀
@@ -593,6 +594,8 @@ class KiroService {
    * @param {Array} messages - OpenAI格式消息
    * @param {string} model - 模型名称
    * @param {Object} options - 其他选项
+   * @param {Map<string, Object>} options.attachments - 消息中引用的已上传文件和远程图片（loadMessageAttachments）
+   * @param {Object} options.session - 粘性会话（可选）
    * @returns {Object} CodeWhisperer请求体
    */
   convertToCodeWhispererRequest(messages, model, options = {}) {
@@ -600,7 +603,8 @@ class KiroService {
     const patchedMessages = this.patchThinkingParts(messages);
     
     const modelId = this.getKiroModelId(model);
-    const conversationId = crypto.randomUUID();
+    // 粘性会话使用固定的 conversationId
+    const conversationId = options.session?.conversationId || crypto.randomUUID();
     const agentContinuationId = crypto.randomUUID();
 
     // 提取系统消息（使用处理后的消息）
@@ -651,7 +655,7 @@ class KiroService {
             .join('\n');
           const images = userBuffer
             .filter(m => m.role === 'user')
-            .flatMap(m => this.extractImages(m.content));
+            .flatMap(m => this.extractImages(m.content, options.attachments));
           // 从user消息中提取tool_result块，以及从tool消息中提取工具结果
           const toolResults = [
             ...userBuffer.filter(m => m.role === 'user').flatMap(m => this.extractToolResults(m.content)),
@@ -693,7 +697,7 @@ class KiroService {
         .join('\n');
       const images = userBuffer
         .filter(m => m.role === 'user')
-        .flatMap(m => this.extractImages(m.content));
+        .flatMap(m => this.extractImages(m.content, options.attachments));
       // 从user消息中提取tool_result块，以及从tool消息中提取工具结果
       const toolResults = [
         ...userBuffer.filter(m => m.role === 'user').flatMap(m => this.extractToolResults(m.content)),
@@ -725,7 +729,7 @@ class KiroService {
     const isToolMessage = lastMessage.role === 'tool';
     
     let currentContent = isToolMessage ? '' : this.extractTextContent(lastMessage.content);
-    const currentImages = isToolMessage ? [] : this.extractImages(lastMessage.content);
+    const currentImages = isToolMessage ? [] : this.extractImages(lastMessage.content, options.attachments);
     
     // 提取工具结果：从user消息的content中提取tool_result块，或从tool消息转换
     let currentToolResults = [];
@@ -856,15 +860,32 @@ class KiroService {
    * 支持两种格式：
    * 1. OpenAI格式: { type: 'image_url', image_url: { url: 'data:image/png;base64,...' } }
    * 2. Anthropic格式: { type: 'image', source: { type: 'base64', media_type: 'image/png', data: '...' } }
+   * 3. 已上传文件: { type: 'file', file_id } 或 image_url 为 file-xxx（只支持图片）
+   * 4. 远程图片: image_url 或 Anthropic url 来源为 http(s) 链接
+   * @param {Array} content - 消息内容
+   * @param {Map<string, Object>} attachments - 预先加载的已上传文件和远程图片
    */
-  extractImages(content) {
+  extractImages(content, attachments = new Map()) {
     if (!Array.isArray(content)) return [];
     
     const images = [];
     
     for (const block of content) {
+      const file_id = getReferencedFileId(block);
+      // 已上传文件
+      if (file_id) {
+        const file = attachments.get(file_id);
+        if (file?.mimeType.startsWith('image/')) {
+          images.push({
+            format: file.mimeType.split('/')[1],
+            source: { bytes: file.data }
+          });
+        } else if (file) {
+          logger.warn(`Kiro只支持图片文件，已忽略: ${file_id} (${file.mimeType})`);
+        }
+      }
       // OpenAI格式: image_url
-      if (block.type === 'image_url' && block.image_url?.url) {
+      else if (block.type === 'image_url' && block.image_url?.url) {
         const url = block.image_url.url;
         
         // 处理base64 data URL
@@ -879,9 +900,23 @@ class KiroService {
             });
           }
         }
-        // 处理普通URL（需要先下载，这里暂不支持，记录警告）
+        // 处理远程图片（使用预先下载的内容，未启用远程图片下载时忽略）
         else if (url.startsWith('http://') || url.startsWith('https://')) {
-          logger.warn('Kiro不支持URL格式的图片，请使用base64格式');
+          const image = attachments.get(url);
+          if (image) {
+            images.push({ format: image.mimeType.split('/')[1], source: { bytes: image.data } });
+          } else {
+            logger.warn('远程图片下载未启用，已忽略URL格式的图片');
+          }
+        }
+      }
+      // Anthropic格式: url 来源的图片
+      else if (block.type === 'image' && block.source?.type === 'url') {
+        const image = attachments.get(block.source.url);
+        if (image) {
+          images.push({ format: image.mimeType.split('/')[1], source: { bytes: image.data } });
+        } else {
+          logger.warn('远程图片下载未启用，已忽略URL格式的图片');
         }
       }
       // Anthropic格式: image
@@ -112,6 +112,35 @@ class RedisService {
     await this.client.del(key);
   }
 
+  /**
+   * 设置哈希字段（不过期，原样存储字符串）
+   * @param {string} key - 键
+   * @param {string} field - 字段
+   * @param {string|number} value - 值
+   */
+  async hset(key, field, value) {
+    if (!this.isAvailable()) {
+      throw new Error('Redis不可用');
+    }
+    await this.client.hset(key, field, value);
+  }
+
+  /**
+   * 批量获取哈希字段
+   * @param {string} key - 键
+   * @param {Array<string>} fields - 字段列表
+   * @returns {Promise<Array<string|null>>} 值列表（与字段顺序一致，不存在为 null）
+   */
+  async hmget(key, fields) {
+    if (!this.isAvailable()) {
+      throw new Error('Redis不可用');
+    }
+    if (fields.length === 0) {
+      return [];
+    }
+    return this.client.hmget(key, ...fields);
+  }
+
   /**
    * 关闭连接
    */
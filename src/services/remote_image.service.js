@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * 远程图片下载的默认配置（config.remoteImages 覆盖）
+ */
+const DEFAULTS = {
+  enabled: true,
+  timeoutMs: 10000,
+  maxBytes: 10 * 1024 * 1024,
+  maxRedirects: 3,
+  cacheTTLSeconds: 3600,
+  cacheMaxEntries: 100,
+  allowPrivateNetworks: false
+};
+
+/**
+ * 禁止访问的 IPv4 / IPv6 地址段（SSRF 防护）：本机、私有网络、链路本地、CGNAT、组播、文档示例和保留地址，
+ * 以及 NAT64 前缀（64:ff9b::/96 可通过网关转发到任意 IPv4 地址，包括内网地址）
+ */
+const BLOCKED_RANGES = (() => {
+  const blockList = new net.BlockList();
+  const ipv4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+  ];
+  const ipv6 = [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+  ];
+  for (const [address, prefix] of ipv4) blockList.addSubnet(address, prefix, 'ipv4');
+  for (const [address, prefix] of ipv6) blockList.addSubnet(address, prefix, 'ipv6');
+  return blockList;
+})();
+
+/**
+ * 检查IP地址是否属于禁止访问的地址段（IPv4 映射的 IPv6 地址按 IPv4 检查）
+ * @param {string} address - IP地址
+ * @returns {boolean} 是否禁止访问
+ */
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+class RemoteImageService {
+  constructor() {
+    // URL哈希 -> { mimeType, data, expiresAt }，Map 的插入顺序即最近使用顺序
+    this.cache = new Map();
+  }
+
+  /**
+   * 获取配置项
+   * @param {string} key - 配置项名称
+   * @returns {*} 配置值
+   */
+  getOption(key) {
+    return config.remoteImages?.[key] ?? DEFAULTS[key];
+  }
+
+  /**
+   * 是否为需要下载的远程图片地址
+   * @param {string} url - 图片地址
+   * @returns {boolean}
+   */
+  isRemoteUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url);
+  }
+
+  /**
+   * 收集消息中引用的远程图片地址（image_url 或 Anthropic url 来源的 image 块为 http(s) 链接）
+   * @param {Array} messages - OpenAI格式消息（Kiro 的 Anthropic 接口直接传入 Anthropic 内容块）
+   * @returns {Set<string>} 图片地址集合
+   */
+  collectImageUrls(messages) {
+    const urls = new Set();
+    for (const message of messages || []) {
+      if (!Array.isArray(message.content)) continue;
+      for (const item of message.content) {
+        let url = null;
+        if (item?.type === 'image_url') {
+          url = typeof item.image_url === 'string' ? item.image_url : item.image_url?.url;
+        } else if (item?.type === 'image' && item.source?.type === 'url') {
+          url = item.source.url;
+        }
+        if (this.isRemoteUrl(url)) {
+          urls.add(url);
+        }
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * 下载消息中引用的远程图片，供消息转换时替换为内联数据
+   * 未启用（config.remoteImages.enabled 为 false）时返回空 Map，远程图片会被忽略
+   * @param {Array} messages - OpenAI格式消息
+   * @returns {Promise<Map<string, Object>>} 图片地址 -> { mimeType, data }（base64）
+   */
+  async loadRemoteImages(messages) {
+    const images = new Map();
+    if (!this.getOption('enabled')) {
+      return images;
+    }
+    for (const url of this.collectImageUrls(messages)) {
+      images.set(url, await this.fetchImage(url));
+    }
+    return images;
+  }
+
+  /**
+   * 下载远程图片（优先使用缓存）
+   * @param {string} url - 图片地址
+   * @returns {Promise<Object>} { mimeType, data }（base64）
+   */
+  async fetchImage(url) {
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      // 重新插入，标记为最近使用
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return { mimeType: cached.mimeType, data: cached.data };
+    }
+
+    let image;
+    try {
+      image = await this.download(url, this.getOption('maxRedirects'));
+    } catch (error) {
+      logger.warn(`远程图片下载失败: ${url}, ${error.message}`);
+      throw new ServiceError('REMOTE_IMAGE_FETCH_FAILED', { url, detail: error.message });
+    }
+
+    this.cache.delete(key);
+    this.cache.set(key, { ...image, expiresAt: Date.now() + this.getOption('cacheTTLSeconds') * 1000 });
+    while (this.cache.size > this.getOption('cacheMaxEntries')) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return image;
+  }
+
+  /**
+   * 解析域名并检查地址是否允许访问，作为 http(s).request 的 lookup 使用，
+   * 保证实际连接的地址就是检查过的地址（防止 DNS rebinding）
+   * @param {string} hostname - 域名
+   * @param {Object} options - dns.lookup 选项
+   * @param {Function} callback - (error, address, family) 或 (error, addresses)
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (!this.getOption('allowPrivateNetworks')) {
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+          return callback(new Error(`禁止访问内网地址: ${blocked.address}`));
+        }
+      }
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * 下载图片，校验状态码、Content-Type 和大小，手动跟随重定向（每次重定向都重新检查地址）
+   * @param {string} url - 图片地址
+   * @param {number} redirectsLeft - 剩余可跟随的重定向次数
+   * @returns {Promise<Object>} { mimeType, data }（base64）
+   */
+  download(url, redirectsLeft) {
+    return new Promise((resolve, reject) => {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return reject(new Error('无效的URL'));
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return reject(new Error(`不支持的协议: ${parsed.protocol}`));
+      }
+
+      // IP 地址形式的主机不会经过 lookup，需要单独检查
+      const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(hostname) && !this.getOption('allowPrivateNetworks') && isBlockedAddress(hostname)) {
+        return reject(new Error(`禁止访问内网地址: ${hostname}`));
+      }
+
+      const maxBytes = this.getOption('maxBytes');
+      const client = parsed.protocol === 'https:' ? https : http;
+      const req = client.get(parsed, {
+        lookup: (host, options, callback) => this.lookup(host, options, callback),
+        headers: { Accept: 'image/*' }
+      }, (res) => {
+        const { statusCode, headers } = res;
+
+        if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+          res.resume();
+          if (redirectsLeft <= 0) {
+            return reject(new Error('重定向次数过多'));
+          }
+          const nextUrl = new URL(headers.location, parsed).toString();
+          return this.download(nextUrl, redirectsLeft - 1).then(resolve, reject);
+        }
+
+        if (statusCode !== 200) {
+          res.resume();
+          return reject(new Error(`HTTP ${statusCode}`));
+        }
+
+        const mimeType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!mimeType.startsWith('image/')) {
+          res.resume();
+          return reject(new Error(`不是图片: ${mimeType || '未知类型'}`));
+        }
+
+        if (Number(headers['content-length']) > maxBytes) {
+          res.resume();
+          return reject(new Error(`图片大小超过 ${maxBytes} 字节`));
+        }
+
+        const chunks = [];
+        let received = 0;
+        res.on('data', (chunk) => {
+          received += chunk.length;
+          if (received > maxBytes) {
+            abort(new Error(`图片大小超过 ${maxBytes} 字节`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => {
+          resolve({ mimeType, data: Buffer.concat(chunks).toString('base64') });
+        });
+        res.on('error', reject);
+      });
+
+      // 失败时直接结束 Promise 并断开连接（连接断开产生的错误不再重复处理）
+      const abort = (error) => {
+        reject(error);
+        req.destroy();
+      };
+
+      // 整个下载（包括慢速传输）的超时时间
+      const timer = setTimeout(() => abort(new Error('下载超时')), this.getOption('timeoutMs'));
+      req.on('close', () => clearTimeout(timer));
+      req.on('error', reject);
+    });
+  }
+}
+
+const remoteImageService = new RemoteImageService();
+export default remoteImageService;
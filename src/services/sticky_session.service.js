@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import redisService from './redis.service.js';
+
+/**
+ * 默认配置（config.stickySession 覆盖）
+ */
+const DEFAULTS = {
+  enabled: true,
+  ttlSeconds: 3600,
+  deriveFromMessages: true,
+  kiroDeriveFromMessages: false
+};
+
+/**
+ * 客户端指定会话的请求头
+ */
+const SESSION_HEADER = 'x-session-id';
+
+/**
+ * Redis 键前缀和内存缓存的最大条目数
+ */
+const KEY_PREFIX = 'sticky_session';
+const MEMORY_MAX_ENTRIES = 10000;
+
+/**
+ * 粘性会话
+ * 同一会话的请求固定使用同一个账号（Antigravity 的 cookie_id / Kiro 的 account_id），
+ * 并向上游发送固定的 sessionId / conversationId，以利用上游的上下文缓存、避免对话中途在多个账号间分摊配额。
+ * 会话由 x-session-id 请求头指定，未指定时根据对话开头（第一条用户消息及之前的消息）的哈希推导。
+ * 推导出的会话无法区分开头相同的不同对话（如系统提示词相同、都以 "hi" 开头），这些对话会共用同一个账号和 sessionId；
+ * Kiro 的 conversationId 标识上游对话，因此 Kiro 默认不推导（kiroDeriveFromMessages），只使用请求头指定的会话。
+ * 绑定关系优先存入 Redis（多实例共享、重启后仍有效），Redis 不可用时使用进程内存
+ */
+class StickySessionService {
+  constructor() {
+    // 键 -> { account_id, expiresAt }，Map 的插入顺序即写入顺序
+    this.memoryCache = new Map();
+  }
+
+  /**
+   * 获取配置项
+   * @param {string} key - 配置项名称
+   * @returns {*} 配置值
+   */
+  getOption(key) {
+    return config.stickySession?.[key] ?? DEFAULTS[key];
+  }
+
+  /**
+   * 获取请求所属的会话
+   * @param {Object} req - Express 请求对象
+   * @param {string} user_id - 用户ID（会话按用户隔离）
+   * @param {Array} messages - 对话消息（OpenAI / Anthropic 格式的 messages 或 Gemini 的 contents）
+   * @param {string} provider - 账号类型（antigravity / kiro），决定未指定会话时是否根据对话开头推导
+   * @returns {Object|null} 会话 { key, sessionId, conversationId }，未启用或无法确定会话时返回 null
+   */
+  getSession(req, user_id, messages, provider = 'antigravity') {
+    if (!this.getOption('enabled')) {
+      return null;
+    }
+
+    let source = req.get(SESSION_HEADER);
+    if (source) {
+      source = `header:${source}`;
+    } else if (this.getOption(provider === 'kiro' ? 'kiroDeriveFromMessages' : 'deriveFromMessages')) {
+      const prefix = this.getConversationPrefix(messages);
+      if (!prefix) return null;
+      source = `messages:${JSON.stringify(prefix)}`;
+    } else {
+      return null;
+    }
+
+    const hash = crypto.createHash('sha256').update(`${user_id}:${source}`).digest('hex');
+    return {
+      key: hash,
+      sessionId: String(-(BigInt(`0x${hash.slice(0, 16)}`) % 9000000000000000000n)),
+      conversationId: [
+        hash.slice(16, 24),
+        hash.slice(24, 28),
+        `4${hash.slice(29, 32)}`,
+        `${(8 + parseInt(hash[32], 16) % 4).toString(16)}${hash.slice(33, 36)}`,
+        hash.slice(36, 48)
+      ].join('-')
+    };
+  }
+
+  /**
+   * 获取对话开头：第一条用户消息及之前的消息（系统提示词等），同一对话的后续请求中保持不变
+   * @param {Array} messages - 对话消息
+   * @returns {Array|null} 对话开头，没有用户消息时返回 null
+   */
+  getConversationPrefix(messages) {
+    if (!Array.isArray(messages)) return null;
+    const index = messages.findIndex(message => message?.role === 'user');
+    return index === -1 ? null : messages.slice(0, index + 1);
+  }
+
+  /**
+   * 生成缓存键
+   * @param {string} provider - 账号类型（antigravity / kiro）
+   * @param {Object} session - 会话
+   * @returns {string} 缓存键
+   */
+  getKey(provider, session) {
+    return `${KEY_PREFIX}:${provider}:${session.key}`;
+  }
+
+  /**
+   * 获取会话绑定的账号ID（先查内存，再查 Redis）
+   * @param {string} provider - 账号类型（antigravity / kiro）
+   * @param {Object} session - 会话
+   * @returns {Promise<string|null>} 账号ID
+   */
+  async getBoundAccount(provider, session) {
+    const key = this.getKey(provider, session);
+    const cached = this.memoryCache.get(key);
+    if (cached) {
+      if (cached.expiresAt > Date.now()) {
+        return cached.account_id;
+      }
+      this.memoryCache.delete(key);
+    }
+
+    if (redisService.isAvailable()) {
+      try {
+        return await redisService.get(key);
+      } catch (error) {
+        logger.warn(`从Redis读取会话绑定失败: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 将会话绑定到账号（每次请求都会刷新过期时间）
+   * @param {string} provider - 账号类型（antigravity / kiro）
+   * @param {Object} session - 会话
+   * @param {string} account_id - 账号ID
+   */
+  async bindAccount(provider, session, account_id) {
+    const key = this.getKey(provider, session);
+    const ttl = this.getOption('ttlSeconds');
+
+    this.memoryCache.delete(key);
+    this.memoryCache.set(key, { account_id, expiresAt: Date.now() + ttl * 1000 });
+    while (this.memoryCache.size > MEMORY_MAX_ENTRIES) {
+      this.memoryCache.delete(this.memoryCache.keys().next().value);
+    }
+
+    if (redisService.isAvailable()) {
+      try {
+        await redisService.set(key, account_id, ttl);
+      } catch (error) {
+        logger.warn(`保存会话绑定到Redis失败: ${error.message}`);
+      }
+    }
+  }
+}
+
+const stickySessionService = new StickySessionService();
+export default stickySessionService;
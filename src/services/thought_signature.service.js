@@ -0,0 +1,125 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import redisService from './redis.service.js';
+
+/**
+ * 默认缓存时长（秒）和内存缓存的最大条目数
+ */
+const DEFAULT_TTL_SECONDS = 24 * 3600;
+const MEMORY_MAX_ENTRIES = 10000;
+
+/**
+ * Redis 键前缀
+ */
+const KEY_PREFIX = 'thought_signature';
+
+/**
+ * Gemini 思考模型 thoughtSignature 缓存
+ * 多轮工具调用时上游要求在 functionCall 上回传 thoughtSignature，但很多 OpenAI 客户端会丢弃
+ * tool_call.extra_content 等未知字段，导致下一轮请求返回 INVALID_ARGUMENT。
+ * 这里在返回工具调用时按 用户ID + tool_call id 保存签名，客户端未回传时在转换请求时自动补上。
+ * 优先存入 Redis（多实例共享、重启后仍有效），Redis 不可用时使用进程内存缓存
+ */
+class ThoughtSignatureService {
+  constructor() {
+    // 键 -> { signature, expiresAt }，Map 的插入顺序即写入顺序
+    this.memoryCache = new Map();
+  }
+
+  /**
+   * 获取缓存时长（config.thoughtSignature.ttlSeconds）
+   * @returns {number} 缓存时长（秒）
+   */
+  getTTL() {
+    return config.thoughtSignature?.ttlSeconds || DEFAULT_TTL_SECONDS;
+  }
+
+  /**
+   * 生成缓存键
+   * @param {string} user_id - 用户ID
+   * @param {string} tool_call_id - 工具调用ID
+   * @returns {string} 缓存键
+   */
+  getKey(user_id, tool_call_id) {
+    return `${KEY_PREFIX}:${user_id}:${tool_call_id}`;
+  }
+
+  /**
+   * 保存工具调用的 thoughtSignature
+   * @param {string} user_id - 用户ID
+   * @param {string} tool_call_id - 工具调用ID
+   * @param {string} signature - thoughtSignature
+   */
+  async save(user_id, tool_call_id, signature) {
+    if (!tool_call_id || !signature) return;
+    const key = this.getKey(user_id, tool_call_id);
+    const ttl = this.getTTL();
+
+    this.memoryCache.delete(key);
+    this.memoryCache.set(key, { signature, expiresAt: Date.now() + ttl * 1000 });
+    while (this.memoryCache.size > MEMORY_MAX_ENTRIES) {
+      this.memoryCache.delete(this.memoryCache.keys().next().value);
+    }
+
+    if (redisService.isAvailable()) {
+      try {
+        await redisService.set(key, signature, ttl);
+      } catch (error) {
+        logger.warn(`保存thoughtSignature到Redis失败: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 获取工具调用的 thoughtSignature（先查内存，再查 Redis）
+   * @param {string} user_id - 用户ID
+   * @param {string} tool_call_id - 工具调用ID
+   * @returns {Promise<string|null>} thoughtSignature
+   */
+  async get(user_id, tool_call_id) {
+    const key = this.getKey(user_id, tool_call_id);
+    const cached = this.memoryCache.get(key);
+    if (cached) {
+      if (cached.expiresAt > Date.now()) {
+        return cached.signature;
+      }
+      this.memoryCache.delete(key);
+    }
+
+    if (redisService.isAvailable()) {
+      try {
+        return await redisService.get(key);
+      } catch (error) {
+        logger.warn(`从Redis读取thoughtSignature失败: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 查找助手消息中缺少 thought_signature 的工具调用的缓存签名
+   * @param {Array} messages - OpenAI格式消息
+   * @param {string} user_id - 用户ID
+   * @returns {Promise<Map<string, string>>} tool_call id -> thoughtSignature
+   */
+  async loadMissingSignatures(messages, user_id) {
+    const signatures = new Map();
+    for (const message of messages || []) {
+      if (message.role !== 'assistant' || !Array.isArray(message.tool_calls)) continue;
+      for (const toolCall of message.tool_calls) {
+        if (!toolCall?.id || toolCall.extra_content?.google?.thought_signature) continue;
+        const signature = await this.get(user_id, toolCall.id);
+        if (signature) {
+          signatures.set(toolCall.id, signature);
+        }
+      }
+    }
+    if (signatures.size > 0) {
+      logger.info(`已从缓存补全 ${signatures.size} 个工具调用的thoughtSignature`);
+    }
+    return signatures;
+  }
+}
+
+const thoughtSignatureService = new ThoughtSignatureService();
+export default thoughtSignatureService;
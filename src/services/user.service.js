@@ -45,29 +45,36 @@ class UserService {
   }
 
   /**
-   * 更新用户Cookie优先级
+   * 更新用户偏好设置
    * @param {string} user_id - 用户ID
-   * @param {number} prefer_shared - Cookie优先级（0=专属优先，1=共享优先）
+   * @param {Object} preferences - 偏好设置（只更新传入的字段）
+   * @param {number} preferences.prefer_shared - Cookie优先级（0=专属优先，1=共享优先）
+   * @param {number} preferences.inline_stream_errors - 流式错误输出方式（0=结构化error事件，1=写入正文）
+   * @param {string|null} preferences.account_strategy - 账号选择策略（null=使用全局配置）
    * @returns {Promise<Object>} 更新后的用户信息
    */
-  async updateUserPreference(user_id, prefer_shared) {
+  async updateUserPreference(user_id, preferences) {
+    const fields = ['prefer_shared', 'inline_stream_errors', 'account_strategy'].filter(field => preferences[field] !== undefined);
+    const setClauses = fields.map((field, i) => `${field} = $${i + 1}`);
+    const values = fields.map(field => preferences[field]);
+
     try {
       const result = await database.query(
         `UPDATE users
-         SET prefer_shared = $1, updated_at = CURRENT_TIMESTAMP
-         WHERE user_id = $2
+         SET ${[...setClauses, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+         WHERE user_id = $${fields.length + 1}
          RETURNING *`,
-        [prefer_shared, user_id]
+        [...values, user_id]
       );
 
       if (result.rows.length === 0) {
         throw new Error(`用户不存在: user_id=${user_id}`);
       }
 
-      logger.info(`用户优先级已更新: user_id=${user_id}, prefer_shared=${prefer_shared}`);
+      logger.info(`用户偏好已更新: user_id=${user_id}, ${fields.map(field => `${field}=${preferences[field]}`).join(', ')}`);
       return result.rows[0];
     } catch (error) {
-      logger.error('更新用户优先级失败:', error.message);
+      logger.error('更新用户偏好失败:', error.message);
       throw error;
     }
   }
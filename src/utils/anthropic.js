@@ -0,0 +1,534 @@
+import { randomUUID } from 'crypto';
+import logger from './logger.js';
+
+/**
+ * Anthropic Messages API 格式转换工具
+ * 负责 Anthropic 请求 -> OpenAI 格式请求，以及上游回调事件 -> Anthropic 响应/SSE 事件
+ */
+
+/**
+ * 生成 Anthropic 风格的消息ID
+ * @returns {string} msg_xxx
+ */
+function generateMessageId() {
+  return `msg_${randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 提取 system 字段的文本（支持字符串和 text block 数组）
+ * @param {string|Array} system - Anthropic system 字段
+ * @returns {string} system 文本
+ */
+function extractSystemText(system) {
+  if (!system) return '';
+  if (typeof system === 'string') return system;
+  if (Array.isArray(system)) {
+    return system
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * 将 tool_result 的 content 转换为纯文本
+ * @param {string|Array} content - tool_result 内容
+ * @returns {string} 文本内容
+ */
+function extractToolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+  return content ? JSON.stringify(content) : '';
+}
+
+/**
+ * 将 Anthropic image block 转换为 OpenAI image_url part
+ * @param {Object} block - Anthropic image block
+ * @returns {Object|null} OpenAI image_url part
+ */
+function convertImageBlock(block) {
+  const source = block.source || {};
+  if (source.type === 'base64' && source.data) {
+    return {
+      type: 'image_url',
+      image_url: { url: `data:${source.media_type || 'image/png'};base64,${source.data}` }
+    };
+  }
+  if (source.type === 'url' && source.url) {
+    return { type: 'image_url', image_url: { url: source.url } };
+  }
+  return null;
+}
+
+/**
+ * 将 Anthropic document block 转换为 OpenAI file / text part
+ * @param {Object} block - Anthropic document block（base64 或 text 来源）
+ * @returns {Object|null} OpenAI content part
+ */
+function convertDocumentBlock(block) {
+  const source = block.source || {};
+  if (source.type === 'base64' && source.data) {
+    return {
+      type: 'file',
+      file: { file_data: `data:${source.media_type || 'application/pdf'};base64,${source.data}`, filename: block.title }
+    };
+  }
+  if (source.type === 'text' && source.data) {
+    return { type: 'text', text: source.data };
+  }
+  return null;
+}
+
+/**
+ * 将 Anthropic messages 转换为 OpenAI 格式消息
+ * - user 消息中的 tool_result 拆分为 role=tool 消息
+ * - assistant 消息中的 tool_use 转换为 tool_calls
+ * - thinking / redacted_thinking 块直接丢弃（上游不接受回传的思考文本）
+ * @param {Object} body - Anthropic 请求体
+ * @returns {Array} OpenAI 格式消息数组
+ */
+function convertAnthropicMessagesToOpenAI(body) {
+  const openaiMessages = [];
+
+  const systemText = extractSystemText(body.system);
+  if (systemText) {
+    openaiMessages.push({ role: 'system', content: systemText });
+  }
+
+  for (const message of body.messages || []) {
+    if (typeof message.content === 'string') {
+      openaiMessages.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const blocks = Array.isArray(message.content) ? message.content : [];
+
+    if (message.role === 'assistant') {
+      let text = '';
+      const toolCalls = [];
+      for (const block of blocks) {
+        if (block.type === 'text') {
+          text += block.text || '';
+        } else if (block.type === 'tool_use') {
+          toolCalls.push({
+            id: block.id,
+            type: 'function',
+            function: {
+              name: block.name,
+              arguments: JSON.stringify(block.input || {})
+            }
+          });
+        }
+      }
+
+      const assistantMessage = { role: 'assistant', content: text || null };
+      if (toolCalls.length > 0) {
+        assistantMessage.tool_calls = toolCalls;
+      }
+      openaiMessages.push(assistantMessage);
+      continue;
+    }
+
+    // user 消息：tool_result 需要先于普通内容输出，紧跟在对应的 assistant tool_calls 之后
+    const parts = [];
+    for (const block of blocks) {
+      if (block.type === 'tool_result') {
+        openaiMessages.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: extractToolResultText(block.content)
+        });
+      } else if (block.type === 'text') {
+        parts.push({ type: 'text', text: block.text || '' });
+      } else if (block.type === 'image') {
+        const imagePart = convertImageBlock(block);
+        if (imagePart) {
+          parts.push(imagePart);
+        }
+      } else if (block.type === 'document') {
+        const documentPart = convertDocumentBlock(block);
+        if (documentPart) {
+          parts.push(documentPart);
+        }
+      } else {
+        logger.debug(`忽略不支持的Anthropic内容块: type=${block.type}`);
+      }
+    }
+
+    if (parts.length > 0) {
+      openaiMessages.push({ role: 'user', content: parts });
+    }
+  }
+
+  return openaiMessages;
+}
+
+/**
+ * 将 Anthropic tools 转换为 OpenAI tools
+ * 没有 input_schema 的服务端工具（如 web_search）无法转发，直接忽略
+ * @param {Array} tools - Anthropic tools
+ * @returns {Array} OpenAI tools
+ */
+function convertAnthropicToolsToOpenAI(tools) {
+  if (!Array.isArray(tools)) return [];
+  return tools
+    .filter(tool => tool.name && tool.input_schema)
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.input_schema
+      }
+    }));
+}
+
+/**
+ * 将 Anthropic tool_choice 转换为 OpenAI tool_choice
+ * @param {Object} toolChoice - Anthropic tool_choice
+ * @returns {string|Object|undefined} OpenAI tool_choice
+ */
+function convertAnthropicToolChoice(toolChoice) {
+  if (!toolChoice || typeof toolChoice !== 'object') return undefined;
+  switch (toolChoice.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * 将 Anthropic 请求体转换为 OpenAI 格式的请求参数
+ * @param {Object} body - Anthropic 请求体
+ * @returns {Object} { messages, tools, params }
+ */
+function convertAnthropicRequestToOpenAI(body) {
+  const params = {};
+  if (body.max_tokens !== undefined) params.max_tokens = body.max_tokens;
+  if (body.temperature !== undefined) params.temperature = body.temperature;
+  if (body.top_p !== undefined) params.top_p = body.top_p;
+  if (body.top_k !== undefined) params.top_k = body.top_k;
+  if (body.thinking) params.thinking = body.thinking;
+
+  const toolChoice = convertAnthropicToolChoice(body.tool_choice);
+  if (toolChoice !== undefined) params.tool_choice = toolChoice;
+  if (body.tool_choice?.disable_parallel_tool_use) params.parallel_tool_calls = false;
+
+  return {
+    messages: convertAnthropicMessagesToOpenAI(body),
+    tools: convertAnthropicToolsToOpenAI(body.tools),
+    params
+  };
+}
+
+/**
+ * 将 Anthropic 请求体转换为 Kiro 可直接处理的消息数组
+ * Kiro 转换层原生支持 tool_use / tool_result / image / thinking 块，只需把 system 转为 system 消息
+ * @param {Object} body - Anthropic 请求体
+ * @returns {Array} 消息数组
+ */
+function convertAnthropicMessagesForKiro(body) {
+  const messages = [];
+  const systemText = extractSystemText(body.system);
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+  messages.push(...(body.messages || []));
+  return messages;
+}
+
+/**
+ * Anthropic 响应构建器
+ * 接收 multiAccountClient / kiroClient 的回调事件，累积为 content blocks；
+ * 传入 res 时同时以 Anthropic SSE 事件格式实时输出
+ */
+class AnthropicResponseBuilder {
+  /**
+   * @param {string} model - 模型名称
+   * @param {number} inputTokens - 输入token数
+   * @param {Object|null} res - Express 响应对象（流式时传入）
+   */
+  constructor(model, inputTokens, res = null) {
+    this.id = generateMessageId();
+    this.model = model;
+    this.inputTokens = inputTokens;
+    this.res = res;
+    this.blocks = [];
+    this.currentBlock = null;
+    // 工具调用索引 -> content block 的映射（用于 Kiro 的增量工具调用）
+    this.toolBlocks = new Map();
+    this.outputText = '';
+    // 上游结束原因（OpenAI finish_reason 格式）
+    this.finishReason = null;
+    // 上游返回的token用量（存在时优先于本地估算）
+    this.upstreamUsage = null;
+  }
+
+  /**
+   * 写入一个 SSE 事件
+   * @param {string} event - 事件名称
+   * @param {Object} data - 事件数据
+   */
+  writeEvent(event, data) {
+    if (!this.res || this.res.writableEnded) return;
+    this.res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+  }
+
+  /**
+   * 发送 message_start 事件
+   */
+  start() {
+    this.writeEvent('message_start', {
+      message: {
+        id: this.id,
+        type: 'message',
+        role: 'assistant',
+        content: [],
+        model: this.model,
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: this.inputTokens, output_tokens: 0 }
+      }
+    });
+  }
+
+  /**
+   * 开启新的 content block（自动关闭上一个）
+   * @param {Object} block - content block 初始内容
+   * @returns {Object} 新 block
+   */
+  openBlock(block) {
+    this.closeBlock();
+    const index = this.blocks.length;
+    this.blocks.push(block);
+    this.currentBlock = { index, block };
+    this.writeEvent('content_block_start', { index, content_block: block.type === 'tool_use' ? { ...block, input: {} } : block });
+    return this.currentBlock;
+  }
+
+  /**
+   * 关闭当前 content block
+   */
+  closeBlock() {
+    if (!this.currentBlock) return;
+    this.writeEvent('content_block_stop', { index: this.currentBlock.index });
+    this.currentBlock = null;
+  }
+
+  /**
+   * 追加文本
+   * @param {string} text - 文本内容
+   */
+  appendText(text) {
+    if (!text) return;
+    if (this.currentBlock?.block.type !== 'text') {
+      this.openBlock({ type: 'text', text: '' });
+    }
+    this.currentBlock.block.text += text;
+    this.outputText += text;
+    this.writeEvent('content_block_delta', {
+      index: this.currentBlock.index,
+      delta: { type: 'text_delta', text }
+    });
+  }
+
+  /**
+   * 追加思考内容
+   * @param {string} thinking - 思考内容
+   */
+  appendThinking(thinking) {
+    if (!thinking) return;
+    if (this.currentBlock?.block.type !== 'thinking') {
+      this.openBlock({ type: 'thinking', thinking: '' });
+    }
+    this.currentBlock.block.thinking += thinking;
+    this.writeEvent('content_block_delta', {
+      index: this.currentBlock.index,
+      delta: { type: 'thinking_delta', thinking }
+    });
+  }
+
+  /**
+   * 开始一个工具调用块
+   * @param {number} toolIndex - 工具调用索引
+   * @param {string} id - 工具调用ID
+   * @param {string} name - 工具名称
+   */
+  startToolUse(toolIndex, id, name) {
+    const current = this.openBlock({ type: 'tool_use', id, name, input: '' });
+    this.toolBlocks.set(toolIndex, current);
+    this.outputText += name || '';
+  }
+
+  /**
+   * 追加工具调用参数（JSON片段）
+   * @param {number} toolIndex - 工具调用索引
+   * @param {string} partialJson - JSON片段
+   */
+  appendToolInput(toolIndex, partialJson) {
+    const target = this.toolBlocks.get(toolIndex);
+    if (!target || !partialJson) return;
+    if (target !== this.currentBlock) {
+      logger.warn(`Anthropic流中收到非当前块的工具参数，已忽略: tool_index=${toolIndex}`);
+      return;
+    }
+    target.block.input += partialJson;
+    this.outputText += partialJson;
+    this.writeEvent('content_block_delta', {
+      index: target.index,
+      delta: { type: 'input_json_delta', partial_json: partialJson }
+    });
+  }
+
+  /**
+   * 处理上游回调事件（multiAccountClient 和 kiroClient 的事件格式）
+   * @param {Object} data - 回调事件
+   */
+  handleEvent(data) {
+    switch (data.type) {
+      case 'text':
+        this.appendText(data.content);
+        break;
+      case 'reasoning':
+        this.appendThinking(data.content);
+        break;
+      case 'image':
+        this.appendText(`\n![生成的图像](data:${data.image.mimeType};base64,${data.image.data})\n`);
+        break;
+      case 'tool_calls':
+        // 完整的工具调用（一次性到达）
+        for (const toolCall of data.tool_calls || []) {
+          const toolIndex = `full-${this.toolBlocks.size}`;
+          this.startToolUse(toolIndex, toolCall.id, toolCall.function?.name);
+          this.appendToolInput(toolIndex, toolCall.function?.arguments || '{}');
+        }
+        break;
+      case 'tool_call_start':
+        for (const toolCall of data.tool_calls || []) {
+          this.startToolUse(toolCall.index, toolCall.id, toolCall.function?.name);
+          if (toolCall.function?.arguments) {
+            this.appendToolInput(toolCall.index, toolCall.function.arguments);
+          }
+        }
+        break;
+      case 'tool_call_delta':
+        this.appendToolInput(data.tool_call_index, data.delta);
+        break;
+      case 'finish':
+        this.finishReason = data.finish_reason;
+        break;
+      case 'usage':
+        this.upstreamUsage = data.usage;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 是否包含工具调用
+   * @returns {boolean}
+   */
+  hasToolUse() {
+    return this.blocks.some(block => block.type === 'tool_use');
+  }
+
+  /**
+   * 计算 stop_reason
+   * @returns {string} stop_reason
+   */
+  getStopReason() {
+    if (this.finishReason === 'length') return 'max_tokens';
+    if (this.finishReason === 'content_filter') return 'refusal';
+    return this.hasToolUse() ? 'tool_use' : 'end_turn';
+  }
+
+  /**
+   * 构建 usage 对象（上游返回了用量时使用上游数据）
+   * @param {number} outputTokens - 本地估算的输出token数
+   * @returns {Object} usage
+   */
+  buildUsage(outputTokens) {
+    if (!this.upstreamUsage) {
+      return { input_tokens: this.inputTokens, output_tokens: outputTokens };
+    }
+    const { promptTokens, completionTokens, cachedTokens = 0 } = this.upstreamUsage;
+    return {
+      input_tokens: promptTokens - cachedTokens,
+      cache_read_input_tokens: cachedTokens,
+      output_tokens: completionTokens
+    };
+  }
+
+  /**
+   * 结束流式响应：关闭当前块并发送 message_delta / message_stop
+   * @param {number} outputTokens - 输出token数
+   */
+  finish(outputTokens) {
+    this.closeBlock();
+    this.writeEvent('message_delta', {
+      delta: { stop_reason: this.getStopReason(), stop_sequence: null },
+      usage: this.buildUsage(outputTokens)
+    });
+    this.writeEvent('message_stop', {});
+  }
+
+  /**
+   * 在流中发送错误事件
+   * @param {Object} errorBody - Anthropic 格式的错误响应体（formatAnthropicError 生成）
+   */
+  error(errorBody) {
+    this.closeBlock();
+    this.writeEvent('error', { error: errorBody.error });
+  }
+
+  /**
+   * 构建非流式响应的完整消息对象
+   * @param {number} outputTokens - 输出token数
+   * @returns {Object} Anthropic message 对象
+   */
+  toMessage(outputTokens) {
+    const content = this.blocks.map(block => {
+      if (block.type !== 'tool_use') return block;
+      let input = {};
+      try {
+        input = block.input ? JSON.parse(block.input) : {};
+      } catch (e) {
+        logger.warn(`工具调用参数解析失败: ${e.message}`);
+      }
+      return { type: 'tool_use', id: block.id, name: block.name, input };
+    });
+
+    return {
+      id: this.id,
+      type: 'message',
+      role: 'assistant',
+      model: this.model,
+      content,
+      stop_reason: this.getStopReason(),
+      stop_sequence: null,
+      usage: this.buildUsage(outputTokens)
+    };
+  }
+}
+
+export {
+  generateMessageId,
+  extractSystemText,
+  convertAnthropicRequestToOpenAI,
+  convertAnthropicMessagesForKiro,
+  AnthropicResponseBuilder
+};
@@ -0,0 +1,331 @@
+import { buildOpenAIUsage } from './token_counter.js';
+import { isAbnormalFinishReason } from './utils.js';
+
+/**
+ * OpenAI Chat Completions 响应构建工具
+ * 所有提供方（Antigravity / Kiro）的上游回调事件统一经由这里输出为 chat.completion(.chunk)，
+ * 保证各个聊天接口的 chunk id、role、工具调用 index 和 [DONE] 处理一致
+ *
+ * 支持的回调事件：
+ * - text / reasoning：正文 / 思考内容
+ * - image：生成的图片（在结束前按 imageOutput 以 Markdown 图片追加到正文，或输出为 images 字段）
+ * - tool_call_start / tool_call_delta：工具调用（index 由客户端分配，一次性给出的完整工具调用也按这两个事件下发）
+ * - usage：上游token用量
+ * - finish：上游结束原因（已转换为 OpenAI finish_reason；upstream_reason 为异常结束原因时通过 upstream_finish_reason 返回）
+ * error 事件不在这里处理，由路由决定返回HTTP错误还是在流中输出错误
+ *
+ * 流式响应在第一次写入时才发送响应头，输出开始前发生的错误仍能返回正常的HTTP状态码
+ */
+
+/**
+ * 生成图片的输出方式
+ * - url：保存到文件存储，以短链接 Markdown 图片追加到正文（默认）
+ * - images：保存到文件存储，以 image_url part 输出在 message.images / delta.images 中，不混入正文
+ * - data_url：以 base64 data URL 的 Markdown 图片追加到正文（旧版行为）
+ */
+const IMAGE_OUTPUT_MODES = ['url', 'images', 'data_url'];
+
+class ChatCompletionBuilder {
+  /**
+   * @param {string} model - 模型名称
+   * @param {number} promptTokens - 本地估算的输入token数（上游未返回用量时使用）
+   * @param {Object|null} res - Express 响应对象（流式时传入）
+   * @param {Object} options - 其他选项
+   * @param {boolean} options.includeUsage - 是否在 [DONE] 之前额外发送只包含 usage 的 chunk（stream_options.include_usage）
+   * @param {boolean} options.inlineErrors - 流中的错误以文本形式写入正文（旧版行为，由用户偏好 inline_stream_errors 控制）
+   * @param {string} options.imageOutput - 生成图片的输出方式（见 IMAGE_OUTPUT_MODES，默认 url）
+   * @param {Function} options.saveImage - 保存图片并返回下载地址的异步函数（url / images 模式使用）
+   */
+  constructor(model, promptTokens, res = null, options = {}) {
+    this.id = `chatcmpl-${Date.now()}`;
+    this.created = Math.floor(Date.now() / 1000);
+    this.model = model;
+    this.promptTokens = promptTokens;
+    this.res = res;
+    this.includeUsage = options.includeUsage === true;
+    this.inlineErrors = options.inlineErrors === true;
+    this.imageOutput = options.imageOutput || 'url';
+    this.saveImage = options.saveImage || null;
+    this.outputText = '';
+    this.reasoningText = '';
+    // 工具调用 index -> tool_call 对象
+    this.toolCalls = new Map();
+    // 累积工具名称和参数，用于本地估算token
+    this.toolCallText = '';
+    this.images = [];
+    // 图片以 Markdown 形式追加到正文，不计入本地token估算
+    this.imageText = '';
+    // images 模式下输出的图片（image_url part）
+    this.imageParts = [];
+    this.finishReason = null;
+    // 上游异常结束原因（如 MALFORMED_FUNCTION_CALL），没有时为 null
+    this.upstreamFinishReason = null;
+    this.upstreamUsage = null;
+    this.started = false;
+  }
+
+  /**
+   * 写入一个 chat.completion.chunk
+   * @param {Object} delta - 增量内容
+   * @param {string|null} finishReason - 结束原因
+   * @param {Object} extra - 额外字段（如 usage）
+   */
+  writeChunk(delta, finishReason = null, extra = {}) {
+    this.writeData({
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason, ...this.getUpstreamFinishReason(finishReason) }],
+      ...extra
+    });
+  }
+
+  /**
+   * 写入一条 SSE data
+   * @param {Object|string} data - 数据对象或原始字符串
+   */
+  writeData(data) {
+    if (!this.res || this.res.writableEnded) return;
+    if (!this.started) this.start();
+    this.res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * 开始流式输出：设置响应头并发送首个 chunk（包含 role）
+   */
+  start() {
+    if (!this.res || this.started) return;
+    this.started = true;
+    this.res.setHeader('Content-Type', 'text/event-stream');
+    this.res.setHeader('Cache-Control', 'no-cache');
+    this.res.setHeader('Connection', 'keep-alive');
+    this.writeChunk({ role: 'assistant', content: '' });
+  }
+
+  /**
+   * 追加正文
+   * @param {string} text - 文本内容
+   */
+  appendText(text) {
+    if (!text) return;
+    this.outputText += text;
+    this.writeChunk({ content: text });
+  }
+
+  /**
+   * 追加思考内容（输出为 reasoning_content）
+   * @param {string} reasoning - 思考内容
+   */
+  appendReasoning(reasoning) {
+    if (!reasoning) return;
+    this.reasoningText += reasoning;
+    this.writeChunk({ reasoning_content: reasoning });
+  }
+
+  /**
+   * 开始一个工具调用
+   * @param {Object} toolCall - { index, id, type, function: { name, arguments }, extra_content? }
+   */
+  startToolCall(toolCall) {
+    const { index, ...rest } = toolCall;
+    const stored = {
+      ...rest,
+      type: 'function',
+      function: { name: toolCall.function?.name, arguments: '' }
+    };
+    this.toolCalls.set(index, stored);
+    this.toolCallText += stored.function.name || '';
+    this.writeChunk({ tool_calls: [{ index, ...stored }] });
+
+    if (toolCall.function?.arguments) {
+      this.appendToolArguments(index, toolCall.function.arguments);
+    }
+  }
+
+  /**
+   * 追加工具调用参数
+   * @param {number} index - 工具调用 index
+   * @param {string} delta - 参数增量
+   */
+  appendToolArguments(index, delta) {
+    const toolCall = this.toolCalls.get(index);
+    if (!toolCall || !delta) return;
+    toolCall.function.arguments += delta;
+    this.toolCallText += delta;
+    this.writeChunk({ tool_calls: [{ index, function: { arguments: delta } }] });
+  }
+
+  /**
+   * 保存收集的图片，得到下载地址（在 finish / toCompletion 之前调用）
+   * data_url 模式或未提供 saveImage 时不保存，图片以 data URL 输出
+   */
+  async saveImages() {
+    if (this.imageOutput === 'data_url' || !this.saveImage) return;
+    for (const img of this.images) {
+      if (!img.url) {
+        img.url = await this.saveImage(img);
+      }
+    }
+  }
+
+  /**
+   * 输出收集的图片：images 模式输出为 images 字段，其余模式以 Markdown 追加到正文
+   */
+  flushImages() {
+    for (const img of this.images) {
+      const url = img.url || `data:${img.mimeType};base64,${img.data}`;
+      if (this.imageOutput === 'images') {
+        const part = { type: 'image_url', image_url: { url } };
+        this.imageParts.push(part);
+        this.writeChunk({ images: [part] });
+      } else {
+        const imageText = `\n![生成的图像](${url})\n`;
+        this.imageText += imageText;
+        this.writeChunk({ content: imageText });
+      }
+    }
+    this.images = [];
+  }
+
+  /**
+   * 处理上游回调事件（multiAccountClient 和 kiroClient 的事件格式）
+   * @param {Object} data - 回调事件
+   */
+  handleEvent(data) {
+    switch (data.type) {
+      case 'text':
+        this.appendText(data.content);
+        break;
+      case 'reasoning':
+        this.appendReasoning(data.content);
+        break;
+      case 'image':
+        this.images.push(data.image);
+        break;
+      case 'tool_call_start':
+        for (const toolCall of data.tool_calls || []) {
+          this.startToolCall(toolCall);
+        }
+        break;
+      case 'tool_call_delta':
+        this.appendToolArguments(data.tool_call_index, data.delta);
+        break;
+      case 'usage':
+        this.upstreamUsage = data.usage;
+        break;
+      case 'finish':
+        this.finishReason = data.finish_reason;
+        if (isAbnormalFinishReason(data.upstream_reason)) {
+          this.upstreamFinishReason = data.upstream_reason;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 计算 finish_reason
+   * @returns {string} finish_reason
+   */
+  getFinishReason() {
+    return this.finishReason || (this.toolCalls.size > 0 ? 'tool_calls' : 'stop');
+  }
+
+  /**
+   * 上游异常结束时附加在结束 choice 上的原始原因
+   * @param {string|null} finishReason - 本次输出的 finish_reason（非结束 chunk 为 null）
+   * @returns {Object} { upstream_finish_reason } 或空对象
+   */
+  getUpstreamFinishReason(finishReason) {
+    return finishReason && this.upstreamFinishReason ? { upstream_finish_reason: this.upstreamFinishReason } : {};
+  }
+
+  /**
+   * 构建 usage 对象（优先使用上游用量，缺失时本地估算）
+   * @returns {Object} usage
+   */
+  buildUsage() {
+    return buildOpenAIUsage(this.upstreamUsage, {
+      promptTokens: this.promptTokens,
+      outputText: this.outputText + this.toolCallText,
+      reasoningText: this.reasoningText,
+      model: this.model
+    });
+  }
+
+  /**
+   * 结束流式响应：输出图片、finish chunk（带 usage）、可选的 usage chunk 和 [DONE]
+   */
+  finish() {
+    this.flushImages();
+    const usage = this.buildUsage();
+    this.writeChunk({}, this.getFinishReason(), { usage });
+    if (this.includeUsage) {
+      this.writeData({
+        id: this.id,
+        object: 'chat.completion.chunk',
+        created: this.created,
+        model: this.model,
+        choices: [],
+        usage
+      });
+    }
+    this.writeData('[DONE]');
+  }
+
+  /**
+   * 在流中输出错误并结束
+   * 默认输出 OpenAI 格式的 error 对象（data: {"error": {...}}），不会混入助手正文；
+   * inlineErrors 为 true 时沿用旧版行为，把错误文本写入 content 并以 stop 结束
+   * @param {Object} errorBody - OpenAI 格式的错误响应体（formatOpenAIError 生成）
+   */
+  error(errorBody) {
+    if (this.inlineErrors) {
+      this.writeChunk({ content: `\n\n错误: ${errorBody.error.message}` });
+      this.writeChunk({}, 'stop');
+    } else {
+      this.writeData(errorBody);
+    }
+    this.writeData('[DONE]');
+  }
+
+  /**
+   * 构建非流式响应对象
+   * @returns {Object} chat.completion 对象
+   */
+  toCompletion() {
+    this.flushImages();
+
+    const message = { role: 'assistant', content: this.outputText + this.imageText };
+    if (this.reasoningText) {
+      message.reasoning_content = this.reasoningText;
+    }
+    if (this.imageParts.length > 0) {
+      message.images = this.imageParts;
+    }
+    if (this.toolCalls.size > 0) {
+      message.tool_calls = Array.from(this.toolCalls.values());
+    }
+
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      created: this.created,
+      model: this.model,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: this.getFinishReason(),
+        ...this.getUpstreamFinishReason(this.getFinishReason())
+      }],
+      usage: this.buildUsage()
+    };
+  }
+}
+
+export {
+  IMAGE_OUTPUT_MODES,
+  ChatCompletionBuilder
+};
@@ -0,0 +1,348 @@
+/**
+ * 统一错误目录
+ * 每个错误码对应固定的HTTP状态码和中英文错误信息，所有接口都从这里生成错误响应：
+ * - OpenAI 兼容接口和管理接口：{ error: { message, type, param, code } }
+ * - Gemini 兼容接口：{ error: { code, message, status } }
+ * - Anthropic 兼容接口：{ type: 'error', error: { type, message } }
+ *
+ * 错误信息中的 {name} 占位符由 params 替换；语言根据 Accept-Language 请求头选择（默认中文）
+ */
+
+/**
+ * 错误码 -> { status, type?, zh, en }
+ * type 缺省时根据 status 推断（见 OPENAI_ERROR_TYPES）
+ */
+const ERROR_CATALOG = {
+  // 认证和权限
+  MISSING_API_KEY: { status: 401, zh: '缺少API Key', en: 'Missing API key' },
+  INVALID_API_KEY: { status: 401, zh: '无效的API Key', en: 'Invalid API key' },
+  ADMIN_REQUIRED: { status: 403, zh: '需要管理员权限', en: 'Admin privileges required' },
+  ACCOUNT_ACCESS_DENIED: { status: 403, zh: '无权操作此账号', en: 'You do not have permission to access this account' },
+  USER_ACCESS_DENIED: { status: 403, zh: '无权修改此用户的设置', en: 'You do not have permission to modify this user' },
+
+  // 请求参数
+  MISSING_PARAMETER: { status: 400, zh: '{param}是必需的', en: '{param} is required' },
+  EMPTY_ARRAY_PARAMETER: { status: 400, zh: '{param}是必需的且必须是非空数组', en: '{param} is required and must be a non-empty array' },
+  INVALID_PARAMETER: { status: 400, zh: '{param}必须是{allowed}', en: '{param} must be {allowed}' },
+  INVALID_REQUEST: { status: 400, zh: '请求无效: {detail}', en: 'Invalid request: {detail}' },
+  INVALID_NUMBER_PARAMETER: { status: 400, zh: '{param}必须是数字', en: '{param} must be a number' },
+  PARAMETER_OUT_OF_RANGE: { status: 400, zh: '{param}必须是{min}到{max}之间的整数', en: '{param} must be an integer between {min} and {max}' },
+  UNSUPPORTED_MODEL_PARAMETER: { status: 400, zh: '模型 {model} 不支持 {param} 参数', en: 'Model {model} does not support the {param} parameter' },
+  TOOL_NOT_FOUND: { status: 400, zh: 'tool_choice指定的工具不存在: {name}', en: 'Tool specified in tool_choice does not exist: {name}' },
+  NOT_IMAGE_MODEL: { status: 400, zh: '模型 {model} 不是图片生成模型', en: 'Model {model} is not an image generation model' },
+  EMPTY_IMAGE_PROMPT: { status: 400, zh: '未找到有效的文本提示词或图片', en: 'No valid text prompt or image found' },
+  INVALID_NAME: { status: 400, zh: 'name必须是字符串且长度不超过100', en: 'name must be a string of at most 100 characters' },
+  INVALID_REASON: { status: 400, zh: 'reason必须是字符串且长度不超过500', en: 'reason must be a string of at most 500 characters' },
+  INVALID_URL: { status: 400, zh: '无效的URL格式', en: 'Invalid URL format' },
+  IDC_CREDENTIALS_REQUIRED: { status: 400, zh: 'IdC认证需要client_id和client_secret', en: 'IdC authentication requires client_id and client_secret' },
+  PREVIOUS_RESPONSE_UNSUPPORTED: {
+    status: 400,
+    zh: '不支持previous_response_id，请在input中传入完整的对话历史',
+    en: 'previous_response_id is not supported, please send the full conversation history in input'
+  },
+  UNSUPPORTED_IMAGE_TYPE: { status: 400, zh: '不支持的图片类型: {type}', en: 'Unsupported image type: {type}' },
+  REMOTE_IMAGE_FETCH_FAILED: { status: 400, zh: '远程图片下载失败: {url}（{detail}）', en: 'Failed to fetch remote image {url} ({detail})' },
+  UNSUPPORTED_ATTACHMENT_TYPE: { status: 400, zh: '不支持的附件类型: {type}', en: 'Unsupported attachment type: {type}' },
+  ATTACHMENT_TOO_LARGE: {
+    status: 400,
+    zh: '附件大小 {size}MB 超过模型 {model} 的上限 {limit}MB',
+    en: 'Attachment size {size} MB exceeds the {limit} MB limit for model {model}'
+  },
+  FILE_UPLOAD_FAILED: { status: 400, zh: '文件上传失败: {detail}', en: 'File upload failed: {detail}' },
+  FILE_REFERENCE_NOT_FOUND: { status: 400, zh: '引用的文件不存在或已过期: {file_id}', en: 'Referenced file not found or expired: {file_id}' },
+  REQUEST_TOO_LARGE: { status: 413, zh: '请求体过大，最大支持 {limit}', en: 'Request body too large, maximum is {limit}' },
+  INVALID_OAUTH_STATE: { status: 400, zh: '无效或已过期的state参数', en: 'Invalid or expired state parameter' },
+  OAUTH_FAILED: { status: 400, zh: 'OAuth授权失败: {detail}', en: 'OAuth authorization failed: {detail}' },
+
+  // 资源
+  USER_NOT_FOUND: { status: 404, zh: '用户不存在', en: 'User not found' },
+  ACCOUNT_NOT_FOUND: { status: 404, zh: '账号不存在', en: 'Account not found' },
+  KIRO_ACCOUNT_NOT_FOUND: { status: 404, zh: 'Kiro账号不存在', en: 'Kiro account not found' },
+  FILE_NOT_FOUND: { status: 404, zh: '文件不存在或已过期', en: 'File not found or expired' },
+
+  // 上游和账号池
+  NO_AVAILABLE_ACCOUNT: { status: 503, zh: '没有可用的账号，请先添加账号', en: 'No available account, please add an account first' },
+  RESOURCE_EXHAUSTED: { status: 429, type: 'insufficient_quota', zh: '所有账号配额已耗尽，请稍后再试', en: 'Quota exhausted on all accounts, please try again later' },
+  MODEL_QUOTA_EXHAUSTED: {
+    status: 429,
+    type: 'insufficient_quota',
+    zh: '所有账号对模型 {model} 的配额已耗尽或用户共享配额不足',
+    en: 'Quota for model {model} is exhausted on all accounts or the shared quota pool is insufficient'
+  },
+  ALL_ENDPOINTS_403: { status: 403, zh: '所有API端点均拒绝访问', en: 'All API endpoints denied access' },
+  IMAGE_INPUT_EXCEEDED_MAXIMUM_5_MB: { status: 400, zh: '输入图片超过5MB', en: 'Input image exceeds the 5 MB limit' },
+  RESOURCE_PROJECT_INVALID: { status: 400, zh: '账号的项目ID无效', en: 'The account project is invalid' },
+  ILLEGAL_PROMPT: { status: 400, zh: '提示词被上游拒绝', en: 'The prompt was rejected by the upstream service' },
+  NO_IMAGE_GENERATED: { status: 400, zh: '上游未返回图片，可能是提示词被拒绝', en: 'The upstream service returned no image, the prompt may have been rejected' },
+  AUTHENTICATION_FAILED: { status: 401, zh: '上游账号认证失败: {detail}', en: 'Upstream account authentication failed: {detail}' },
+  STRUCTURED_OUTPUT_INVALID: { status: 502, zh: '结构化输出校验失败: {detail}', en: 'Structured output validation failed: {detail}' },
+  UPSTREAM_ERROR: { status: 502, zh: '上游服务返回错误: {detail}', en: 'Upstream service error: {detail}' },
+  INTERNAL_ERROR: { status: 500, zh: '服务器内部错误: {detail}', en: 'Internal server error: {detail}' }
+};
+
+/**
+ * HTTP状态码 -> OpenAI 错误类型
+ */
+const OPENAI_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'invalid_request_error',
+  429: 'rate_limit_error'
+};
+
+/**
+ * HTTP状态码 -> Gemini 错误状态
+ */
+const GEMINI_ERROR_STATUS = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  413: 'INVALID_ARGUMENT',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE'
+};
+
+/**
+ * HTTP状态码 -> Anthropic 错误类型
+ */
+const ANTHROPIC_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+};
+
+const SUPPORTED_LOCALES = ['zh', 'en'];
+const DEFAULT_LOCALE = 'zh';
+
+/**
+ * 带错误码的业务错误
+ */
+class ServiceError extends Error {
+  /**
+   * @param {string} code - 错误码（ERROR_CATALOG 中的键）
+   * @param {Object} params - 错误信息中的占位符参数
+   */
+  constructor(code, params = {}) {
+    super(getErrorMessage(code, params));
+    this.name = 'ServiceError';
+    this.code = code;
+    this.params = params;
+    this.statusCode = ERROR_CATALOG[code]?.status || 500;
+  }
+}
+
+/**
+ * 根据 Accept-Language 请求头选择语言
+ * @param {Object} req - Express 请求对象
+ * @returns {string} 'zh' 或 'en'
+ */
+function getLocale(req) {
+  const header = req?.headers?.['accept-language'];
+  if (!header) return DEFAULT_LOCALE;
+
+  // 按 q 值从高到低排序后取第一个支持的语言
+  const languages = header.split(',')
+    .map(part => {
+      const [tag, ...options] = part.trim().split(';');
+      const q = options.find(option => option.trim().startsWith('q='));
+      return { lang: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.trim().slice(2)) : 1 };
+    })
+    .filter(item => item.lang && !Number.isNaN(item.q))
+    .sort((a, b) => b.q - a.q);
+
+  const match = languages.find(item => SUPPORTED_LOCALES.includes(item.lang));
+  return match ? match.lang : DEFAULT_LOCALE;
+}
+
+/**
+ * 格式化占位符参数（数组视为可选值列表）
+ * @param {*} value - 参数值
+ * @param {string} locale - 语言
+ * @returns {string} 格式化后的文本
+ */
+function formatParam(value, locale) {
+  if (Array.isArray(value)) {
+    return value.join(locale === 'en' ? ' or ' : '或');
+  }
+  return String(value ?? '');
+}
+
+/**
+ * 生成本地化的错误信息
+ * @param {string} code - 错误码
+ * @param {Object} params - 占位符参数
+ * @param {string} locale - 语言
+ * @returns {string} 错误信息
+ */
+function getErrorMessage(code, params = {}, locale = DEFAULT_LOCALE) {
+  const entry = ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+  const template = entry[locale] || entry[DEFAULT_LOCALE];
+  return template.replace(/\{(\w+)\}/g, (_, name) => formatParam(params[name], locale));
+}
+
+/**
+ * 从上游响应文本中提取错误信息（JSON 响应取 error.message）
+ * @param {string} responseText - 上游响应文本
+ * @returns {string} 错误信息
+ */
+function extractUpstreamMessage(responseText) {
+  if (!responseText) return '';
+  try {
+    const data = JSON.parse(responseText);
+    const message = data?.error?.message || data?.message;
+    if (typeof message === 'string' && message) {
+      return message;
+    }
+  } catch {
+    // 非 JSON 响应，直接使用原文
+  }
+  return responseText.length > 500 ? `${responseText.slice(0, 500)}...` : responseText;
+}
+
+/**
+ * 根据客户端 error 事件的内容创建错误
+ * 内容是目录中的错误码（如 RESOURCE_EXHAUSTED）时直接使用，否则视为上游返回的错误文本
+ * @param {string} content - error 事件的 content
+ * @returns {ServiceError} 错误对象
+ */
+function createUpstreamError(content) {
+  if (ERROR_CATALOG[content]) {
+    return new ServiceError(content);
+  }
+  return new ServiceError('UPSTREAM_ERROR', { detail: extractUpstreamMessage(content) });
+}
+
+/**
+ * 将任意错误归类为错误目录中的错误码
+ * - ServiceError 或带有目录错误码的错误：直接使用
+ * - 上游 ApiError：错误信息本身是目录中的错误码时直接使用，否则为 UPSTREAM_ERROR
+ * - 带 statusCode 400 的普通错误（请求参数校验）：INVALID_REQUEST
+ * - 其他：INTERNAL_ERROR
+ * @param {Error|string} error - 错误对象或错误码
+ * @param {Object} params - 错误码为字符串时的占位符参数
+ * @returns {Object} { code, status, params }
+ */
+function resolveError(error, params = {}) {
+  if (typeof error === 'string') {
+    return { code: error, status: ERROR_CATALOG[error]?.status || 500, params };
+  }
+
+  if (error.code && ERROR_CATALOG[error.code]) {
+    return { code: error.code, status: ERROR_CATALOG[error.code].status, params: error.params || {} };
+  }
+
+  if (ERROR_CATALOG[error.message]) {
+    return { code: error.message, status: ERROR_CATALOG[error.message].status, params: {} };
+  }
+
+  if (error.name === 'ApiError') {
+    return {
+      code: 'UPSTREAM_ERROR',
+      status: error.statusCode || 502,
+      params: { detail: extractUpstreamMessage(error.responseText || error.message) }
+    };
+  }
+
+  if (error.statusCode === 400) {
+    return { code: 'INVALID_REQUEST', status: 400, params: { detail: error.message } };
+  }
+
+  return { code: 'INTERNAL_ERROR', status: error.statusCode || 500, params: { detail: error.message } };
+}
+
+/**
+ * 构建 OpenAI 格式的错误响应
+ * @param {Error|string} error - 错误对象或错误码
+ * @param {string} locale - 语言
+ * @param {Object} params - 错误码为字符串时的占位符参数
+ * @returns {Object} { status, body }
+ */
+function formatOpenAIError(error, locale = DEFAULT_LOCALE, params = {}) {
+  const resolved = resolveError(error, params);
+  return {
+    status: resolved.status,
+    body: {
+      error: {
+        message: getErrorMessage(resolved.code, resolved.params, locale),
+        type: ERROR_CATALOG[resolved.code]?.type || OPENAI_ERROR_TYPES[resolved.status] || 'api_error',
+        param: Array.isArray(resolved.params.param) ? resolved.params.param.join(', ') : (resolved.params.param ?? null),
+        code: resolved.code
+      }
+    }
+  };
+}
+
+/**
+ * 构建 Gemini 格式的错误响应
+ * @param {Error|string} error - 错误对象或错误码
+ * @param {string} locale - 语言
+ * @param {Object} params - 错误码为字符串时的占位符参数
+ * @returns {Object} { status, body }
+ */
+function formatGeminiError(error, locale = DEFAULT_LOCALE, params = {}) {
+  const resolved = resolveError(error, params);
+  return {
+    status: resolved.status,
+    body: {
+      error: {
+        code: resolved.status,
+        message: getErrorMessage(resolved.code, resolved.params, locale),
+        status: GEMINI_ERROR_STATUS[resolved.status] || 'INTERNAL'
+      }
+    }
+  };
+}
+
+/**
+ * 构建 Anthropic 格式的错误响应
+ * @param {Error|string} error - 错误对象或错误码
+ * @param {string} locale - 语言
+ * @param {Object} params - 错误码为字符串时的占位符参数
+ * @returns {Object} { status, body }
+ */
+function formatAnthropicError(error, locale = DEFAULT_LOCALE, params = {}) {
+  const resolved = resolveError(error, params);
+  return {
+    status: resolved.status,
+    body: {
+      type: 'error',
+      error: {
+        type: ANTHROPIC_ERROR_TYPES[resolved.status] || 'api_error',
+        message: getErrorMessage(resolved.code, resolved.params, locale)
+      }
+    }
+  };
+}
+
+/**
+ * 以 OpenAI 格式返回错误响应
+ * @param {Object} req - Express 请求对象（用于选择语言）
+ * @param {Object} res - Express 响应对象
+ * @param {Error|string} error - 错误对象或错误码
+ * @param {Object} params - 错误码为字符串时的占位符参数
+ */
+function sendError(req, res, error, params = {}) {
+  const { status, body } = formatOpenAIError(error, getLocale(req), params);
+  res.status(status).json(body);
+}
+
+export {
+  ERROR_CATALOG,
+  ServiceError,
+  getLocale,
+  getErrorMessage,
+  createUpstreamError,
+  resolveError,
+  formatOpenAIError,
+  formatGeminiError,
+  formatAnthropicError,
+  sendError
+};
@@ -0,0 +1,62 @@
+import config from '../config/config.js';
+
+/**
+ * 默认心跳间隔（毫秒）
+ */
+const DEFAULT_HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * 获取心跳间隔（config.stream.heartbeatInterval，0 表示关闭）
+ * @returns {number} 心跳间隔（毫秒）
+ */
+function getHeartbeatInterval() {
+  const interval = config.stream?.heartbeatInterval;
+  if (interval === undefined || interval === null) {
+    return DEFAULT_HEARTBEAT_INTERVAL;
+  }
+  return Math.max(0, Number(interval) || 0);
+}
+
+/**
+ * 为流式响应启动心跳
+ * 思考模型和图片模型在输出第一个token前可能长时间没有数据，反向代理（nginx、Cloudflare）会断开空闲连接，
+ * 这里定时写入一条 SSE 注释行（: ping）保持连接。响应结束或连接关闭时自动停止
+ *
+ * 流式输出在第一次写入时才开始的路由传入 beforeWrite：第一次心跳时调用它发送响应头，
+ * 在此之前发生的错误仍能返回正常的HTTP状态码；不传时只在响应头已发送后才发送心跳
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {Object} options - 选项
+ * @param {Function} options.beforeWrite - 响应头尚未发送时，在心跳写入前调用以开始流式输出
+ * @param {string} options.payload - 心跳内容（默认 SSE 注释行，非 SSE 的 JSON 数组流可以使用空白字符）
+ * @returns {Function} 停止心跳的函数
+ */
+function startHeartbeat(res, options = {}) {
+  const interval = getHeartbeatInterval();
+  if (interval <= 0) {
+    return () => {};
+  }
+
+  const payload = options.payload || ': ping\n\n';
+  const timer = setInterval(() => {
+    if (res.writableEnded || res.destroyed) {
+      stop();
+      return;
+    }
+    if (!res.headersSent) {
+      if (!options.beforeWrite) return;
+      options.beforeWrite();
+    }
+    res.write(payload);
+  }, interval);
+
+  const stop = () => clearInterval(timer);
+  res.once('close', stop);
+  res.once('finish', stop);
+  return stop;
+}
+
+export {
+  getHeartbeatInterval,
+  startHeartbeat
+};
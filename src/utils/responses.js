@@ -0,0 +1,566 @@
+import { randomUUID } from 'crypto';
+import logger from './logger.js';
+
+/**
+ * OpenAI Responses API 格式转换工具
+ * 负责 Responses 请求 -> Chat Completions 格式消息，以及上游回调事件 -> Responses 输出项/流式事件
+ */
+
+/**
+ * 生成带前缀的随机ID
+ * @param {string} prefix - ID前缀（resp / msg / rs / fc）
+ * @returns {string} ID
+ */
+function generateItemId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 将 Responses 的内容数组转换为 Chat Completions 的内容
+ * @param {string|Array} content - input_text / input_image / input_file / output_text 等内容
+ * @returns {string|Array} Chat Completions 格式内容
+ */
+function convertInputContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  const parts = [];
+  for (const part of content) {
+    if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+      parts.push({ type: 'text', text: part.text || '' });
+    } else if (part.type === 'input_image') {
+      // 已上传的图片以 file_id 引用
+      const url = part.file_id || (typeof part.image_url === 'string' ? part.image_url : part.image_url?.url);
+      if (url) {
+        parts.push({ type: 'image_url', image_url: { url } });
+      }
+    } else if (part.type === 'input_file' && part.file_id) {
+      parts.push({ type: 'file', file: { file_id: part.file_id } });
+    } else if (part.type === 'refusal') {
+      parts.push({ type: 'text', text: part.refusal || '' });
+    } else {
+      logger.debug(`忽略不支持的Responses内容类型: type=${part.type}`);
+    }
+  }
+  return parts;
+}
+
+/**
+ * 将内容转换为纯文本（用于 system / assistant 消息）
+ * @param {string|Array} content - 内容
+ * @returns {string} 文本
+ */
+function contentToText(content) {
+  const converted = convertInputContent(content);
+  if (typeof converted === 'string') return converted;
+  return converted.filter(part => part.type === 'text').map(part => part.text).join('');
+}
+
+/**
+ * 将 Responses 的 input 转换为 Chat Completions 格式消息
+ * - message 项按角色转换（developer 视为 system）
+ * - 连续的 function_call 项合并为一条带 tool_calls 的 assistant 消息
+ * - function_call_output 项转换为 role=tool 消息
+ * - reasoning 项丢弃（上游不接受回传的思考文本）
+ * @param {Object} body - Responses 请求体
+ * @returns {Array} Chat Completions 格式消息
+ */
+function convertResponsesInputToMessages(body) {
+  const messages = [];
+
+  if (body.instructions) {
+    messages.push({ role: 'system', content: body.instructions });
+  }
+
+  if (typeof body.input === 'string') {
+    messages.push({ role: 'user', content: body.input });
+    return messages;
+  }
+
+  for (const item of body.input || []) {
+    const type = item.type || 'message';
+
+    if (type === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      if (role === 'system') {
+        messages.push({ role: 'system', content: contentToText(item.content) });
+      } else if (role === 'assistant') {
+        messages.push({ role: 'assistant', content: contentToText(item.content) });
+      } else {
+        messages.push({ role: 'user', content: convertInputContent(item.content) });
+      }
+    } else if (type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: {
+          name: item.name,
+          arguments: item.arguments || '{}'
+        }
+      };
+      const lastMessage = messages[messages.length - 1];
+      if (lastMessage?.role === 'assistant') {
+        lastMessage.tool_calls = [...(lastMessage.tool_calls || []), toolCall];
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      });
+    } else if (type !== 'reasoning') {
+      logger.debug(`忽略不支持的Responses输入项: type=${type}`);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * 将 Responses 的 tools 转换为 Chat Completions 格式
+ * 只支持 function 类型，内置工具（web_search 等）直接忽略
+ * @param {Array} tools - Responses tools
+ * @returns {Array} Chat Completions tools
+ */
+function convertResponsesTools(tools) {
+  if (!Array.isArray(tools)) return [];
+  return tools
+    .filter(tool => tool.type === 'function' && tool.name)
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+}
+
+/**
+ * 将 Responses 的 tool_choice 转换为 Chat Completions 格式
+ * @param {string|Object} toolChoice - Responses tool_choice
+ * @returns {string|Object|undefined} Chat Completions tool_choice
+ */
+function convertResponsesToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (typeof toolChoice === 'string') return toolChoice;
+  if (toolChoice.type === 'function' && toolChoice.name) {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return undefined;
+}
+
+/**
+ * 将 Responses 请求体转换为 Chat Completions 格式的请求参数
+ * @param {Object} body - Responses 请求体
+ * @returns {Object} { messages, tools, params }
+ */
+function convertResponsesRequest(body) {
+  const params = {};
+  if (body.max_output_tokens !== undefined) params.max_tokens = body.max_output_tokens;
+  if (body.temperature !== undefined) params.temperature = body.temperature;
+  if (body.top_p !== undefined) params.top_p = body.top_p;
+  if (body.reasoning?.effort) params.reasoning_effort = body.reasoning.effort;
+  if (body.parallel_tool_calls !== undefined) params.parallel_tool_calls = body.parallel_tool_calls;
+
+  const toolChoice = convertResponsesToolChoice(body.tool_choice);
+  if (toolChoice !== undefined) params.tool_choice = toolChoice;
+
+  // text.format 对应 Chat Completions 的 response_format
+  const format = body.text?.format;
+  if (format?.type === 'json_schema') {
+    params.response_format = {
+      type: 'json_schema',
+      json_schema: { name: format.name, schema: format.schema, strict: format.strict }
+    };
+  } else if (format?.type === 'json_object') {
+    params.response_format = { type: 'json_object' };
+  }
+
+  return {
+    messages: convertResponsesInputToMessages(body),
+    tools: convertResponsesTools(body.tools),
+    params
+  };
+}
+
+/**
+ * Responses 响应构建器
+ * 接收上游回调事件，累积为 output 项；传入 res 时同时输出 Responses 流式事件
+ */
+class ResponsesBuilder {
+  /**
+   * @param {Object} body - 原始请求体（用于回显 tools / tool_choice 等字段）
+   * @param {number} inputTokens - 输入token数
+   * @param {Object|null} res - Express 响应对象（流式时传入）
+   */
+  constructor(body, inputTokens, res = null) {
+    this.id = generateItemId('resp');
+    this.createdAt = Math.floor(Date.now() / 1000);
+    this.body = body;
+    this.inputTokens = inputTokens;
+    this.res = res;
+    this.output = [];
+    this.currentItem = null;
+    this.sequenceNumber = 0;
+    // 工具调用索引 -> output 项的映射（用于 Kiro 的增量工具调用）
+    this.toolItems = new Map();
+    this.outputText = '';
+    this.reasoningText = '';
+    // 上游结束原因（OpenAI finish_reason 格式）
+    this.finishReason = null;
+    // 上游返回的token用量（存在时优先于本地估算）
+    this.upstreamUsage = null;
+  }
+
+  /**
+   * 写入一个流式事件
+   * @param {string} type - 事件类型
+   * @param {Object} data - 事件数据
+   */
+  writeEvent(type, data) {
+    if (!this.res || this.res.writableEnded) return;
+    const payload = { type, sequence_number: this.sequenceNumber++, ...data };
+    this.res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  /**
+   * 输出未完整结束的原因（输出被截断或被内容过滤）
+   * @returns {string|null} max_output_tokens / content_filter，正常结束时为 null
+   */
+  getIncompleteReason() {
+    if (this.finishReason === 'length') return 'max_output_tokens';
+    if (this.finishReason === 'content_filter') return 'content_filter';
+    return null;
+  }
+
+  /**
+   * 构建 response 对象
+   * @param {string} status - in_progress / completed / incomplete / failed
+   * @param {Object} usage - 用量信息
+   * @returns {Object} response 对象
+   */
+  buildResponse(status, usage = null) {
+    const incompleteReason = status === 'incomplete' ? this.getIncompleteReason() : null;
+    return {
+      id: this.id,
+      object: 'response',
+      created_at: this.createdAt,
+      status,
+      error: null,
+      incomplete_details: incompleteReason ? { reason: incompleteReason } : null,
+      instructions: this.body.instructions ?? null,
+      max_output_tokens: this.body.max_output_tokens ?? null,
+      model: this.body.model,
+      output: status === 'in_progress' ? [] : this.output.map(item => this.finalizeItem(item)),
+      parallel_tool_calls: this.body.parallel_tool_calls ?? true,
+      temperature: this.body.temperature ?? null,
+      tool_choice: this.body.tool_choice ?? 'auto',
+      tools: this.body.tools ?? [],
+      top_p: this.body.top_p ?? null,
+      usage
+    };
+  }
+
+  /**
+   * 输出项的最终形态（reasoning 项没有 status 字段）
+   * @param {Object} item - output 项
+   * @returns {Object} output 项
+   */
+  finalizeItem(item) {
+    return { ...item, status: item.type === 'reasoning' ? undefined : 'completed' };
+  }
+
+  /**
+   * 发送 response.created / response.in_progress 事件
+   */
+  start() {
+    const response = this.buildResponse('in_progress');
+    this.writeEvent('response.created', { response });
+    this.writeEvent('response.in_progress', { response });
+  }
+
+  /**
+   * 开启新的 output 项（自动关闭上一个）
+   * @param {Object} item - output 项
+   */
+  openItem(item) {
+    this.closeItem();
+    const outputIndex = this.output.length;
+    this.output.push(item);
+    this.currentItem = { outputIndex, item };
+    this.writeEvent('response.output_item.added', {
+      output_index: outputIndex,
+      item: { ...item, status: 'in_progress' }
+    });
+
+    if (item.type === 'message') {
+      this.writeEvent('response.content_part.added', {
+        item_id: item.id,
+        output_index: outputIndex,
+        content_index: 0,
+        part: { type: 'output_text', text: '', annotations: [] }
+      });
+    } else if (item.type === 'reasoning') {
+      this.writeEvent('response.reasoning_summary_part.added', {
+        item_id: item.id,
+        output_index: outputIndex,
+        summary_index: 0,
+        part: { type: 'summary_text', text: '' }
+      });
+    }
+    return this.currentItem;
+  }
+
+  /**
+   * 关闭当前 output 项并发送对应的 done 事件
+   */
+  closeItem() {
+    if (!this.currentItem) return;
+    const { outputIndex, item } = this.currentItem;
+
+    if (item.type === 'message') {
+      const part = item.content[0];
+      this.writeEvent('response.output_text.done', {
+        item_id: item.id,
+        output_index: outputIndex,
+        content_index: 0,
+        text: part.text
+      });
+      this.writeEvent('response.content_part.done', {
+        item_id: item.id,
+        output_index: outputIndex,
+        content_index: 0,
+        part
+      });
+    } else if (item.type === 'reasoning') {
+      const part = item.summary[0];
+      this.writeEvent('response.reasoning_summary_text.done', {
+        item_id: item.id,
+        output_index: outputIndex,
+        summary_index: 0,
+        text: part.text
+      });
+      this.writeEvent('response.reasoning_summary_part.done', {
+        item_id: item.id,
+        output_index: outputIndex,
+        summary_index: 0,
+        part
+      });
+    } else if (item.type === 'function_call') {
+      this.writeEvent('response.function_call_arguments.done', {
+        item_id: item.id,
+        output_index: outputIndex,
+        arguments: item.arguments
+      });
+    }
+
+    this.writeEvent('response.output_item.done', {
+      output_index: outputIndex,
+      item: this.finalizeItem(item)
+    });
+    this.currentItem = null;
+  }
+
+  /**
+   * 追加输出文本
+   * @param {string} text - 文本内容
+   */
+  appendText(text) {
+    if (!text) return;
+    if (this.currentItem?.item.type !== 'message') {
+      this.openItem({
+        id: generateItemId('msg'),
+        type: 'message',
+        role: 'assistant',
+        content: [{ type: 'output_text', text: '', annotations: [] }]
+      });
+    }
+    const { outputIndex, item } = this.currentItem;
+    item.content[0].text += text;
+    this.outputText += text;
+    this.writeEvent('response.output_text.delta', {
+      item_id: item.id,
+      output_index: outputIndex,
+      content_index: 0,
+      delta: text
+    });
+  }
+
+  /**
+   * 追加思考内容（以 reasoning 项的 summary_text 输出）
+   * @param {string} text - 思考内容
+   */
+  appendReasoning(text) {
+    if (!text) return;
+    if (this.currentItem?.item.type !== 'reasoning') {
+      this.openItem({
+        id: generateItemId('rs'),
+        type: 'reasoning',
+        summary: [{ type: 'summary_text', text: '' }]
+      });
+    }
+    const { outputIndex, item } = this.currentItem;
+    item.summary[0].text += text;
+    this.reasoningText += text;
+    this.writeEvent('response.reasoning_summary_text.delta', {
+      item_id: item.id,
+      output_index: outputIndex,
+      summary_index: 0,
+      delta: text
+    });
+  }
+
+  /**
+   * 开始一个 function_call 项
+   * @param {number|string} toolIndex - 工具调用索引
+   * @param {string} callId - 工具调用ID
+   * @param {string} name - 工具名称
+   */
+  startFunctionCall(toolIndex, callId, name) {
+    const current = this.openItem({
+      id: generateItemId('fc'),
+      type: 'function_call',
+      call_id: callId,
+      name,
+      arguments: ''
+    });
+    this.toolItems.set(toolIndex, current);
+    this.outputText += name || '';
+  }
+
+  /**
+   * 追加 function_call 参数片段
+   * @param {number|string} toolIndex - 工具调用索引
+   * @param {string} delta - 参数片段
+   */
+  appendFunctionArguments(toolIndex, delta) {
+    const target = this.toolItems.get(toolIndex);
+    if (!target || !delta) return;
+    if (target !== this.currentItem) {
+      logger.warn(`Responses流中收到非当前项的工具参数，已忽略: tool_index=${toolIndex}`);
+      return;
+    }
+    target.item.arguments += delta;
+    this.outputText += delta;
+    this.writeEvent('response.function_call_arguments.delta', {
+      item_id: target.item.id,
+      output_index: target.outputIndex,
+      delta
+    });
+  }
+
+  /**
+   * 处理上游回调事件（multiAccountClient 和 kiroClient 的事件格式）
+   * @param {Object} data - 回调事件
+   */
+  handleEvent(data) {
+    switch (data.type) {
+      case 'text':
+        this.appendText(data.content);
+        break;
+      case 'reasoning':
+        this.appendReasoning(data.content);
+        break;
+      case 'image':
+        this.appendText(`\n![生成的图像](data:${data.image.mimeType};base64,${data.image.data})\n`);
+        break;
+      case 'tool_calls':
+        for (const toolCall of data.tool_calls || []) {
+          const toolIndex = `full-${this.toolItems.size}`;
+          this.startFunctionCall(toolIndex, toolCall.id, toolCall.function?.name);
+          this.appendFunctionArguments(toolIndex, toolCall.function?.arguments || '{}');
+        }
+        break;
+      case 'tool_call_start':
+        for (const toolCall of data.tool_calls || []) {
+          this.startFunctionCall(toolCall.index, toolCall.id, toolCall.function?.name);
+          if (toolCall.function?.arguments) {
+            this.appendFunctionArguments(toolCall.index, toolCall.function.arguments);
+          }
+        }
+        break;
+      case 'tool_call_delta':
+        this.appendFunctionArguments(data.tool_call_index, data.delta);
+        break;
+      case 'finish':
+        this.finishReason = data.finish_reason;
+        break;
+      case 'usage':
+        this.upstreamUsage = data.usage;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 构建 usage 对象（上游返回了用量时使用上游数据）
+   * @param {number} outputTokens - 本地估算的输出token数
+   * @param {number} reasoningTokens - 本地估算的思考token数
+   * @returns {Object} usage
+   */
+  buildUsage(outputTokens, reasoningTokens = 0) {
+    if (this.upstreamUsage) {
+      const { promptTokens, completionTokens, reasoningTokens: upstreamReasoningTokens, cachedTokens } = this.upstreamUsage;
+      return {
+        input_tokens: promptTokens,
+        input_tokens_details: { cached_tokens: cachedTokens || 0 },
+        output_tokens: completionTokens,
+        output_tokens_details: { reasoning_tokens: upstreamReasoningTokens || 0 },
+        total_tokens: promptTokens + completionTokens
+      };
+    }
+    return {
+      input_tokens: this.inputTokens,
+      input_tokens_details: { cached_tokens: 0 },
+      output_tokens: outputTokens,
+      output_tokens_details: { reasoning_tokens: reasoningTokens },
+      total_tokens: this.inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * 结束流式响应：关闭当前项并发送 response.completed（输出被截断时为 response.incomplete）
+   * @param {number} outputTokens - 输出token数
+   * @param {number} reasoningTokens - 思考token数
+   */
+  finish(outputTokens, reasoningTokens = 0) {
+    this.closeItem();
+    const status = this.getIncompleteReason() ? 'incomplete' : 'completed';
+    this.writeEvent(`response.${status}`, {
+      response: this.buildResponse(status, this.buildUsage(outputTokens, reasoningTokens))
+    });
+  }
+
+  /**
+   * 在流中发送失败事件
+   * @param {string} code - 错误码
+   * @param {string} message - 错误信息
+   */
+  fail(code, message) {
+    this.closeItem();
+    const response = this.buildResponse('failed');
+    response.error = { code, message };
+    this.writeEvent('response.failed', { response });
+  }
+
+  /**
+   * 构建非流式响应对象
+   * @param {number} outputTokens - 输出token数
+   * @param {number} reasoningTokens - 思考token数
+   * @returns {Object} response 对象
+   */
+  toResponse(outputTokens, reasoningTokens = 0) {
+    this.currentItem = null;
+    const status = this.getIncompleteReason() ? 'incomplete' : 'completed';
+    return this.buildResponse(status, this.buildUsage(outputTokens, reasoningTokens));
+  }
+}
+
+export {
+  convertResponsesRequest,
+  ResponsesBuilder
+};
@@ -232,6 +232,23 @@ export function countPromptTokens(prompt, model) {
   }
 }
 
+/**
+ * 计算 OpenAI 格式消息的输入token数（只统计文本内容）
+ * @param {Array} messages - OpenAI 格式消息
+ * @param {string} model - 模型名称
+ * @returns {number} token数
+ */
+export function countChatPromptTokens(messages, model) {
+  const inputText = messages.map(m => {
+    if (typeof m.content === 'string') return m.content;
+    if (Array.isArray(m.content)) {
+      return m.content.filter(c => c.type === 'text').map(c => c.text).join('');
+    }
+    return '';
+  }).join('\n');
+  return countStringTokens(inputText, model);
+}
+
 /**
  * 计算completion的token数量
  * @param {string} completion - 完成文本
@@ -274,10 +291,44 @@ export function countAllTokens(prompt, completion, model) {
   };
 }
 
+/**
+ * 构建 OpenAI 格式的 usage 对象
+ * 优先使用上游返回的用量，缺失时（如 Kiro）根据文本本地估算
+ * @param {Object|null} upstreamUsage - 上游用量 { promptTokens, completionTokens, reasoningTokens, cachedTokens }
+ * @param {Object} fallback - 本地估算所需信息
+ * @param {number} fallback.promptTokens - 本地估算的输入token数
+ * @param {string} fallback.outputText - 输出文本（包括工具调用参数）
+ * @param {string} fallback.reasoningText - 思考内容
+ * @param {string} fallback.model - 模型名称
+ * @returns {Object} OpenAI usage 对象
+ */
+export function buildOpenAIUsage(upstreamUsage, { promptTokens, outputText = '', reasoningText = '', model }) {
+  let usage = upstreamUsage;
+  if (!usage) {
+    const reasoningTokens = reasoningText ? countStringTokens(reasoningText, model) : 0;
+    usage = {
+      promptTokens,
+      completionTokens: countStringTokens(outputText, model) + reasoningTokens,
+      reasoningTokens,
+      cachedTokens: 0
+    };
+  }
+
+  return {
+    prompt_tokens: usage.promptTokens,
+    completion_tokens: usage.completionTokens,
+    total_tokens: usage.promptTokens + usage.completionTokens,
+    prompt_tokens_details: { cached_tokens: usage.cachedTokens || 0 },
+    completion_tokens_details: { reasoning_tokens: usage.reasoningTokens || 0 }
+  };
+}
+
 export default {
   countMessageTokens,
   countStringTokens,
   countPromptTokens,
+  countChatPromptTokens,
   countCompletionTokens,
   countAllTokens,
+  buildOpenAIUsage,
 };
\ No newline at end of file
@@ -1,6 +1,10 @@
 import { randomUUID } from 'crypto';
 import config from '../config/config.js';
 import logger from './logger.js';
+import fileService, { getReferencedFileId } from '../services/file.service.js';
+import remoteImageService from '../services/remote_image.service.js';
+import thoughtSignatureService from '../services/thought_signature.service.js';
+import { ServiceError } from './errors.js';
 
 function generateRequestId() {
   return `agent-${randomUUID()}`;
@@ -19,7 +23,163 @@ function generateProjectId() {
   return `${randomAdj}-${randomNoun}-${randomNum}`;
 }
 
-function extractImagesFromContent(content) {
+/**
+ * 默认允许的附件MIME类型（Gemini 支持以 inlineData 传入的类型），可以通过 config.attachments.allowedMimeTypes 覆盖
+ * 以 /* 结尾的条目匹配该大类下的所有类型
+ */
+const DEFAULT_ALLOWED_MIME_TYPES = ['image/*', 'audio/*', 'application/pdf', 'text/plain'];
+
+/**
+ * 默认单个附件大小上限（MB）
+ */
+const DEFAULT_ATTACHMENT_MAX_SIZE_MB = 20;
+
+/**
+ * input_audio 的 format -> MIME类型
+ */
+const AUDIO_FORMAT_MIME_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mp3',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  aiff: 'audio/aiff'
+};
+
+/**
+ * 文件扩展名 -> MIME类型（file part 的 file_data 不是 data URL 时根据文件名推断）
+ */
+const FILE_EXTENSION_MIME_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  wav: 'audio/wav',
+  mp3: 'audio/mp3'
+};
+
+/**
+ * 检查附件MIME类型是否在允许列表中（config.attachments.allowedMimeTypes）
+ * @param {string} mimeType - MIME类型
+ * @returns {boolean} 是否允许
+ */
+function isAttachmentMimeTypeAllowed(mimeType) {
+  const allowed = config.attachments?.allowedMimeTypes || DEFAULT_ALLOWED_MIME_TYPES;
+  const type = String(mimeType || '').toLowerCase();
+  return allowed.some(pattern => pattern.endsWith('/*')
+    ? type.startsWith(pattern.slice(0, -1))
+    : type === pattern);
+}
+
+/**
+ * 获取模型的单个附件大小上限（config.attachments.maxSizeMB）
+ * 配置为对象时按模型名精确匹配，其次按最长的模型名前缀匹配，都不匹配时使用 default；配置为数字时所有模型共用
+ * @param {string} modelName - 模型名称
+ * @returns {number} 大小上限（MB）
+ */
+function getAttachmentMaxSizeMB(modelName) {
+  const limits = config.attachments?.maxSizeMB;
+  if (typeof limits === 'number') {
+    return limits;
+  }
+  if (!limits || typeof limits !== 'object') {
+    return DEFAULT_ATTACHMENT_MAX_SIZE_MB;
+  }
+  if (limits[modelName] !== undefined) {
+    return limits[modelName];
+  }
+
+  const prefix = Object.keys(limits)
+    .filter(key => key !== 'default' && modelName.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) {
+    return limits[prefix];
+  }
+  return limits.default ?? DEFAULT_ATTACHMENT_MAX_SIZE_MB;
+}
+
+/**
+ * 校验附件并转换为 inlineData part
+ * @param {string} mimeType - MIME类型
+ * @param {string} data - base64 数据
+ * @param {string} modelName - 模型名称（用于确定大小上限）
+ * @returns {Object} inlineData part
+ */
+function createInlineDataPart(mimeType, data, modelName = '') {
+  if (!isAttachmentMimeTypeAllowed(mimeType)) {
+    throw new ServiceError('UNSUPPORTED_ATTACHMENT_TYPE', { type: mimeType });
+  }
+
+  // base64 解码后的字节数
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  const size = Math.floor(data.length * 3 / 4) - padding;
+  const maxSizeMB = getAttachmentMaxSizeMB(modelName);
+  if (size > maxSizeMB * 1024 * 1024) {
+    throw new ServiceError('ATTACHMENT_TOO_LARGE', {
+      size: (size / 1024 / 1024).toFixed(1),
+      limit: maxSizeMB,
+      model: modelName
+    });
+  }
+
+  return { inlineData: { mimeType, data } };
+}
+
+/**
+ * 解析 base64 data URL
+ * @param {string} url - data:<mime>;base64,<data>
+ * @returns {Object|null} { mimeType, data }，不是 base64 data URL 时返回 null
+ */
+function parseDataUrl(url) {
+  const match = typeof url === 'string' ? url.match(/^data:([\w.+-]+\/[\w.+-]+);base64,(.+)$/) : null;
+  return match ? { mimeType: match[1].toLowerCase(), data: match[2] } : null;
+}
+
+/**
+ * 将 file part 的 file_data 转换为 { mimeType, data }
+ * file_data 通常是 data URL；为纯 base64 时根据文件名扩展名推断MIME类型
+ * @param {Object} file - { file_data, filename }
+ * @returns {Object|null} { mimeType, data }
+ */
+function parseFileData(file) {
+  if (!file?.file_data) return null;
+  const parsed = parseDataUrl(file.file_data);
+  if (parsed) return parsed;
+
+  const extension = String(file.filename || '').split('.').pop().toLowerCase();
+  return {
+    mimeType: FILE_EXTENSION_MIME_TYPES[extension] || 'application/octet-stream',
+    data: file.file_data
+  };
+}
+
+/**
+ * 预先加载消息中需要异步获取的附件：引用的已上传文件和远程图片
+ * 消息转换本身是同步的，发送前在这里统一读取，转换时按文件ID / 图片地址替换为内联数据
+ * @param {Array} messages - OpenAI格式消息
+ * @param {string} user_id - 用户ID
+ * @returns {Promise<Map<string, Object>>} 文件ID或图片地址 -> { mimeType, data }（base64）
+ */
+async function loadMessageAttachments(messages, user_id) {
+  const files = await fileService.loadReferencedFiles(messages, user_id);
+  const remoteImages = await remoteImageService.loadRemoteImages(messages);
+  return new Map([...files, ...remoteImages]);
+}
+
+/**
+ * 提取消息中的文本和附件（图片、PDF、音频等）
+ * - image_url：任意类型的 base64 data URL，或 http(s) 图片链接（从 attachments 中替换为下载的内容）
+ * - file：{ file: { file_data, filename } }，或引用已上传文件（{ type: 'file', file_id } 或 image_url 为 file-xxx），从 attachments 中替换为内联数据
+ * - input_audio：{ input_audio: { data, format } }
+ * 附件按 config.attachments 校验MIME类型和大小，不符合时抛出错误
+ * @param {string|Array} content - 消息内容
+ * @param {Map<string, Object>} attachments - 预先加载的附件（loadMessageAttachments）
+ * @param {string} modelName - 模型名称
+ * @returns {Object} { text, images }（images 为 inlineData parts）
+ */
+function extractImagesFromContent(content, attachments = new Map(), modelName = '') {
   const result = { text: '', images: [] };
 
   // 如果content是字符串，直接返回
@@ -31,24 +191,28 @@ function extractImagesFromContent(content) {
   // 如果content是数组（multimodal格式）
   if (Array.isArray(content)) {
     for (const item of content) {
-      if (item.type === 'text') {
+      let attachment = null;
+      const file_id = getReferencedFileId(item);
+      if (file_id) {
+        attachment = attachments.get(file_id) || null;
+      } else if (item.type === 'text') {
         result.text += item.text;
       } else if (item.type === 'image_url') {
-        // 提取base64图片数据
-        const imageUrl = item.image_url?.url || '';
-
-        // 匹配 data:image/{format};base64,{data} 格式
-        const match = imageUrl.match(/^data:image\/(\w+);base64,(.+)$/);
-        if (match) {
-          const format = match[1]; // 例如 png, jpeg, jpg
-          const base64Data = match[2];
-          result.images.push({
-            inlineData: {
-              mimeType: `image/${format}`,
-              data: base64Data
-            }
-          })
-        }
+        // base64 data URL 直接解析，远程图片使用预先下载的内容
+        const url = item.image_url?.url || item.image_url;
+        attachment = parseDataUrl(url) || attachments.get(url) || null;
+      } else if (item.type === 'file') {
+        attachment = parseFileData(item.file);
+      } else if (item.type === 'input_audio' && item.input_audio?.data) {
+        const format = String(item.input_audio.format || 'wav').toLowerCase();
+        attachment = {
+          mimeType: AUDIO_FORMAT_MIME_TYPES[format] || `audio/${format}`,
+          data: item.input_audio.data
+        };
+      }
+
+      if (attachment) {
+        result.images.push(createInlineDataPart(attachment.mimeType, attachment.data, modelName));
       }
     }
   }
@@ -81,7 +245,14 @@ function handleUserMessage(extracted, antigravityMessages) {
     parts
   });
 }
-function handleAssistantMessage(message, antigravityMessages, isImageModel = false) {
+/**
+ * 转换助手消息（正文和工具调用）
+ * @param {Object} message - OpenAI格式助手消息
+ * @param {Array} antigravityMessages - 转换结果
+ * @param {boolean} isImageModel - 是否为图片模型
+ * @param {Map<string, string>} signatures - 客户端未回传的 thoughtSignature（tool_call id -> 签名）
+ */
+function handleAssistantMessage(message, antigravityMessages, isImageModel = false, signatures = new Map()) {
   const lastMessage = antigravityMessages[antigravityMessages.length - 1];
   const hasToolCalls = message.tool_calls && Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
   const hasContent = message.content &&
@@ -109,9 +280,10 @@ function handleAssistantMessage(message, antigravityMessages, isImageModel = fal
     };
 
     // 如果有 thought_signature（来自 extra_content.google），添加到 part 级别（与 functionCall 同级）
-    // 这是 Gemini 思考模型的特性，用于多轮工具调用时验证思考内容
-    if (toolCall.extra_content?.google?.thought_signature) {
-      functionCallObj.thoughtSignature = toolCall.extra_content.google.thought_signature;
+    // 这是 Gemini 思考模型的特性，用于多轮工具调用时验证思考内容；客户端丢弃了 extra_content 时使用服务端缓存的签名
+    const thoughtSignature = toolCall.extra_content?.google?.thought_signature || signatures.get(toolCall.id);
+    if (thoughtSignature) {
+      functionCallObj.thoughtSignature = thoughtSignature;
     }
 
     return functionCallObj;
@@ -286,7 +458,7 @@ function isInvalidAssistantMessage(message) {
   return false;
 }
 
-function openaiMessageToAntigravity(openaiMessages, isCompletionModel = false, modelName = '') {
+function openaiMessageToAntigravity(openaiMessages, isCompletionModel = false, modelName = '', attachments = new Map(), signatures = new Map()) {
   // 过滤掉无效的助手消息（只包含单个 "{" 字符的消息）
   // 同时过滤掉 system 消息（system 消息会单独处理放入 systemInstruction）
   const filteredMessages = openaiMessages.filter(message =>
@@ -318,10 +490,10 @@ function openaiMessageToAntigravity(openaiMessages, isCompletionModel = false, m
 
   for (const message of filteredMessages) {
     if (message.role === "user") {
-      const extracted = extractImagesFromContent(message.content);
+      const extracted = extractImagesFromContent(message.content, attachments, modelName);
       handleUserMessage(extracted, antigravityMessages);
     } else if (message.role === "assistant") {
-      handleAssistantMessage(message, antigravityMessages, isImageModel);
+      handleAssistantMessage(message, antigravityMessages, isImageModel, signatures);
     } else if (message.role === "tool") {
       handleToolCall(message, antigravityMessages);
     }
@@ -367,11 +539,263 @@ function openaiMessageToAntigravity(openaiMessages, isCompletionModel = false, m
 
   return cleanedMessages;
 }
+/**
+ * 上游结束原因到 OpenAI finish_reason 的映射
+ * 同时覆盖 Gemini（Antigravity）和 Anthropic 风格（Kiro）的取值
+ */
+const FINISH_REASON_MAP = {
+  STOP: 'stop',
+  END_TURN: 'stop',
+  STOP_SEQUENCE: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter',
+  REFUSAL: 'content_filter',
+  CONTENT_FILTERED: 'content_filter',
+  TOOL_USE: 'tool_calls'
+};
+
+/**
+ * 上游结束原因是否为异常结束（没有对应的 OpenAI 取值，如 MALFORMED_FUNCTION_CALL、OTHER）
+ * @param {string|null} upstreamReason - 上游结束原因
+ * @returns {boolean}
+ */
+function isAbnormalFinishReason(upstreamReason) {
+  return Boolean(upstreamReason) && !FINISH_REASON_MAP[String(upstreamReason).toUpperCase()];
+}
+
+/**
+ * 将上游结束原因转换为 OpenAI finish_reason
+ * length / content_filter 优先于 tool_calls（工具参数可能已被截断）
+ * 异常结束（如 MALFORMED_FUNCTION_CALL、OTHER）没有对应的 OpenAI 取值，按正常结束处理并打印警告，
+ * 聊天补全响应通过 upstream_finish_reason 字段返回原始原因
+ * @param {string|null} upstreamReason - 上游结束原因
+ * @param {boolean} hasToolCall - 是否产生了工具调用
+ * @returns {string} OpenAI finish_reason
+ */
+function mapFinishReason(upstreamReason, hasToolCall = false) {
+  const mapped = upstreamReason ? FINISH_REASON_MAP[String(upstreamReason).toUpperCase()] : undefined;
+  if (mapped === 'length' || mapped === 'content_filter') {
+    return mapped;
+  }
+  const finishReason = hasToolCall || mapped === 'tool_calls' ? 'tool_calls' : 'stop';
+  if (isAbnormalFinishReason(upstreamReason)) {
+    logger.warn(`上游异常结束: ${upstreamReason}，finish_reason 按 ${finishReason} 返回`);
+  }
+  return finishReason;
+}
+
+/**
+ * 将上游 usageMetadata 转换为统一的用量格式
+ * candidatesTokenCount 不包含思考token，completionTokens 按 OpenAI 口径包含思考token
+ * @param {Object} usageMetadata - 上游 usageMetadata
+ * @returns {Object|null} { promptTokens, completionTokens, reasoningTokens, cachedTokens }，缺失时返回 null
+ */
+function convertUsageMetadata(usageMetadata) {
+  if (!usageMetadata || typeof usageMetadata.promptTokenCount !== 'number') {
+    return null;
+  }
+
+  const reasoningTokens = usageMetadata.thoughtsTokenCount || 0;
+  return {
+    promptTokens: usageMetadata.promptTokenCount,
+    completionTokens: (usageMetadata.candidatesTokenCount || 0) + reasoningTokens,
+    reasoningTokens,
+    cachedTokens: usageMetadata.cachedContentTokenCount || 0
+  };
+}
+
+/**
+ * 将 OpenAI response_format 转换为 Antigravity 的 responseMimeType/responseSchema
+ * - text -> 不做处理
+ * - json_object -> responseMimeType: application/json
+ * - json_schema -> responseMimeType: application/json + responseSchema
+ * @param {Object} responseFormat - OpenAI response_format
+ * @returns {Object} 需要合并到 generationConfig 的字段
+ */
+function convertResponseFormat(responseFormat) {
+  switch (responseFormat.type) {
+    case 'text':
+      return {};
+    case 'json_object':
+      return { responseMimeType: 'application/json' };
+    case 'json_schema': {
+      const schema = responseFormat.json_schema?.schema;
+      if (!schema || typeof schema !== 'object') {
+        throw new ServiceError('MISSING_PARAMETER', { param: 'response_format.json_schema.schema' });
+      }
+      return {
+        responseMimeType: 'application/json',
+        responseSchema: normalizeJsonSchema(schema)
+      };
+    }
+    default:
+      throw new ServiceError('INVALID_PARAMETER', {
+        param: 'response_format.type',
+        allowed: ['text', 'json_object', 'json_schema']
+      });
+  }
+}
+
+/**
+ * 获取 JSON 值对应的 JSON Schema 类型
+ * @param {*} value - JSON 值
+ * @returns {string} 类型（null / array / integer / number / string / boolean / object）
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * 按 JSON Schema 递归校验 JSON 值
+ * 支持 type、enum、properties、required、items，其他关键字（如 anyOf、$ref、format）不做校验
+ * @param {*} value - JSON 值
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - 当前值的路径（用于错误信息）
+ * @returns {string|null} 校验失败的原因，通过时返回 null
+ */
+function validateJsonValue(value, schema, path) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = getJsonType(value);
+    const matched = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (!matched) {
+      return `${path} 类型应为 ${types.join(' | ')}，实际为 ${actual}`;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    return `${path} 的值不在 enum 中: ${JSON.stringify(value)}`;
+  }
+
+  if (getJsonType(value) === 'object') {
+    if (Array.isArray(schema.required)) {
+      const missing = schema.required.filter(key => !(key in value));
+      if (missing.length > 0) {
+        return `${path} 缺少必需字段: ${missing.join(', ')}`;
+      }
+    }
+    if (schema.properties && typeof schema.properties === 'object') {
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        if (!(key in value)) continue;
+        const error = validateJsonValue(value[key], propertySchema, `${path}.${key}`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateJsonValue(value[i], schema.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 校验结构化输出的模型输出
+ * 校验是否为合法 JSON；json_schema 类型再按 schema 递归校验 type、enum、properties、required、items
+ * @param {string} text - 模型输出文本
+ * @param {Object} responseFormat - OpenAI response_format
+ * @returns {string|null} 校验失败的原因，通过时返回 null
+ */
+function validateStructuredOutput(text, responseFormat) {
+  if (responseFormat?.type !== 'json_object' && responseFormat?.type !== 'json_schema') {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return `模型输出不是合法的JSON: ${error.message}`;
+  }
+
+  const error = validateJsonValue(parsed, responseFormat.json_schema?.schema, '$');
+  return error ? `模型输出不符合JSON Schema: ${error}` : null;
+}
+
+/**
+ * reasoning_effort 对应的思考预算
+ */
+const REASONING_EFFORT_BUDGETS = {
+  minimal: 512,
+  low: 1024,
+  medium: 8192,
+  high: 24576
+};
+
+/**
+ * 各模型允许的思考预算范围（按模型名前缀匹配，未匹配时使用 default）
+ */
+const THINKING_BUDGET_LIMITS = [
+  { prefix: 'gemini-2.5-pro', min: 128, max: 32768 },
+  { prefix: 'gemini-2.5-flash', min: 1, max: 24576 },
+  { prefix: 'gemini-3-pro', min: 128, max: 32768 },
+  { prefix: 'claude', min: 1024, max: 32000 },
+  { prefix: 'default', min: 128, max: 24576 }
+];
+
+/**
+ * 根据请求参数计算思考预算，并按模型限制范围裁剪
+ * 优先级：thinking_budget > thinking.budget_tokens（Anthropic 风格）> reasoning_effort（OpenAI 风格）> 默认值
+ * @param {Object} parameters - 请求参数
+ * @param {string} modelName - 模型名称（已去掉 -thinking 后缀）
+ * @returns {number} 思考预算
+ */
+function resolveThinkingBudget(parameters, modelName) {
+  let budget = config.defaults.thinking_budget ?? 1024;
+  let budgetParam = 'defaults.thinking_budget';
+
+  if (parameters.thinking_budget !== undefined) {
+    budget = Number(parameters.thinking_budget);
+    budgetParam = 'thinking_budget';
+  } else if (parameters.thinking?.type === 'enabled' && parameters.thinking.budget_tokens !== undefined) {
+    budget = Number(parameters.thinking.budget_tokens);
+    budgetParam = 'thinking.budget_tokens';
+  } else if (parameters.reasoning_effort !== undefined) {
+    budget = REASONING_EFFORT_BUDGETS[parameters.reasoning_effort];
+    if (budget === undefined) {
+      throw new ServiceError('INVALID_PARAMETER', {
+        param: 'reasoning_effort',
+        allowed: Object.keys(REASONING_EFFORT_BUDGETS)
+      });
+    }
+  }
+
+  if (!Number.isFinite(budget)) {
+    throw new ServiceError('INVALID_NUMBER_PARAMETER', { param: budgetParam });
+  }
+
+  const limits = THINKING_BUDGET_LIMITS.find(item => modelName.startsWith(item.prefix)) ||
+    THINKING_BUDGET_LIMITS[THINKING_BUDGET_LIMITS.length - 1];
+  const clamped = Math.min(Math.max(Math.round(budget), limits.min), limits.max);
+  if (clamped !== budget) {
+    logger.info(`思考预算 ${budget} 超出 ${modelName} 的范围 [${limits.min}, ${limits.max}]，调整为 ${clamped}`);
+  }
+  return clamped;
+}
+
 function generateGenerationConfig(parameters, enableThinking, actualModelName, isNonChatModel = false) {
-  // thinking 模型的 max_tokens 最小值为 2048
+  const thinkingBudget = enableThinking ? resolveThinkingBudget(parameters, actualModelName) : 0;
+
+  // thinking 模型的 max_tokens 必须大于思考预算，至少为预算之外再留 1024 给正文
   let maxOutputTokens = parameters.max_tokens ?? config.defaults.max_tokens;
-  if (enableThinking && maxOutputTokens < 2048) {
-    maxOutputTokens = 2048;
+  if (enableThinking && maxOutputTokens < thinkingBudget + 1024) {
+    maxOutputTokens = thinkingBudget + 1024;
   }
 
   const generationConfig = {
@@ -400,7 +824,7 @@ function generateGenerationConfig(parameters, enableThinking, actualModelName, i
   if (actualModelName !== 'gemini-2.5-flash-image') {
     generationConfig.thinkingConfig = {
       includeThoughts: enableThinking,
-      thinkingBudget: enableThinking ? 1024 : 0
+      thinkingBudget
     };
   }
 
@@ -408,6 +832,11 @@ function generateGenerationConfig(parameters, enableThinking, actualModelName, i
     delete generationConfig.topP;
   }
 
+  // 结构化输出（response_format）
+  if (parameters.response_format) {
+    Object.assign(generationConfig, convertResponseFormat(parameters.response_format));
+  }
+
   // 图片生成模型支持 imageConfig 参数
   if (actualModelName.endsWith('-image') && parameters.image_config) {
     generationConfig.imageConfig = {};
@@ -421,9 +850,7 @@ function generateGenerationConfig(parameters, enableThinking, actualModelName, i
     if (parameters.image_config.image_size) {
       // gemini-2.5-pro-image 不支持 imageSize 参数
       if (actualModelName === 'gemini-2.5-pro-image') {
-        const error = new Error('gemini-2.5-pro-image 不支持 imageSize 参数');
-        error.statusCode = 400;
-        throw error;
+        throw new ServiceError('UNSUPPORTED_MODEL_PARAMETER', { model: actualModelName, param: 'image_config.image_size' });
       }
       generationConfig.imageConfig.imageSize = parameters.image_config.image_size;
     }
@@ -528,7 +955,51 @@ function convertOpenAIToolsToAntigravity(openaiTools) {
   });
 }
 
-async function generateRequestBody(openaiMessages, modelName, parameters, openaiTools, user_id = null, account = null) {
+/**
+ * 将 OpenAI tool_choice 转换为 Antigravity 的 toolConfig
+ * - none -> NONE（禁止调用工具）
+ * - auto / 未指定 -> VALIDATED（由模型决定是否调用，并校验参数）
+ * - required -> ANY（必须调用任意工具）
+ * - { type: 'function', function: { name } } -> ANY + allowedFunctionNames（必须调用指定工具）
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @param {Array} openaiTools - OpenAI tools（用于校验指定的工具名）
+ * @returns {Object} toolConfig
+ */
+function generateToolConfig(toolChoice, openaiTools) {
+  if (toolChoice === undefined || toolChoice === null || toolChoice === 'auto') {
+    return { functionCallingConfig: { mode: "VALIDATED" } };
+  }
+
+  if (toolChoice === 'none') {
+    return { functionCallingConfig: { mode: "NONE" } };
+  }
+
+  if (toolChoice === 'required') {
+    return { functionCallingConfig: { mode: "ANY" } };
+  }
+
+  const functionName = toolChoice?.type === 'function' ? toolChoice.function?.name : undefined;
+  if (!functionName) {
+    throw new ServiceError('INVALID_PARAMETER', {
+      param: 'tool_choice',
+      allowed: ['none', 'auto', 'required', '{"type": "function", "function": {"name": "..."}}']
+    });
+  }
+
+  const toolExists = openaiTools.some(tool => tool.function?.name === functionName);
+  if (!toolExists) {
+    throw new ServiceError('TOOL_NOT_FOUND', { param: 'tool_choice', name: functionName });
+  }
+
+  return {
+    functionCallingConfig: {
+      mode: "ANY",
+      allowedFunctionNames: [functionName]
+    }
+  };
+}
+
+async function generateRequestBody(openaiMessages, modelName, parameters, openaiTools, user_id = null, account = null, sessionId = null) {
   // Gemini 2.5 Flash Thinking 路由到 Gemini 2.5 Flash
   let actualModelName = modelName;
   if (modelName === 'gemini-2.5-flash-thinking') {
@@ -569,8 +1040,10 @@ async function generateRequestBody(openaiMessages, modelName, parameters, openai
     delete generationConfig.thinkingConfig.thinkingBudget;
   }
 
-  // 消息转换
-  const contents = openaiMessageToAntigravity(openaiMessages, false, baseModelName);
+  // 消息转换（先加载消息中引用的已上传文件、远程图片和客户端未回传的 thoughtSignature）
+  const attachments = await loadMessageAttachments(openaiMessages, user_id);
+  const signatures = await thoughtSignatureService.loadMissingSignatures(openaiMessages, user_id);
+  const contents = openaiMessageToAntigravity(openaiMessages, false, baseModelName, attachments, signatures);
 
   // 优先使用账号的 project_id_0，如果不存在则随机生成
   let projectId = generateProjectId();
@@ -612,7 +1085,8 @@ async function generateRequestBody(openaiMessages, modelName, parameters, openai
     request: {
       contents: contents,
       generationConfig: generationConfig,
-      sessionId: generateSessionId(),
+      // 粘性会话使用固定的 sessionId，以便上游复用上下文缓存
+      sessionId: sessionId || generateSessionId(),
       systemInstruction: {
         role: "user",
         parts: [{ text: systemInstructionText }]
@@ -625,11 +1099,7 @@ async function generateRequestBody(openaiMessages, modelName, parameters, openai
 
   if (openaiTools && openaiTools.length > 0) {
     requestBody.request.tools = convertOpenAIToolsToAntigravity(openaiTools);
-    requestBody.request.toolConfig = {
-      functionCallingConfig: {
-        mode: "VALIDATED"
-      }
-    };
+    requestBody.request.toolConfig = generateToolConfig(parameters.tool_choice, openaiTools);
   }
 
   return requestBody;
@@ -697,9 +1167,7 @@ function generateImageRequestBody(prompt, modelName, imageConfig = {}, account =
       // 校验 aspectRatio 参数
       const validAspectRatios = ['1:1', '2:3', '3:2', '3:4', '4:3', '9:16', '16:9', '21:9'];
       if (!validAspectRatios.includes(imageConfig.aspect_ratio)) {
-        const error = new Error(`Invalid aspectRatio: ${imageConfig.aspect_ratio}. Supported values: ${validAspectRatios.join(', ')}`);
-        error.statusCode = 400;
-        throw error;
+        throw new ServiceError('INVALID_PARAMETER', { param: 'aspectRatio', allowed: validAspectRatios });
       }
       requestBody.request.generationConfig.imageConfig.aspectRatio = imageConfig.aspect_ratio;
     }
@@ -707,15 +1175,11 @@ function generateImageRequestBody(prompt, modelName, imageConfig = {}, account =
       // 校验 imageSize 参数
       const validImageSizes = ['1K', '2K', '4K'];
       if (!validImageSizes.includes(imageConfig.image_size)) {
-        const error = new Error(`Invalid imageSize: ${imageConfig.image_size}. Supported values: ${validImageSizes.join(', ')}`);
-        error.statusCode = 400;
-        throw error;
+        throw new ServiceError('INVALID_PARAMETER', { param: 'imageSize', allowed: validImageSizes });
       }
 
       if (modelName === 'gemini-2.5-flash-image') {
-        const error = new Error('Unsupported parameter: imageSize for gemini-2.5-flash-image');
-        error.statusCode = 400;
-        throw error;
+        throw new ServiceError('UNSUPPORTED_MODEL_PARAMETER', { model: modelName, param: 'imageSize' });
       }
       requestBody.request.generationConfig.imageConfig.imageSize = imageConfig.image_size;
     }
@@ -724,6 +1188,179 @@ function generateImageRequestBody(prompt, modelName, imageConfig = {}, account =
 
   return requestBody;
 }
+/**
+ * 将 OpenAI 图片接口的 size 参数转换为 imageConfig
+ * 支持 "1024x1024" 形式（按最接近的宽高比和长边换算）、直接传入宽高比（如 "16:9"）或 "auto"
+ * @param {string} size - OpenAI size 参数
+ * @returns {Object} { aspect_ratio, image_size }
+ */
+function convertOpenAIImageSize(size) {
+  if (!size || size === 'auto') {
+    return {};
+  }
+
+  const validAspectRatios = ['1:1', '2:3', '3:2', '3:4', '4:3', '9:16', '16:9', '21:9'];
+  if (validAspectRatios.includes(size)) {
+    return { aspect_ratio: size };
+  }
+
+  const match = String(size).match(/^(\d+)x(\d+)$/);
+  if (!match) {
+    throw new ServiceError('INVALID_PARAMETER', { param: 'size', allowed: ['WIDTHxHEIGHT', ...validAspectRatios, 'auto'] });
+  }
+
+  const width = parseInt(match[1], 10);
+  const height = parseInt(match[2], 10);
+  const ratio = width / height;
+
+  // 选择最接近的宽高比
+  let aspectRatio = '1:1';
+  let minDiff = Infinity;
+  for (const candidate of validAspectRatios) {
+    const [w, h] = candidate.split(':').map(Number);
+    const diff = Math.abs(Math.log(ratio) - Math.log(w / h));
+    if (diff < minDiff) {
+      minDiff = diff;
+      aspectRatio = candidate;
+    }
+  }
+
+  // 长边达到 2048 / 4096 时使用 2K / 4K，1K 为默认值无需显式指定
+  const imageConfig = { aspect_ratio: aspectRatio };
+  const longSide = Math.max(width, height);
+  if (longSide >= 4096) {
+    imageConfig.image_size = '4K';
+  } else if (longSide >= 2048) {
+    imageConfig.image_size = '2K';
+  }
+  return imageConfig;
+}
+/**
+ * 将 Gemini 原生请求转换为 Antigravity 请求体（透传 contents / systemInstruction / tools / toolConfig / generationConfig）
+ * @param {Object} geminiRequest - Gemini generateContent 请求体
+ * @param {string} modelName - 模型名称
+ * @param {Object} account - 账号对象（可选，包含project_id_0）
+ * @param {string|null} sessionId - 粘性会话的 sessionId（可选，不传则随机生成）
+ * @returns {Object} 请求体
+ */
+function generateGeminiRequestBody(geminiRequest, modelName, account = null, sessionId = null) {
+  const { contents, systemInstruction, tools, toolConfig, generationConfig, safetySettings } = geminiRequest;
+
+  // 优先使用账号的 project_id_0，如果不存在则随机生成
+  let projectId = generateProjectId();
+  if (account) {
+    if (account.project_id_0 !== undefined && account.project_id_0 !== null) {
+      projectId = account.project_id_0;
+    } else {
+      logger.info(`账号没有配置 project_id，使用随机生成: ${projectId}`);
+    }
+  }
+
+  const request = {
+    // Gemini API 允许省略 role，上游要求显式指定
+    contents: contents.map(content => content.role ? content : { ...content, role: 'user' }),
+    sessionId: sessionId || generateSessionId()
+  };
+
+  // systemInstruction 支持 Content 对象或纯字符串；未传入时使用配置文件中的默认值
+  if (systemInstruction) {
+    request.systemInstruction = {
+      role: 'user',
+      parts: typeof systemInstruction === 'string' ? [{ text: systemInstruction }] : systemInstruction.parts || []
+    };
+  } else if (config.systemInstruction) {
+    request.systemInstruction = {
+      role: 'user',
+      parts: [{ text: config.systemInstruction }]
+    };
+  }
+
+  if (generationConfig) {
+    request.generationConfig = generationConfig;
+  }
+
+  // functionDeclarations 的参数 schema 需要移除上游不支持的关键字
+  if (Array.isArray(tools) && tools.length > 0) {
+    request.tools = tools.map(tool => {
+      if (!Array.isArray(tool.functionDeclarations)) {
+        return tool;
+      }
+      return {
+        ...tool,
+        functionDeclarations: tool.functionDeclarations.map(({ parametersJsonSchema, ...declaration }) => {
+          const parameters = declaration.parameters ?? parametersJsonSchema;
+          return parameters ? { ...declaration, parameters: normalizeJsonSchema(parameters) } : declaration;
+        })
+      };
+    });
+  }
+
+  if (toolConfig) {
+    request.toolConfig = toolConfig;
+  }
+
+  if (safetySettings) {
+    request.safetySettings = safetySettings;
+  }
+
+  return {
+    project: projectId,
+    requestId: generateRequestId(),
+    request,
+    model: modelName,
+    userAgent: "antigravity",
+    requestType: "agent"
+  };
+}
+
+/**
+ * 将流式响应块合并为一个完整的 Gemini generateContent 响应
+ * 相邻的同类文本 part（思考/非思考）会被拼接，其余 part 保持原样
+ * @param {Array} chunks - 上游响应块数组
+ * @returns {Object} 合并后的响应
+ */
+function mergeGeminiResponseChunks(chunks) {
+  const parts = [];
+  let finishReason;
+  let usageMetadata;
+  let modelVersion;
+  let responseId;
+
+  for (const chunk of chunks) {
+    const candidate = chunk.candidates?.[0];
+    for (const part of candidate?.content?.parts || []) {
+      const lastPart = parts[parts.length - 1];
+      const isPlainText = part.text !== undefined && !part.thoughtSignature && Object.keys(part).every(key => key === 'text' || key === 'thought');
+      if (isPlainText && lastPart?.text !== undefined && !lastPart.thoughtSignature && !!lastPart.thought === !!part.thought) {
+        lastPart.text += part.text;
+      } else {
+        parts.push({ ...part });
+      }
+    }
+    if (candidate?.finishReason) finishReason = candidate.finishReason;
+    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    if (chunk.modelVersion) modelVersion = chunk.modelVersion;
+    if (chunk.responseId) responseId = chunk.responseId;
+  }
+
+  const response = {
+    candidates: [{
+      content: { parts, role: 'model' },
+      finishReason: finishReason || 'STOP',
+      index: 0
+    }]
+  };
+  if (usageMetadata) response.usageMetadata = usageMetadata;
+  if (modelVersion) response.modelVersion = modelVersion;
+  if (responseId) response.responseId = responseId;
+  return response;
+}
+
+/**
+ * 不需要转储错误现场的常见错误
+ */
+const SKIP_DUMP_PATTERNS = ['Requested entity was not found', 'Prompt is too long', 'ILLEGAL_PROMPT', 'Internal'];
+
 /**
  * 将错误现场（用户请求、上游请求、上游响应）转储到文件
  * @param {Object} userRequest - 用户原始请求体
@@ -771,6 +1408,15 @@ export {
   generateSessionId,
   generateProjectId,
   generateRequestBody,
+  loadMessageAttachments,
   generateImageRequestBody,
+  convertOpenAIImageSize,
+  generateGeminiRequestBody,
+  mergeGeminiResponseChunks,
+  validateStructuredOutput,
+  mapFinishReason,
+  isAbnormalFinishReason,
+  convertUsageMetadata,
+  SKIP_DUMP_PATTERNS,
   dumpErrorArtifacts
 }
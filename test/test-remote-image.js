@@ -0,0 +1,127 @@
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config/config.js';
+import remoteImageService from '../src/services/remote_image.service.js';
+
+// 远程图片下载测试：在本机启动 HTTP 服务，覆盖超时、大小上限、非图片类型、重定向到内网地址和缓存命中
+// 运行方式: node test/test-remote-image.js
+
+// 1x1 PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+// 测试服务本身在 127.0.0.1 上，默认允许访问内网地址；需要验证内网拦截的用例临时关闭
+const baseOptions = {
+  enabled: true,
+  timeoutMs: 500,
+  maxBytes: 1024,
+  maxRedirects: 3,
+  cacheTTLSeconds: 60,
+  cacheMaxEntries: 10,
+  allowPrivateNetworks: true
+};
+config.remoteImages = { ...baseOptions };
+
+let imageHits = 0;
+let baseUrl = '';
+
+const server = http.createServer((req, res) => {
+  switch (req.url) {
+    case '/image.png':
+      imageHits++;
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+      res.end(PNG);
+      break;
+    case '/slow.png':
+      // 先发送响应头，正文迟迟不发送
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      setTimeout(() => res.end(PNG), 2000);
+      break;
+    case '/large.png':
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': 4096 });
+      res.end(Buffer.alloc(4096));
+      break;
+    case '/large-chunked.png':
+      // 不带 Content-Length，只能在接收过程中发现超过上限
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.write(Buffer.alloc(800));
+      res.end(Buffer.alloc(800));
+      break;
+    case '/page.html':
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<html></html>');
+      break;
+    case '/redirect-private':
+      // 第一次请求放行，之后的重定向目标按正常配置检查
+      config.remoteImages = { ...baseOptions, allowPrivateNetworks: false };
+      res.writeHead(302, { Location: `${baseUrl}/image.png` });
+      res.end();
+      break;
+    case '/redirect-localhost':
+      config.remoteImages = { ...baseOptions, allowPrivateNetworks: false };
+      res.writeHead(302, { Location: `http://localhost:${server.address().port}/image.png` });
+      res.end();
+      break;
+    default:
+      res.writeHead(404);
+      res.end();
+  }
+});
+
+/**
+ * 断言下载失败，且错误详情包含指定内容
+ * @param {string} url - 图片地址
+ * @param {string} detail - 期望的错误详情片段
+ */
+async function expectFailure(url, detail) {
+  await assert.rejects(remoteImageService.fetchImage(url), (error) => {
+    assert.strictEqual(error.code, 'REMOTE_IMAGE_FETCH_FAILED');
+    assert.ok(error.params.detail.includes(detail), `错误详情不符: ${error.params.detail}`);
+    return true;
+  });
+}
+
+const cases = [
+  ['下载图片并命中缓存', async () => {
+    const first = await remoteImageService.fetchImage(`${baseUrl}/image.png`);
+    assert.strictEqual(first.mimeType, 'image/png');
+    assert.strictEqual(first.data, PNG.toString('base64'));
+    const second = await remoteImageService.fetchImage(`${baseUrl}/image.png`);
+    assert.deepStrictEqual(second, first);
+    assert.strictEqual(imageHits, 1, '第二次应命中缓存，不再请求服务');
+  }],
+  ['下载超时', () => expectFailure(`${baseUrl}/slow.png`, '下载超时')],
+  ['Content-Length 超过 maxBytes', () => expectFailure(`${baseUrl}/large.png`, '图片大小超过')],
+  ['传输过程中超过 maxBytes', () => expectFailure(`${baseUrl}/large-chunked.png`, '图片大小超过')],
+  ['非图片 Content-Type', () => expectFailure(`${baseUrl}/page.html`, '不是图片: text/html')],
+  ['重定向到内网 IP', () => expectFailure(`${baseUrl}/redirect-private`, '禁止访问内网地址: 127.0.0.1')],
+  ['重定向到解析为内网地址的域名', () => expectFailure(`${baseUrl}/redirect-localhost`, '禁止访问内网地址')],
+  ['NAT64 和文档示例地址', async () => {
+    config.remoteImages = { ...baseOptions, allowPrivateNetworks: false };
+    for (const host of ['[64:ff9b::a00:1]', '192.0.2.1', '198.51.100.1', '203.0.113.1', '[2001:db8::1]']) {
+      await expectFailure(`http://${host}/image.png`, '禁止访问内网地址');
+    }
+  }]
+];
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+let failed = 0;
+for (const [name, run] of cases) {
+  config.remoteImages = { ...baseOptions };
+  try {
+    await run();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+server.closeAllConnections();
+server.close();
+console.log(failed === 0 ? '\n全部通过' : `\n${failed} 个用例失败`);
+process.exit(failed === 0 ? 0 : 1);